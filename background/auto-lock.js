@@ -0,0 +1,62 @@
+/**
+ * Auto-lock for passphrase-protected license information
+ * Forgets the session key when the computer has been idle for the configured
+ * time or its screen is locked. The key also lives only in chrome.storage.session,
+ * so a browser restart always locks.
+ */
+
+class AutoLock {
+  constructor() {
+    this.SETTING_KEY = 'autoLockMinutes';
+    this.DEFAULT_MINUTES = 15;
+  }
+
+  /**
+   * Get the configured idle time
+   * @returns {Promise<number>} Minutes of inactivity before locking, 0 to never lock on idle
+   */
+  async getMinutes() {
+    const data = await chrome.storage.local.get(this.SETTING_KEY);
+    const minutes = data[this.SETTING_KEY];
+    return Number.isInteger(minutes) && minutes >= 0 ? minutes : this.DEFAULT_MINUTES;
+  }
+
+  /**
+   * Apply the configured idle time to chrome.idle
+   */
+  async configure() {
+    try {
+      const minutes = await this.getMinutes();
+      if (minutes > 0) {
+        chrome.idle.setDetectionInterval(minutes * 60);
+      }
+    } catch (error) {
+      console.error('Failed to configure auto-lock:', error);
+    }
+  }
+
+  /**
+   * Lock when the computer goes idle or its screen is locked
+   * @param {string} state - 'active', 'idle' or 'locked'
+   */
+  async handleStateChange(state) {
+    if (state === 'active') {
+      return;
+    }
+
+    try {
+      if (state === 'idle' && (await this.getMinutes()) === 0) {
+        return;
+      }
+
+      await LicenseInfoManager.lock();
+    } catch (error) {
+      console.error('Auto-lock failed:', error);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AutoLock;
+}
@@ -0,0 +1,1118 @@
+/**
+ * Batch job queue for Splice License Batch Generator
+ * Owns batch processing so a batch survives popup closes, worker restarts
+ * and browser restarts. Jobs are persisted in chrome.storage.local, one key per
+ * job (see BatchJobStore), and the popup follows progress through
+ * chrome.storage.onChanged.
+ */
+
+class BatchJobQueue {
+  /**
+   * @param {SpliceAPIManager} apiManager - API manager used to search and license samples
+   * @param {RequestScheduler} scheduler - Paces requests to Splice
+   */
+  constructor(apiManager, scheduler) {
+    this.apiManager = apiManager;
+    this.scheduler = scheduler;
+    this.WATCHDOG_ALARM = 'batchQueueWatchdog';
+    this.MAX_FINISHED_JOBS = 10;
+    this.MAX_CHOICES = 5; // Candidates offered when a match needs confirming
+    this.isRunning = false;
+    this.writeChain = Promise.resolve();
+  }
+
+  /**
+   * Load all jobs from storage
+   * @returns {Promise<Array>} Stored jobs
+   */
+  async loadJobs() {
+    return BatchJobStore.getAll();
+  }
+
+  /**
+   * Serialize read-modify-write cycles so concurrent messages never overwrite each other
+   * @param {Function} task - Async function that reads and writes jobs
+   * @returns {Promise<*>} Value returned by the task
+   */
+  withWriteLock(task) {
+    const next = this.writeChain.then(task, task);
+    this.writeChain = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Store a new job
+   * @param {Object} job - Job
+   * @returns {Promise<void>}
+   */
+  addJob(job) {
+    return this.withWriteLock(async () => {
+      const ids = await BatchJobStore.getIds();
+      await chrome.storage.local.set({
+        [BatchJobStore.INDEX_KEY]: [...ids, job.id],
+        [BatchJobStore.jobKey(job.id)]: job
+      });
+    });
+  }
+
+  /**
+   * Update a single job in storage
+   * Only the job's own key is rewritten, so the cost of a write doesn't grow with the other jobs
+   * @param {string} jobId - Job ID
+   * @param {Function} mutator - Receives the job and may modify it in place
+   * @returns {Promise<Object|null>} Updated job or null if it no longer exists
+   */
+  updateJob(jobId, mutator) {
+    return this.withWriteLock(async () => {
+      const job = await BatchJobStore.get(jobId);
+      if (!job) return null;
+
+      const wasFinished = this.isFinished(job);
+      await mutator(job);
+      job.updatedAt = Date.now();
+      await chrome.storage.local.set({ [BatchJobStore.jobKey(jobId)]: job });
+
+      if (!wasFinished && this.isFinished(job)) {
+        await this.pruneFinishedJobs();
+      }
+      return job;
+    });
+  }
+
+  /**
+   * Keep only the most recent finished jobs
+   * Runs inside the write lock whenever a job finishes
+   * @returns {Promise<void>}
+   */
+  async pruneFinishedJobs() {
+    const jobs = await this.loadJobs();
+    const finished = jobs
+      .filter(job => this.isFinished(job))
+      .sort((a, b) => b.updatedAt - a.updatedAt)
+      .slice(0, this.MAX_FINISHED_JOBS);
+    const removed = jobs.filter(job => this.isFinished(job) && !finished.includes(job));
+
+    if (removed.length === 0) return;
+
+    await chrome.storage.local.set({
+      [BatchJobStore.INDEX_KEY]: jobs.filter(job => !removed.includes(job)).map(job => job.id)
+    });
+    await chrome.storage.local.remove(removed.map(job => BatchJobStore.jobKey(job.id)));
+  }
+
+  /**
+   * Move jobs stored by earlier versions, as one array under a single key, to a key per job
+   * @returns {Promise<void>}
+   */
+  migrateLegacyJobs() {
+    return this.withWriteLock(async () => {
+      const data = await chrome.storage.local.get(BatchJobStore.LEGACY_KEY);
+      const legacy = data[BatchJobStore.LEGACY_KEY];
+      if (!legacy) return;
+
+      const ids = await BatchJobStore.getIds();
+      const moved = legacy.filter(job => !ids.includes(job.id));
+      await chrome.storage.local.set({
+        [BatchJobStore.INDEX_KEY]: [...ids, ...moved.map(job => job.id)],
+        ...Object.fromEntries(moved.map(job => [BatchJobStore.jobKey(job.id), job]))
+      });
+      await chrome.storage.local.remove(BatchJobStore.LEGACY_KEY);
+      await this.pruneFinishedJobs();
+    });
+  }
+
+  /**
+   * Check if a job has finished (completed or cancelled)
+   * @param {Object} job - Job
+   * @returns {boolean} True if the job will not run again
+   */
+  isFinished(job) {
+    return job.status === 'completed' || job.status === 'cancelled';
+  }
+
+  /**
+   * Check if a job can make progress without the user
+   * Jobs waiting for the user to pick a match are not runnable
+   * @param {Object} job - Job
+   * @returns {boolean} True if the queue should work on the job
+   */
+  isRunnable(job) {
+    return !this.isFinished(job) && job.status !== 'awaiting_input';
+  }
+
+  /**
+   * Submit a new batch job
+   * @param {Array<string|Object>} samples - Sample names, or { sample, project, assetUuid, inLibrary, reissue }
+   *   entries for imported or previewed samples; entries with an assetUuid are licensed without choosing a
+   *   candidate, after their library status is looked up unless inLibrary is given
+   * @param {Object} options - Job options
+   * @param {boolean} options.combined - Issue one certificate covering every sample
+   * @param {string} options.existingPolicy - 'skip' or 'reissue' samples already in the ledger
+   * @param {string|null} options.profileId - License profile to issue under, or null for the default profile
+   * @returns {Promise<Object>} The queued job
+   */
+  async submit(samples, options = {}) {
+    const now = Date.now();
+    const job = {
+      id: `job_${now}_${Math.random().toString(36).substr(2, 9)}`,
+      status: 'queued',
+      options: {
+        combined: !!options.combined,
+        existingPolicy: options.existingPolicy === 'reissue' ? 'reissue' : 'skip',
+        profileId: options.profileId || null
+      },
+      items: samples.map(entry => ({
+        sample: typeof entry === 'string' ? entry : entry.sample,
+        project: typeof entry === 'string' ? null : entry.project || null,
+        status: 'pending',
+        match: entry.assetUuid ? this.createPreResolvedMatch(entry) : null,
+        result: null,
+        reissue: typeof entry === 'string' ? false : !!entry.reissue
+      })),
+      current: null,
+      createdAt: now,
+      updatedAt: now,
+      completedAt: null
+    };
+
+    await this.addJob(job);
+
+    await this.startWatchdog();
+    this.run();
+
+    return job;
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null
+   */
+  async getJob(jobId) {
+    return BatchJobStore.get(jobId);
+  }
+
+  /**
+   * Cancel a job; samples already being processed still finish
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Cancelled job or null
+   */
+  async cancel(jobId) {
+    return this.updateJob(jobId, (job) => {
+      if (this.isFinished(job)) return;
+
+      job.status = 'cancelled';
+      job.current = null;
+      job.completedAt = Date.now();
+    });
+  }
+
+  /**
+   * Put finished items of a job back in the queue
+   * @param {string} jobId - Job ID
+   * @param {Array<number>} indexes - Item indexes to re-queue
+   * @param {Object} options - Re-queue options
+   * @param {boolean} options.reissue - Issue a new certificate even if the ledger has one; items
+   *   that were already set to re-issue keep that
+   * @returns {Promise<Object|null>} Updated job or null
+   */
+  async requeue(jobId, indexes, options = {}) {
+    const job = await this.updateJob(jobId, (j) => {
+      for (const index of indexes) {
+        const item = j.items[index];
+        if (!item || item.status !== 'done') continue;
+
+        item.status = 'pending';
+        item.match = item.match?.preResolved ? item.match : null;
+        item.result = null;
+        item.reissue = !!options.reissue || !!item.reissue;
+      }
+
+      j.status = 'queued';
+      j.completedAt = null;
+    });
+
+    if (job) {
+      await this.startWatchdog();
+      this.run();
+    }
+
+    return job;
+  }
+
+  /**
+   * Resolve a sample that is waiting for the user to pick a match
+   * @param {string} jobId - Job ID
+   * @param {number} index - Item index
+   * @param {number|null} choiceIndex - Index of the chosen candidate, or null to skip the sample
+   * @returns {Promise<Object|null>} Updated job or null
+   */
+  async choose(jobId, index, choiceIndex) {
+    const job = await this.updateJob(jobId, (j) => {
+      const item = j.items[index];
+      if (this.isFinished(j) || !item || item.status !== 'awaiting_input') return;
+
+      const choice = choiceIndex === null ? null : item.choices?.[choiceIndex];
+
+      if (choice) {
+        // The chosen candidate is licensed by UUID, without searching again
+        item.status = 'pending';
+        item.match = { ...choice, preResolved: true };
+      } else {
+        item.status = 'done';
+        item.result = { sample: item.sample, success: false, error: 'Skipped: no match was chosen' };
+      }
+
+      item.choices = null;
+      j.status = 'queued';
+    });
+
+    if (job) {
+      await this.startWatchdog();
+      this.run();
+    }
+
+    return job;
+  }
+
+  /**
+   * Resume unfinished jobs after a worker or browser restart
+   */
+  async resume() {
+    await this.migrateLegacyJobs();
+    const jobs = await this.loadJobs();
+    if (jobs.some(job => this.isRunnable(job))) {
+      await this.startWatchdog();
+      this.run();
+    }
+  }
+
+  /**
+   * Start the alarm that revives the queue if the worker is stopped mid-batch
+   */
+  async startWatchdog() {
+    try {
+      await chrome.alarms.create(this.WATCHDOG_ALARM, { periodInMinutes: 1 });
+    } catch (error) {
+      console.error('Failed to start batch queue watchdog:', error);
+    }
+  }
+
+  /**
+   * Stop the watchdog alarm once there is nothing left to run
+   */
+  async stopWatchdog() {
+    try {
+      await chrome.alarms.clear(this.WATCHDOG_ALARM);
+    } catch (error) {
+      console.error('Failed to stop batch queue watchdog:', error);
+    }
+  }
+
+  /**
+   * Process queued jobs until the queue is empty
+   * Samples of a job run side by side, paced by the request scheduler
+   */
+  async run() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    try {
+      await this.scheduler.loadSettings();
+      // Nothing is in flight when run() starts, so any item still issuing was cut off by a restart
+      await this.recoverInterruptedItems();
+
+      while (true) {
+        const jobs = await this.loadJobs();
+        const job = jobs.find(j => this.isRunnable(j));
+
+        if (!job) {
+          await this.stopWatchdog();
+          break;
+        }
+
+        if (!job.items.some(item => item.status === 'pending')) {
+          // Park the job until the user has picked a match for every ambiguous sample
+          if (job.items.some(item => item.status === 'awaiting_input')) {
+            await this.updateJob(job.id, (j) => {
+              j.status = 'awaiting_input';
+              j.current = null;
+            });
+            continue;
+          }
+
+          // Combined jobs license every resolved sample in one final request
+          if (job.items.some(item => item.status === 'resolved')) {
+            await this.licenseCombined(job);
+            continue;
+          }
+
+          await this.updateJob(job.id, (j) => {
+            j.status = 'completed';
+            j.current = null;
+            j.completedAt = Date.now();
+          });
+          continue;
+        }
+
+        const started = await this.updateJob(job.id, (j) => {
+          if (this.isFinished(j)) return;
+          j.status = 'running';
+          // Time left is estimated from the pace since processing (re)started
+          j.progress = { startedAt: Date.now(), processed: 0 };
+        });
+
+        if (!started || this.isFinished(started)) continue;
+
+        await this.processPending(job.id);
+      }
+    } catch (error) {
+      console.error('Batch queue run failed:', error);
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  /**
+   * Work through the pending samples of a job with as many workers as the scheduler allows
+   * Workers re-read the job before taking a sample, so cancels, re-queues and picked
+   * matches are seen as soon as a sample finishes
+   * @param {string} jobId - Job ID
+   */
+  async processPending(jobId) {
+    const taken = new Set();
+
+    const worker = async () => {
+      while (true) {
+        const job = await this.getJob(jobId);
+        if (!job || !this.isRunnable(job)) return;
+
+        const index = job.items.findIndex((item, i) => item.status === 'pending' && !taken.has(i));
+        if (index === -1) return;
+
+        taken.add(index);
+        await this.processItem(job, index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: this.scheduler.concurrency }, worker));
+  }
+
+  /**
+   * Resolve and license one pending sample
+   * @param {Object} job - Job as loaded when the sample was taken
+   * @param {number} index - Item index
+   */
+  async processItem(job, index) {
+    const { sample, project = null, match: preResolved } = job.items[index];
+
+    const started = await this.updateJob(job.id, (j) => {
+      if (this.isFinished(j)) return;
+      j.status = 'running';
+      j.current = { index, sample };
+    });
+
+    if (!started || this.isFinished(started)) return;
+
+    // Samples picked from the desktop library already carry their UUID
+    const resolution = preResolved?.preResolved
+      ? this.checkInLibrary(sample, await this.withLibraryStatus(sample, preResolved))
+      : await this.resolveSample(sample);
+
+    let apply;
+    let check = null;
+    if (resolution.choices) {
+      apply = (item) => {
+        item.status = 'awaiting_input';
+        item.choices = resolution.choices;
+      };
+    } else {
+      // Don't issue a second certificate for a sample the ledger already covers
+      const skipped = resolution.match && !this.shouldReissue(job, index)
+        ? await this.findSkipResult(sample, resolution.match)
+        : null;
+
+      if (skipped) {
+        apply = (item) => {
+          item.status = 'done';
+          item.match = resolution.match;
+          item.result = { ...skipped, project };
+        };
+      } else if (resolution.match && job.options?.combined) {
+        apply = (item) => {
+          item.status = 'resolved';
+          item.match = resolution.match;
+        };
+      } else {
+        if (resolution.match) {
+          await this.markIssuing(job.id, [index], (item) => {
+            item.match = resolution.match;
+          });
+        }
+
+        const licensed = resolution.match
+          ? await this.licenseSample(sample, resolution.match, {
+            jobId: job.id,
+            project,
+            profileId: job.options?.profileId || null
+          })
+          : { result: resolution.result };
+        check = licensed.check || null;
+
+        apply = (item) => {
+          item.status = 'done';
+          item.match = resolution.match || null;
+          item.result = { ...licensed.result, project };
+          delete item.issuingSince;
+        };
+      }
+    }
+
+    await this.updateJob(job.id, (j) => {
+      apply(j.items[index]);
+      if (j.current?.index === index) {
+        j.current = null;
+      }
+      if (j.progress) {
+        j.progress.processed++;
+      }
+      j.throttle = this.scheduler.getState();
+    });
+
+    if (check) {
+      await this.checkCertificate(job.id, [index], check);
+    }
+  }
+
+  /**
+   * Mark items as issuing before their certificate request is sent
+   * Saved first so a restart during the request can't send it a second time
+   * @param {string} jobId - Job ID
+   * @param {Array<number>} indexes - Items the request covers
+   * @param {Function|null} mutator - Receives each item for extra changes
+   */
+  async markIssuing(jobId, indexes, mutator = null) {
+    await this.updateJob(jobId, (job) => {
+      for (const index of indexes) {
+        const item = job.items[index];
+        if (mutator) mutator(item);
+        item.status = 'issuing';
+        item.issuingSince = Date.now();
+      }
+    });
+  }
+
+  /**
+   * Settle items whose certificate request was cut off by a worker or browser restart
+   * Splice may or may not have issued the certificate, so the request is never sent again
+   * automatically: the ledger decides, and without an entry the sample fails with a note
+   * to check Splice before retrying
+   */
+  async recoverInterruptedItems() {
+    const jobs = await this.loadJobs();
+
+    for (const job of jobs) {
+      const outcomes = new Map();
+      for (const [index, item] of job.items.entries()) {
+        if (item.status === 'issuing') {
+          outcomes.set(index, await this.findIssuedResult(item));
+        }
+      }
+
+      if (outcomes.size === 0) continue;
+
+      await this.updateJob(job.id, (j) => {
+        for (const [index, result] of outcomes) {
+          const item = j.items[index];
+          if (item?.status !== 'issuing') continue;
+
+          item.status = 'done';
+          item.result = { ...result, project: item.project || null };
+          delete item.issuingSince;
+        }
+      });
+    }
+  }
+
+  /**
+   * Look up whether an interrupted certificate request reached the ledger
+   * @param {Object} item - Item that was issuing
+   * @returns {Promise<Object>} Result for the item
+   */
+  async findIssuedResult(item) {
+    let existing = null;
+    try {
+      existing = await LicenseLedger.findExisting({
+        assetUuids: [item.match?.objectUuid, item.match?.id]
+      });
+    } catch (error) {
+      console.error('Failed to check license ledger:', error);
+    }
+
+    if (existing && existing.createdAt >= (item.issuingSince || 0)) {
+      return {
+        sample: item.sample,
+        success: true,
+        combined: (existing.assetUuids || []).length > 1,
+        profile: existing.profileId
+          ? { id: existing.profileId, name: existing.profileName, companyName: existing.companyName || null }
+          : null,
+        verification: existing.verification || null,
+        archived: false,
+        sampleId: item.match?.id || null,
+        certificateUuid: existing.certificateUuid,
+        downloadUrl: existing.downloadUrl,
+        message: 'License generated successfully'
+      };
+    }
+
+    return {
+      sample: item.sample,
+      success: false,
+      error: 'Interrupted while the certificate was being issued. Splice may have issued it anyway, ' +
+        'so check your Splice account before retrying this sample.'
+    };
+  }
+
+  /**
+   * Check a match can be licensed
+   * @param {string} sample - Sample name
+   * @param {Object} match - Chosen search result
+   * @returns {Object} { match } when licensable, otherwise { result } with the failure
+   */
+  checkInLibrary(sample, match) {
+    if (match.inLibrary === false) {
+      return {
+        result: {
+          sample,
+          success: false,
+          error: 'Sample not in your library. Please add this sample to your Splice library before generating a license.',
+          code: SpliceError.NOT_IN_LIBRARY
+        }
+      };
+    }
+
+    return { match };
+  }
+
+  /**
+   * Build the match for a sample whose UUID is already known
+   * @param {Object} entry - Submitted entry with sample and assetUuid, and the Splice name and
+   *   metadata when it was matched in a preview
+   * @returns {Object} Match in the shape returned by searchSamples
+   */
+  createPreResolvedMatch(entry) {
+    return {
+      id: entry.assetUuid,
+      objectUuid: entry.assetUuid,
+      name: entry.name || entry.sample,
+      // Known when the entry was matched in a preview; otherwise looked up by withLibraryStatus()
+      inLibrary: typeof entry.inLibrary === 'boolean' ? entry.inLibrary : null,
+      metadata: entry.metadata || {},
+      preResolved: true
+    };
+  }
+
+  /**
+   * Fill in Splice's library status for a match whose UUID did not come from a search
+   * UUIDs from the desktop database or a project skip matching, but the sample is still
+   * looked up by name so Splice's licensed flag can be checked for that same UUID
+   * @param {string} sample - Sample name
+   * @param {Object} match - Pre-resolved match
+   * @returns {Promise<Object>} Match, with inLibrary set when Splice returned the sample
+   */
+  async withLibraryStatus(sample, match) {
+    if (typeof match.inLibrary === 'boolean') {
+      return match;
+    }
+
+    const searchResult = await this.scheduler.schedule(() => this.apiManager.searchSamples(match.name || sample));
+    const found = searchResult.success
+      ? searchResult.results.find(candidate => candidate.objectUuid === match.objectUuid || candidate.id === match.id)
+      : null;
+
+    // When Splice doesn't return the sample the status stays unknown, and the mutation decides
+    return found ? { ...match, inLibrary: found.inLibrary } : match;
+  }
+
+  /**
+   * Work out what a batch would do without issuing any certificates
+   * Samples are searched and scored as a batch would, and every candidate is checked against the ledger
+   * @param {Array<string|Object>} samples - Entries as accepted by submit()
+   * @returns {Promise<Array<Object>>} Plan items, each { sample, project, choices, confident, error }
+   *   where choices are ranked candidates with their score and any existing certificate
+   */
+  async preview(samples) {
+    await this.scheduler.loadSettings();
+    return this.scheduler.map(samples, entry => this.previewSample(entry));
+  }
+
+  /**
+   * Resolve one sample for a preview
+   * @param {string|Object} entry - Sample name, or { sample, project, assetUuid } entry
+   * @returns {Promise<Object>} Plan item
+   */
+  async previewSample(entry) {
+    const sample = typeof entry === 'string' ? entry : entry.sample;
+    const item = {
+      sample,
+      project: typeof entry === 'string' ? null : entry.project || null,
+      choices: [],
+      confident: false,
+      error: null
+    };
+
+    try {
+      if (entry.assetUuid) {
+        item.choices = [{ ...await this.withLibraryStatus(sample, this.createPreResolvedMatch(entry)), score: 1 }];
+        item.confident = true;
+      } else {
+        const searchResult = await this.scheduler.schedule(() => this.apiManager.searchSamples(sample));
+
+        if (!searchResult.success || searchResult.results.length === 0) {
+          item.error = searchResult.error || 'Sample not found on Splice. Please verify the sample name is correct.';
+          return item;
+        }
+
+        const evaluation = SampleMatcher.evaluate(sample, searchResult.results);
+        item.confident = evaluation.confident;
+        item.choices = evaluation.ranked.slice(0, this.MAX_CHOICES).map(({ candidate, score }) => ({
+          ...candidate,
+          score: Math.round(score * 100) / 100
+        }));
+      }
+
+      // A batch looks certificates up the same way before deciding to skip a sample
+      for (const choice of item.choices) {
+        const existing = await LicenseLedger.findExisting({
+          assetUuids: [choice.objectUuid, choice.id],
+          sampleName: sample
+        });
+
+        choice.existing = existing
+          ? {
+            certificateUuid: existing.certificateUuid,
+            licenseIssued: existing.licenseIssued,
+            createdAt: existing.createdAt
+          }
+          : null;
+      }
+    } catch (error) {
+      item.error = ExtensionUtils.formatError(error);
+    }
+
+    return item;
+  }
+
+  /**
+   * Search for a sample and check it can be licensed
+   * @param {string} sample - Sample name
+   * @returns {Promise<Object>} { match } when licensable, { choices } when the user must pick a
+   *   candidate, otherwise { result } with the failure
+   */
+  async resolveSample(sample) {
+    try {
+      // Step 1: Search for sample
+      const searchResult = await this.scheduler.schedule(() => this.apiManager.searchSamples(sample));
+
+      if (!searchResult.success || searchResult.results.length === 0) {
+        return {
+          result: {
+            sample,
+            success: false,
+            error: searchResult.error || 'Sample not found on Splice. Please verify the sample name is correct.',
+            code: searchResult.code || (searchResult.success ? SpliceError.NOT_FOUND : null),
+            attempts: searchResult.attempts || 1
+          }
+        };
+      }
+
+      // Only license without asking when one candidate clearly matches
+      const evaluation = SampleMatcher.evaluate(sample, searchResult.results);
+      if (!evaluation.confident) {
+        return {
+          choices: evaluation.ranked.slice(0, this.MAX_CHOICES).map(({ candidate, score }) => ({
+            ...candidate,
+            score: Math.round(score * 100) / 100
+          }))
+        };
+      }
+
+      return this.checkInLibrary(sample, evaluation.match);
+    } catch (error) {
+      return {
+        result: {
+          sample,
+          success: false,
+          error: ExtensionUtils.formatError(error),
+          code: error.code || null
+        }
+      };
+    }
+  }
+
+  /**
+   * Check if an item should get a new certificate even when one already exists
+   * @param {Object} job - Job
+   * @param {number} index - Item index
+   * @returns {boolean} True to re-issue
+   */
+  shouldReissue(job, index) {
+    return job.options?.existingPolicy === 'reissue' || !!job.items[index].reissue;
+  }
+
+  /**
+   * Build a skipped result if the ledger already holds a certificate for the sample
+   * Both signals are checked: the ledger says whether this extension issued a certificate
+   * for the asset, and Splice's `licensed` flag (the match's inLibrary) says whether
+   * Splice counts the sample as licensed to the account. The skip reason reports both.
+   * @param {string} sample - Sample name
+   * @param {Object} match - Search result chosen for the sample
+   * @returns {Promise<Object|null>} Skipped result or null
+   */
+  async findSkipResult(sample, match) {
+    try {
+      const existing = await LicenseLedger.findExisting({
+        assetUuids: [match.objectUuid, match.id],
+        sampleName: sample
+      });
+
+      if (!existing) {
+        return null;
+      }
+
+      const issued = new Date(existing.licenseIssued || existing.createdAt).toLocaleDateString();
+      const certificate = existing.certificateUuid ? ` (certificate ${existing.certificateUuid})` : '';
+      const splice = match.inLibrary ? '; Splice also lists it as licensed to you' : '';
+
+      return {
+        sample,
+        success: true,
+        skipped: true,
+        sampleId: match.id,
+        reason: `Already licensed on ${issued}${certificate}${splice}`,
+        existing: {
+          certificateUuid: existing.certificateUuid,
+          downloadUrl: existing.downloadUrl,
+          licenseIssued: existing.licenseIssued,
+          createdAt: existing.createdAt
+        }
+      };
+    } catch (error) {
+      // If the ledger can't be read, fall back to generating a license
+      console.error('Failed to check license ledger:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Generate a license for a single resolved sample
+   * @param {string} sample - Sample name
+   * @param {Object} match - Search result chosen for the sample
+   * @param {Object} context - Where the sample came from
+   * @param {string} context.jobId - Job the sample belongs to
+   * @param {string|null} context.project - Project the sample was imported from
+   * @param {string|null} context.profileId - License profile to issue under, or null for the default profile
+   * @returns {Promise<Object>} { result, check } where result is in the shape shown by the popup and
+   *   check, set once a certificate was issued, is what checkCertificate() needs to verify it
+   */
+  async licenseSample(sample, match, { jobId, project = null, profileId = null }) {
+    try {
+      // Step 2: Generate license using API
+      const licenseInfo = await LicenseInfoManager.getLicenseInfo(profileId);
+
+      if (!licenseInfo) {
+        return {
+          result: {
+            sample,
+            success: false,
+            error: await this.getLicenseInfoError(profileId)
+          }
+        };
+      }
+
+      const profile = this.toProfileRecord(licenseInfo);
+
+      // License exactly the candidate that was scored and checked, never a fresh search hit
+      const licenseResult = await this.scheduler.schedule(() =>
+        this.apiManager.generateLicense(match.objectUuid || match.id, licenseInfo), 1, { mutation: true });
+
+      if (!licenseResult.success) {
+        return {
+          result: {
+            sample,
+            success: false,
+            error: licenseResult.error || 'Failed to generate license',
+            code: licenseResult.code || null,
+            attempts: licenseResult.attempts || 1
+          }
+        };
+      }
+
+      const covered = [{
+        sampleName: sample,
+        assetUuid: licenseResult.result?.record?.assetUuids?.[0] || match.objectUuid || match.id,
+        project,
+        pack: match.metadata?.pack || null
+      }];
+
+      // Record the certificate straight away; it is downloaded and checked once the result is stored
+      await this.recordInLedger(licenseResult.result, covered, { jobId, profile });
+
+      return {
+        result: {
+          sample,
+          success: true,
+          profile,
+          verification: null,
+          archived: false,
+          sampleId: match.id,
+          certificateUuid: licenseResult.result?.record?.uuid || null,
+          downloadUrl: licenseResult.downloadUrl,
+          message: 'License generated successfully'
+        },
+        // Check the certificate against the request, using the name Splice knows the sample by
+        check: {
+          outcome: licenseResult,
+          licenseInfo,
+          profile,
+          samples: [{ sampleName: match.name || sample, assetUuid: covered[0].assetUuid }]
+        }
+      };
+    } catch (error) {
+      return {
+        result: {
+          sample,
+          success: false,
+          error: ExtensionUtils.formatError(error),
+          code: error.code || null
+        }
+      };
+    }
+  }
+
+  /**
+   * Issue one certificate covering every resolved sample of a combined job
+   * @param {Object} job - Job whose samples have all been resolved
+   */
+  async licenseCombined(job) {
+    const resolved = job.items
+      .map((item, index) => ({ ...item, index }))
+      .filter(item => item.status === 'resolved');
+
+    await this.updateJob(job.id, (j) => {
+      j.current = { index: null, sample: `Combined certificate for ${resolved.length} samples` };
+    });
+
+    const profileId = job.options?.profileId || null;
+    let outcome;
+    let profile = null;
+    let licenseInfo = null;
+    try {
+      licenseInfo = await LicenseInfoManager.getLicenseInfo(profileId);
+
+      if (!licenseInfo) {
+        outcome = {
+          success: false,
+          error: await this.getLicenseInfoError(profileId)
+        };
+      } else {
+        profile = this.toProfileRecord(licenseInfo);
+        // Object UUIDs (catalog_uuid) are what the mutation expects, as in single-sample generation
+        const sampleIds = resolved.map(item => item.match.objectUuid || item.match.id);
+        await this.markIssuing(job.id, resolved.map(item => item.index));
+        outcome = await this.scheduler.schedule(() =>
+          this.apiManager.generateCombinedLicense(sampleIds, licenseInfo), 1, { mutation: true });
+      }
+    } catch (error) {
+      outcome = { success: false, error: ExtensionUtils.formatError(error), code: error.code || null };
+    }
+
+    if (outcome.success) {
+      await this.recordInLedger(outcome.result, resolved.map(item => ({
+        sampleName: item.sample,
+        assetUuid: item.match.objectUuid || item.match.id,
+        project: item.project || null,
+        pack: item.match.metadata?.pack || null
+      })), { jobId: job.id, profile });
+    }
+
+    await this.updateJob(job.id, (j) => {
+      for (const item of resolved) {
+        const target = j.items[item.index];
+        target.status = 'done';
+        delete target.issuingSince;
+        target.result = outcome.success
+          ? {
+            sample: item.sample,
+            project: item.project || null,
+            success: true,
+            combined: true,
+            profile,
+            verification: null,
+            archived: false,
+            sampleId: item.match.id,
+            certificateUuid: outcome.result?.record?.uuid || null,
+            downloadUrl: outcome.downloadUrl,
+            message: `Included in a combined license for ${resolved.length} samples`
+          }
+          : {
+            sample: item.sample,
+            project: item.project || null,
+            success: false,
+            error: outcome.error || 'Failed to generate license',
+            code: outcome.code || null,
+            attempts: outcome.attempts || 1
+          };
+      }
+      j.current = null;
+    });
+
+    if (outcome.success) {
+      await this.checkCertificate(job.id, resolved.map(item => item.index), {
+        outcome,
+        licenseInfo,
+        profile,
+        samples: resolved.map(item => ({
+          sampleName: item.match.name || item.sample,
+          assetUuid: item.match.objectUuid || item.match.id
+        }))
+      });
+    }
+  }
+
+  /**
+   * Verify and archive a certificate whose ledger entry and job results are already stored
+   * Running this only after both are written means a worker stopped while the PDF downloads
+   * never loses track of a certificate Splice has issued
+   * @param {string} jobId - Job the certificate was issued for
+   * @param {Array<number>} indexes - Items the certificate covers
+   * @param {Object} check - { outcome, licenseInfo, profile, samples } as passed to processCertificate()
+   */
+  async checkCertificate(jobId, indexes, { outcome, ...context }) {
+    const { verification, archived } = await this.processCertificate(outcome, context);
+    const certificateUuid = outcome.result?.record?.uuid || null;
+
+    if (certificateUuid) {
+      try {
+        await LicenseLedger.setVerification(certificateUuid, verification);
+      } catch (error) {
+        console.error('Failed to record certificate check in ledger:', error);
+      }
+    }
+
+    await this.updateJob(jobId, (job) => {
+      for (const index of indexes) {
+        const result = job.items[index]?.result;
+        // Items re-queued in the meantime belong to another certificate
+        if (result?.success && !result.skipped && result.certificateUuid === certificateUuid) {
+          result.verification = verification;
+          result.archived = archived;
+        }
+      }
+    });
+  }
+
+  /**
+   * Download a generated certificate once, then verify and archive it
+   * A certificate that can't be downloaded is reported as unverified, never as a mismatch,
+   * and archiving failures are logged but never fail the license itself
+   * @param {Object} outcome - Successful result of generateLicense or generateCombinedLicense
+   * @param {Object} context - What the certificate should show
+   * @param {Object} context.licenseInfo - Profile it was issued under
+   * @param {Object} context.profile - Profile record kept with results
+   * @param {Array<Object>} context.samples - Samples covered, each { sampleName, assetUuid }
+   * @returns {Promise<Object>} { verification, archived }
+   */
+  async processCertificate(outcome, { licenseInfo, profile, samples }) {
+    let blob;
+    try {
+      blob = await this.apiManager.downloadCertificate(outcome.downloadUrl);
+    } catch (error) {
+      console.error('Failed to download certificate:', error);
+      return { verification: CertificateVerifier.unverified(error), archived: false };
+    }
+
+    const verification = await CertificateVerifier.verifyPdf(await blob.arrayBuffer(), {
+      legalName: licenseInfo.legalName,
+      artistName: licenseInfo.artistName,
+      samples
+    });
+
+    const record = outcome.result?.record;
+    if (!record?.uuid) {
+      return { verification, archived: false };
+    }
+
+    try {
+      await CertificateArchive.save(blob, {
+        certificateUuid: record.uuid,
+        sampleNames: samples.map(sample => sample.sampleName),
+        downloadUrl: outcome.downloadUrl,
+        licenseIssued: record.licenseIssued || null,
+        profileName: profile?.name || null
+      });
+      return { verification, archived: true };
+    } catch (error) {
+      console.error('Failed to archive certificate:', error);
+      return { verification, archived: false };
+    }
+  }
+
+  /**
+   * Explain why license information could not be read
+   * @param {string|null} profileId - Profile the job asked for
+   * @returns {Promise<string>} Error message for the result
+   */
+  async getLicenseInfoError(profileId = null) {
+    if (await LicenseInfoManager.isLocked()) {
+      return 'License information is locked. Enter your passphrase in the extension options to unlock it.';
+    }
+    if (profileId && (await LicenseInfoManager.hasLicenseInfo())) {
+      return 'The license profile chosen for this batch no longer exists.';
+    }
+    return 'License information not configured. Please set up your license details in the extension options.';
+  }
+
+  /**
+   * Keep the parts of a profile worth recording with results
+   * Legal and artist names are already part of Splice's certificate record
+   * @param {Object} licenseInfo - Profile from LicenseInfoManager
+   * @returns {Object} { id, name, companyName }
+   */
+  toProfileRecord(licenseInfo) {
+    return {
+      id: licenseInfo.id,
+      name: licenseInfo.name,
+      companyName: licenseInfo.companyName || null
+    };
+  }
+
+  /**
+   * Record a generated certificate in the license ledger
+   * A ledger failure is logged but never fails the license itself
+   * @param {Object} proofOfLicense - proofOfLicense payload returned by Splice
+   * @param {Array<Object>} samples - Samples covered, each { sampleName, assetUuid, project, pack }
+   * @param {Object} context - Where the certificate came from
+   * @param {string} context.jobId - Job that generated the certificate
+   * @param {Object|null} context.profile - License profile it was issued under
+   */
+  async recordInLedger(proofOfLicense, samples, { jobId, profile = null }) {
+    try {
+      const session = await this.apiManager.sessionManager.checkUserLoggedIn();
+
+      await LicenseLedger.recordCertificate(proofOfLicense, samples, {
+        spliceUser: ExtensionUtils.extractUsername(session?.user),
+        jobId,
+        profile
+      });
+    } catch (error) {
+      console.error('Failed to record license in ledger:', error);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BatchJobQueue;
+}
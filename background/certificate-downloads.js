@@ -0,0 +1,252 @@
+/**
+ * Certificate downloads for the Splice Chrome Extension
+ * Saves certificate PDFs through chrome.downloads into a folder per project or
+ * batch, named from the file name template, and records where each one was saved
+ */
+
+class CertificateDownloads {
+  /**
+   * @param {BatchJobQueue} batchQueue - Queue whose job results receive saved paths
+   */
+  constructor(batchQueue) {
+    this.batchQueue = batchQueue;
+    this.BASE_FOLDER = 'Splice Licenses';
+    this.FOLDER_MODE_KEY = 'certificateFolderMode';
+    this.CONFLICT_ACTION_KEY = 'certificateConflictAction';
+    this.PENDING_KEY = 'pendingCertificateDownloads';
+    this.FOLDER_MODES = ['project', 'batch', 'none'];
+    this.CONFLICT_ACTIONS = ['uniquify', 'overwrite', 'prompt'];
+    this.pendingChain = Promise.resolve();
+  }
+
+  /**
+   * Get the download settings
+   * @returns {Promise<Object>} { folderMode, conflictAction }
+   */
+  async getSettings() {
+    const data = await chrome.storage.local.get([this.FOLDER_MODE_KEY, this.CONFLICT_ACTION_KEY]);
+
+    return {
+      folderMode: this.FOLDER_MODES.includes(data[this.FOLDER_MODE_KEY]) ? data[this.FOLDER_MODE_KEY] : 'project',
+      conflictAction: this.CONFLICT_ACTIONS.includes(data[this.CONFLICT_ACTION_KEY]) ? data[this.CONFLICT_ACTION_KEY] : 'uniquify'
+    };
+  }
+
+  /**
+   * Save the certificates of a batch job
+   * @param {string} jobId - Job whose results to save
+   * @param {Array<string>|null} certificateUuids - Certificates to save, or null for every certificate in the job
+   * @returns {Promise<Object>} { started, failed } where failed lists { certificateUuid, error }
+   */
+  async saveJobCertificates(jobId, certificateUuids = null) {
+    const job = await this.batchQueue.getJob(jobId);
+    if (!job) {
+      throw new Error('Batch job not found');
+    }
+
+    const wanted = certificateUuids ? new Set(certificateUuids) : null;
+    const projects = new Map();
+
+    job.items.forEach(item => {
+      const uuid = this.getCertificateUuid(item.result);
+      if (uuid && (!wanted || wanted.has(uuid)) && !projects.has(uuid)) {
+        projects.set(uuid, item.project || null);
+      }
+    });
+
+    const [template, settings, entries] = await Promise.all([
+      CertificateExport.getTemplate(),
+      this.getSettings(),
+      LicenseLedger.getAll()
+    ]);
+    const certificates = CertificateExport.groupByCertificate(
+      entries.filter(entry => projects.has(entry.certificateUuid))
+    );
+
+    let started = 0;
+    const failed = [];
+    // Certificates whose names come out the same would overwrite each other under the 'overwrite' action
+    const usedPaths = new Set();
+
+    for (const certificate of certificates) {
+      try {
+        const folder = this.getFolder(settings.folderMode, job, projects.get(certificate.certificateUuid));
+        const fileName = CertificateExport.formatFileName(template, certificate);
+        const downloadId = await chrome.downloads.download({
+          url: await this.getSourceUrl(certificate),
+          filename: CertificateExport.uniqueFileName(folder ? `${folder}/${fileName}` : fileName, usedPaths),
+          conflictAction: settings.conflictAction,
+          saveAs: false
+        });
+
+        await this.trackDownload(downloadId, { jobId, certificateUuid: certificate.certificateUuid });
+        started++;
+      } catch (error) {
+        console.error(`Failed to save certificate ${certificate.certificateUuid}:`, error);
+        failed.push({ certificateUuid: certificate.certificateUuid, error: ExtensionUtils.formatError(error) });
+      }
+    }
+
+    return { started, failed };
+  }
+
+  /**
+   * Get the certificate a result refers to
+   * Skipped results point at the certificate issued earlier
+   * @param {Object|null} result - Job item result
+   * @returns {string|null} Certificate UUID
+   */
+  getCertificateUuid(result) {
+    if (!result) {
+      return null;
+    }
+    return result.success ? result.certificateUuid || null : result.existing?.certificateUuid || null;
+  }
+
+  /**
+   * Build the subfolder of the Downloads folder a certificate is saved in
+   * @param {string} folderMode - 'project', 'batch' or 'none'
+   * @param {Object} job - Batch job the certificate belongs to
+   * @param {string|null} project - Project the sample was imported from
+   * @returns {string} Folder path without a trailing slash, or an empty string for the Downloads folder itself
+   */
+  getFolder(folderMode, job, project) {
+    if (folderMode === 'none') {
+      return '';
+    }
+
+    const created = new Date(job.createdAt);
+    const time = `${String(created.getHours()).padStart(2, '0')}-${String(created.getMinutes()).padStart(2, '0')}`;
+    const batchName = `Batch ${CertificateExport.formatDate(job.createdAt)} ${time}`;
+    const name = folderMode === 'project' && project ? project : batchName;
+
+    // Chrome rejects path components that start or end with dots or spaces
+    const safeName = CertificateExport.sanitize(name).replace(/^[.\s]+|[.\s]+$/g, '') || batchName;
+    return `${this.BASE_FOLDER}/${safeName}`;
+  }
+
+  /**
+   * Get a URL chrome.downloads can save a certificate from
+   * Archived PDFs are saved from a data URL, so expired Splice links still work
+   * @param {Object} certificate - Certificate from CertificateExport.groupByCertificate()
+   * @returns {Promise<string>} Data URL or Splice download URL
+   */
+  async getSourceUrl(certificate) {
+    const archived = await CertificateArchive.get(certificate.certificateUuid);
+    if (archived) {
+      const bytes = new Uint8Array(await archived.blob.arrayBuffer());
+      return `data:application/pdf;base64,${LicenseInfoEncryption.toBase64(bytes)}`;
+    }
+
+    if (!certificate.downloadUrl) {
+      throw new Error('Certificate is not archived and has no download link');
+    }
+    return certificate.downloadUrl;
+  }
+
+  /**
+   * Remember which certificate a download belongs to until it finishes
+   * Kept in session storage so the service worker can be restarted in between.
+   * Small data URL downloads can finish before this runs, so their onChanged event
+   * finds nothing pending; those are settled here instead.
+   * @param {number} downloadId - chrome.downloads ID
+   * @param {Object} details - { jobId, certificateUuid }
+   */
+  async trackDownload(downloadId, details) {
+    await this.updatePending((pending) => {
+      pending[downloadId] = details;
+    });
+
+    const [download] = await chrome.downloads.search({ id: downloadId });
+    if (download && download.state !== 'in_progress') {
+      await this.settleDownload(downloadId, download.state, download.error || null);
+    }
+  }
+
+  /**
+   * Change the pending downloads, one change at a time
+   * onChanged events and trackDownload() can race for the same entry
+   * @param {Function} updater - Receives the pending map to modify, and may return a value
+   * @returns {Promise<*>} Whatever the updater returned
+   */
+  updatePending(updater) {
+    const run = async () => {
+      const data = await chrome.storage.session.get(this.PENDING_KEY);
+      const pending = data[this.PENDING_KEY] || {};
+      const value = updater(pending);
+      await chrome.storage.session.set({ [this.PENDING_KEY]: pending });
+      return value;
+    };
+
+    const next = this.pendingChain.then(run, run);
+    this.pendingChain = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Record where a finished download was saved
+   * @param {Object} delta - chrome.downloads.onChanged details
+   */
+  async handleChanged(delta) {
+    const state = delta.state?.current;
+    if (state !== 'complete' && state !== 'interrupted') {
+      return;
+    }
+
+    await this.settleDownload(delta.id, state, delta.error?.current || null);
+  }
+
+  /**
+   * Record the outcome of a tracked download once, whichever of onChanged or trackDownload() sees it first
+   * @param {number} downloadId - chrome.downloads ID
+   * @param {string} state - 'complete' or 'interrupted'
+   * @param {string|null} reason - chrome.downloads interrupt reason
+   */
+  async settleDownload(downloadId, state, reason) {
+    try {
+      const details = await this.updatePending((pending) => {
+        const entry = pending[downloadId];
+        delete pending[downloadId];
+        return entry;
+      });
+      if (!details) {
+        return;
+      }
+
+      if (state === 'complete') {
+        const [download] = await chrome.downloads.search({ id: downloadId });
+        await this.recordSavedPath(details, download?.filename || null, null);
+      } else {
+        await this.recordSavedPath(details, null, reason || 'Download was interrupted');
+      }
+    } catch (error) {
+      console.error('Failed to record saved certificate:', error);
+    }
+  }
+
+  /**
+   * Store the outcome of a download with the job results and the ledger
+   * @param {Object} details - { jobId, certificateUuid }
+   * @param {string|null} savedPath - Full path of the saved file
+   * @param {string|null} error - Why the download failed
+   */
+  async recordSavedPath({ jobId, certificateUuid }, savedPath, error) {
+    await this.batchQueue.updateJob(jobId, (job) => {
+      job.items.forEach(item => {
+        if (this.getCertificateUuid(item.result) === certificateUuid) {
+          item.result.savedPath = savedPath;
+          item.result.saveError = error;
+        }
+      });
+    });
+
+    if (savedPath) {
+      await LicenseLedger.setSavedPath(certificateUuid, savedPath);
+    }
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CertificateDownloads;
+}
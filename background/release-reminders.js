@@ -0,0 +1,145 @@
+/**
+ * Release reminders for Splice License Batch Generator
+ * Warns ahead of a project's release date while any of its samples still has
+ * no license. An hourly alarm checks every project, and each reminder is only
+ * shown once per project, release date and reminder day.
+ */
+
+class ReleaseReminders {
+  constructor() {
+    this.SETTING_KEY = 'releaseReminderDays';
+    this.SENT_KEY = 'releaseRemindersSent';
+    this.DEFAULT_DAYS = [7, 1];
+    this.ALARM = 'releaseReminders';
+    this.NOTIFICATION_PREFIX = 'releaseReminder:';
+    this.CHECK_INTERVAL_MINUTES = 60;
+  }
+
+  /**
+   * Get the configured reminder days
+   * @returns {Promise<Array<number>>} Days before release to remind on, largest first; empty when reminders are off
+   */
+  async getDays() {
+    const data = await chrome.storage.local.get(this.SETTING_KEY);
+    const days = data[this.SETTING_KEY];
+    return Array.isArray(days) ? [...days].sort((a, b) => b - a) : this.DEFAULT_DAYS;
+  }
+
+  /**
+   * Make sure the hourly check alarm exists
+   */
+  async configure() {
+    try {
+      const existing = await chrome.alarms.get(this.ALARM);
+      if (!existing) {
+        await chrome.alarms.create(this.ALARM, {
+          delayInMinutes: 1,
+          periodInMinutes: this.CHECK_INTERVAL_MINUTES
+        });
+      }
+    } catch (error) {
+      console.error('Failed to schedule release reminders:', error);
+    }
+  }
+
+  /**
+   * Notify about every project whose release is close and that still has unlicensed samples
+   */
+  async check() {
+    try {
+      const days = await this.getDays();
+      if (days.length === 0) {
+        return;
+      }
+
+      const [projects, entries, jobs] = await Promise.all([
+        ProjectStore.getAll(),
+        LicenseLedger.getAll(),
+        ProjectStore.getJobs()
+      ]);
+      const data = await chrome.storage.local.get(this.SENT_KEY);
+      const sent = data[this.SENT_KEY] || {};
+      const active = {};
+
+      for (const project of projects) {
+        if (!project.releaseDate) continue;
+
+        const daysLeft = this.getDaysUntil(project.releaseDate);
+        if (daysLeft < 0) continue;
+
+        // Keep what was sent for upcoming releases; moved or past releases start over
+        Object.keys(sent)
+          .filter(key => key.startsWith(`${project.id}:${project.releaseDate}:`))
+          .forEach(key => { active[key] = sent[key]; });
+
+        // Remind once for the nearest reminder day that has been reached
+        const due = days.filter(day => daysLeft <= day).pop();
+        const key = `${project.id}:${project.releaseDate}:${due}`;
+        if (due === undefined || active[key]) continue;
+
+        const coverage = await ProjectStore.getCoverage(project, { entries, jobs });
+        const unlicensed = coverage.total - coverage.counts.licensed;
+        if (unlicensed === 0) continue;
+
+        await this.notify(project, unlicensed, daysLeft);
+        active[key] = Date.now();
+      }
+
+      await chrome.storage.local.set({ [this.SENT_KEY]: active });
+    } catch (error) {
+      console.error('Release reminder check failed:', error);
+    }
+  }
+
+  /**
+   * Count the days from today until a release date
+   * @param {string} releaseDate - Date as YYYY-MM-DD
+   * @returns {number} Days left, 0 on the release day and negative once it has passed
+   */
+  getDaysUntil(releaseDate) {
+    const [year, month, day] = releaseDate.split('-').map(Number);
+    const now = new Date();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    return Math.round((new Date(year, month - 1, day) - today) / 86400000);
+  }
+
+  /**
+   * Show a reminder for a project
+   * @param {Object} project - Project
+   * @param {number} unlicensed - Samples without a license
+   * @param {number} daysLeft - Days until release
+   */
+  async notify(project, unlicensed, daysLeft) {
+    const when = daysLeft === 0 ? 'today' : daysLeft === 1 ? 'tomorrow' : `in ${daysLeft} days`;
+
+    await chrome.notifications.create(`${this.NOTIFICATION_PREFIX}${project.id}`, {
+      type: 'basic',
+      iconUrl: chrome.runtime.getURL('icons/icon128.png'),
+      title: `${project.name} releases ${when}`,
+      message: `${unlicensed} sample${unlicensed !== 1 ? 's' : ''} still ${unlicensed !== 1 ? 'have' : 'has'} no license. ` +
+        'Click to open the project and license them.',
+      priority: 2
+    });
+  }
+
+  /**
+   * Open the project page when a reminder is clicked
+   * @param {string} notificationId - Clicked notification
+   */
+  async handleClick(notificationId) {
+    if (!notificationId.startsWith(this.NOTIFICATION_PREFIX)) {
+      return;
+    }
+
+    const projectId = notificationId.slice(this.NOTIFICATION_PREFIX.length);
+    const params = new URLSearchParams({ id: projectId, remind: '1' });
+
+    await chrome.tabs.create({ url: chrome.runtime.getURL(`projects/projects.html?${params}`) });
+    await chrome.notifications.clear(notificationId);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReleaseReminders;
+}
@@ -0,0 +1,239 @@
+/**
+ * Request scheduler for Splice License Batch Generator
+ * Paces batch requests to Splice: several samples run at once, a token bucket
+ * caps the request rate, and the rate is halved (with a pause) whenever Splice
+ * answers 429 or 5xx, then recovers step by step while requests succeed.
+ * Requests that fail for a transient reason are retried with exponential backoff;
+ * requests that change something on Splice are only retried when Splice certainly
+ * did not act on them.
+ */
+
+class RequestScheduler {
+  constructor() {
+    this.SETTINGS_KEY = 'batchThrottle';
+    this.DEFAULTS = { concurrency: 2, requestsPerMinute: 30 };
+    this.MAX_CONCURRENCY = 5;
+    this.MAX_REQUESTS_PER_MINUTE = 120;
+    this.BURST = 3; // Requests that may go out back to back after a quiet spell
+    this.MIN_RATE_FACTOR = 0.1; // Never slow down below a tenth of the configured rate
+    this.RECOVERY_STEP = 0.1; // Rate regained after each successful request
+    this.BASE_BACKOFF = 5000;
+    this.MAX_BACKOFF = 120000;
+    this.MAX_RETRIES = 3;
+    this.RETRY_DELAY = 2000; // Doubles with each retry
+
+    this.settings = { ...this.DEFAULTS };
+    this.tokens = this.BURST;
+    this.lastRefill = Date.now();
+    this.rateFactor = 1;
+    this.strikes = 0;
+    this.pausedUntil = 0;
+    this.acquireChain = Promise.resolve();
+  }
+
+  /**
+   * Load concurrency and rate settings
+   * @returns {Promise<Object>} { concurrency, requestsPerMinute }
+   */
+  async loadSettings() {
+    try {
+      const data = await chrome.storage.local.get(this.SETTINGS_KEY);
+      this.settings = this.normalizeSettings(data[this.SETTINGS_KEY]);
+    } catch (error) {
+      console.error('Failed to load batch speed settings:', error);
+    }
+    return this.settings;
+  }
+
+  /**
+   * Clamp stored settings to supported values
+   * @param {Object|undefined} settings - Stored settings
+   * @returns {Object} { concurrency, requestsPerMinute }
+   */
+  normalizeSettings(settings = {}) {
+    const clamp = (value, min, max, fallback) =>
+      Number.isFinite(value) ? Math.min(max, Math.max(min, Math.round(value))) : fallback;
+
+    return {
+      concurrency: clamp(settings?.concurrency, 1, this.MAX_CONCURRENCY, this.DEFAULTS.concurrency),
+      requestsPerMinute: clamp(settings?.requestsPerMinute, 1, this.MAX_REQUESTS_PER_MINUTE, this.DEFAULTS.requestsPerMinute)
+    };
+  }
+
+  /**
+   * Samples processed at the same time
+   * @returns {number} Concurrency
+   */
+  get concurrency() {
+    return this.settings.concurrency;
+  }
+
+  /**
+   * Requests per minute after any slowdown
+   * @returns {number} Current rate
+   */
+  getRequestsPerMinute() {
+    return this.settings.requestsPerMinute * this.rateFactor;
+  }
+
+  /**
+   * Add the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const perMs = this.getRequestsPerMinute() / 60000;
+    this.tokens = Math.min(this.BURST, this.tokens + (now - this.lastRefill) * perMs);
+    this.lastRefill = now;
+  }
+
+  /**
+   * Wait until a request may be sent
+   * Callers are served in order, so one busy worker can't starve the others
+   * @param {number} cost - Requests the task makes
+   * @returns {Promise<void>}
+   */
+  acquire(cost = 1) {
+    const take = async () => {
+      while (true) {
+        const paused = this.pausedUntil - Date.now();
+        if (paused > 0) {
+          await new Promise(resolve => setTimeout(resolve, paused));
+          continue;
+        }
+
+        this.refill();
+        if (this.tokens >= cost) {
+          this.tokens -= cost;
+          return;
+        }
+
+        const perMs = this.getRequestsPerMinute() / 60000;
+        await new Promise(resolve => setTimeout(resolve, Math.ceil((cost - this.tokens) / perMs)));
+      }
+    };
+
+    const next = this.acquireChain.then(take, take);
+    this.acquireChain = next.catch(() => {});
+    return next;
+  }
+
+  /**
+   * Run a Splice request once the rate limit allows it, and adapt to how Splice answered
+   * Rate-limited and network failures are tried again up to MAX_RETRIES times; other
+   * failures are returned straight away since repeating them can't help
+   * @param {Function} task - Returns a promise for a result with success and, on failure, code,
+   *   status, retryAfter and sent
+   * @param {number} cost - Requests the task makes
+   * @param {Object} options - Retry options
+   * @param {boolean} options.mutation - The task changes something on Splice, such as issuing a
+   *   certificate, so it is only retried when SpliceError.isSafeToRetry says it had no effect
+   * @returns {Promise<Object>} Task result, with attempts set when it took more than one
+   */
+  async schedule(task, cost = 1, { mutation = false } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      await this.acquire(cost);
+      const result = await task();
+
+      if (this.isThrottled(result)) {
+        this.slowDown(result.retryAfter);
+      } else if (result?.success) {
+        this.recover();
+      }
+
+      const retryable = SpliceError.isTransient(result?.code) && (!mutation || SpliceError.isSafeToRetry(result));
+      if (result?.success || !retryable || attempt > this.MAX_RETRIES) {
+        return attempt > 1 ? { ...result, attempts: attempt } : result;
+      }
+
+      const delay = this.getRetryDelay(attempt, result.retryAfter);
+      console.warn(`Request failed (${result.code}), retrying in ${Math.round(delay / 1000)}s: ${result.error}`);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+
+  /**
+   * Work out how long to wait before a retry
+   * @param {number} attempt - Attempts made so far
+   * @param {number|null} retryAfter - Seconds Splice asked to wait
+   * @returns {number} Delay in milliseconds, with jitter so parallel workers don't retry in step
+   */
+  getRetryDelay(attempt, retryAfter = null) {
+    const backoff = Math.min(this.MAX_BACKOFF, this.RETRY_DELAY * 2 ** (attempt - 1));
+    const jittered = backoff / 2 + Math.random() * backoff / 2;
+    return Math.max(jittered, (retryAfter || 0) * 1000);
+  }
+
+  /**
+   * Run a task for each item with the configured concurrency
+   * @param {Array} items - Items
+   * @param {Function} task - Receives an item and returns a promise
+   * @returns {Promise<Array>} Results in item order
+   */
+  async map(items, task) {
+    const results = new Array(items.length);
+    let next = 0;
+
+    const worker = async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await task(items[index], index);
+      }
+    };
+
+    await Promise.all(Array.from({ length: Math.min(this.concurrency, items.length) }, worker));
+    return results;
+  }
+
+  /**
+   * Check if a result means Splice wants fewer requests
+   * @param {Object|undefined} result - Task result
+   * @returns {boolean} True when rate limited or answered with 429 or 5xx
+   */
+  isThrottled(result) {
+    const status = result?.status;
+    return result?.code === SpliceError.RATE_LIMITED || status === 429 || (status >= 500 && status < 600);
+  }
+
+  /**
+   * Halve the rate and pause, for Retry-After seconds when Splice sent it or with growing backoff
+   * @param {number|null} retryAfter - Seconds Splice asked to wait
+   */
+  slowDown(retryAfter = null) {
+    this.strikes++;
+    this.rateFactor = Math.max(this.MIN_RATE_FACTOR, this.rateFactor / 2);
+    this.tokens = 0;
+
+    const backoff = retryAfter
+      ? retryAfter * 1000
+      : Math.min(this.MAX_BACKOFF, this.BASE_BACKOFF * 2 ** (this.strikes - 1));
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + backoff);
+
+    console.warn(`Splice is throttling requests; pausing ${Math.round(backoff / 1000)}s and slowing to ` +
+      `${this.getRequestsPerMinute().toFixed(1)} requests per minute`);
+  }
+
+  /**
+   * Win back some of the configured rate after a successful request
+   */
+  recover() {
+    this.strikes = 0;
+    this.rateFactor = Math.min(1, this.rateFactor + this.RECOVERY_STEP);
+  }
+
+  /**
+   * Describe the current pace for progress displays
+   * @returns {Object} { slowed, pausedUntil, requestsPerMinute }
+   */
+  getState() {
+    return {
+      slowed: this.rateFactor < 1,
+      pausedUntil: this.pausedUntil > Date.now() ? this.pausedUntil : null,
+      requestsPerMinute: Math.round(this.getRequestsPerMinute() * 10) / 10
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RequestScheduler;
+}
@@ -3,6 +3,26 @@
  * Handles session management, API coordination, and background tasks
  */
 
+importScripts(
+  '../shared/encryption.js',
+  '../shared/utils.js',
+  '../shared/splice-errors.js',
+  '../shared/database.js',
+  '../shared/license-ledger.js',
+  '../shared/sample-matcher.js',
+  '../shared/pdf-text.js',
+  '../shared/certificate-verifier.js',
+  '../shared/certificate-archive.js',
+  '../shared/certificate-export.js',
+  '../shared/batch-job-store.js',
+  '../shared/project-store.js',
+  'request-scheduler.js',
+  'batch-queue.js',
+  'certificate-downloads.js',
+  'release-reminders.js',
+  'auto-lock.js'
+);
+
 class SpliceSessionManager {
   constructor() {
     this.sessionCache = null;
@@ -196,7 +216,7 @@ class SpliceSessionManager {
             try {
               await chrome.scripting.executeScript({
                 target: { tabId: spliceTab.id },
-                files: ['content/content-script.js']
+                files: ['shared/splice-errors.js', 'content/content-script.js']
               });
 
               // Wait a moment for the script to initialize
@@ -275,7 +295,7 @@ class SpliceSessionManager {
             try {
               await chrome.scripting.executeScript({
                 target: { tabId: tab.id },
-                files: ['content/content-script.js']
+                files: ['shared/splice-errors.js', 'content/content-script.js']
               });
 
               // Wait a moment for the script to initialize
@@ -392,6 +412,7 @@ class SpliceSessionManager {
 class SpliceAPIManager {
   constructor() {
     this.sessionManager = new SpliceSessionManager();
+    this.SEARCH_LIMIT = 10; // Candidates requested per search, so near-misses can be offered
   }
 
   /**
@@ -474,23 +495,26 @@ class SpliceAPIManager {
       try {
         const response = await chrome.tabs.sendMessage(targetTab.id, {
           action: 'searchSampleViaGraphQL',
-          sampleName: query
+          sampleName: query,
+          limit: this.SEARCH_LIMIT
         });
 
         if (response && response.success) {
           // Convert GraphQL response format to our expected format
-          const result = response.sample ? {
-            id: response.sample.assetUuid,
-            name: query,
+          const samples = response.samples || (response.sample ? [response.sample] : []);
+          const results = samples.map(sample => ({
+            id: sample.assetUuid,
+            objectUuid: sample.objectUuid,
+            name: sample.name || query,
             url: null,
-            inLibrary: response.sample.licensed || false,
-            metadata: {}
-          } : null;
+            inLibrary: sample.licensed || false,
+            metadata: sample.metadata || {}
+          }));
 
           return {
             query,
-            results: result ? [result] : [],
-            total: result ? 1 : 0,
+            results,
+            total: results.length,
             success: true
           };
         } else {
@@ -498,17 +522,21 @@ class SpliceAPIManager {
             query,
             results: [],
             success: false,
-            error: response?.error || 'Sample not found'
+            error: response?.error || 'Sample not found',
+            code: response?.code || null,
+            status: response?.status || null,
+            retryAfter: response?.retryAfter || null
           };
         }
       } catch (error) {
-        // Handle connection errors gracefully
+        // Handle connection errors gracefully; the content script may still be loading, so retrying can help
         if (error.message && error.message.includes('Receiving end does not exist')) {
           return {
             query,
             results: [],
             success: false,
-            error: 'Please refresh the Splice.com page and try again.'
+            error: 'Please refresh the Splice.com page and try again.',
+            code: SpliceError.NETWORK
           };
         }
 
@@ -609,7 +637,6 @@ class SpliceAPIManager {
           const response = await chrome.tabs.sendMessage(spliceTab.id, {
             action: 'generateLicense',
             sampleId: sampleId,
-            sampleName: licenseInfo.sampleName || null, // Pass sample name if available
             licenseInfo: licenseInfo
           });
 
@@ -622,7 +649,7 @@ class SpliceAPIManager {
               licenseInfo: licenseInfo
             };
           } else {
-            throw new Error(response?.error || 'License generation failed');
+            throw this.toResponseError(response, 'License generation failed');
           }
         } catch (error) {
           // Handle connection errors gracefully
@@ -631,6 +658,8 @@ class SpliceAPIManager {
               sampleId,
               success: false,
               error: 'Please refresh the Splice.com page and try again.',
+              code: SpliceError.NETWORK,
+              sent: false, // The content script never got the request
               licenseInfo: licenseInfo
             };
           }
@@ -640,6 +669,9 @@ class SpliceAPIManager {
             sampleId,
             success: false,
             error: error.message || 'License generation failed',
+            code: error.code || null,
+            status: error.status || null,
+            retryAfter: error.retryAfter || null,
             licenseInfo: licenseInfo
           };
         }
@@ -649,7 +681,6 @@ class SpliceAPIManager {
           const response = await chrome.tabs.sendMessage(tab.id, {
             action: 'generateLicense',
             sampleId: sampleId,
-            sampleName: licenseInfo.sampleName || null, // Pass sample name if available
             licenseInfo: licenseInfo
           });
 
@@ -662,7 +693,7 @@ class SpliceAPIManager {
               licenseInfo: licenseInfo
             };
           } else {
-            throw new Error(response?.error || 'License generation failed');
+            throw this.toResponseError(response, 'License generation failed');
           }
         } catch (error) {
           // Handle connection errors gracefully
@@ -671,6 +702,8 @@ class SpliceAPIManager {
               sampleId,
               success: false,
               error: 'Please refresh the Splice.com page and try again.',
+              code: SpliceError.NETWORK,
+              sent: false, // The content script never got the request
               licenseInfo: licenseInfo
             };
           }
@@ -680,6 +713,9 @@ class SpliceAPIManager {
             sampleId,
             success: false,
             error: error.message || 'License generation failed',
+            code: error.code || null,
+            status: error.status || null,
+            retryAfter: error.retryAfter || null,
             licenseInfo: licenseInfo
           };
         }
@@ -694,11 +730,134 @@ class SpliceAPIManager {
       };
     }
   }
+
+  /**
+   * Download a certificate PDF
+   * Fetched directly where the extension has host permission, otherwise through the
+   * Splice tab like the GraphQL calls, so a download host outside splice.com still works
+   * @param {string} url - Certificate download URL
+   * @returns {Promise<Blob>} PDF blob
+   */
+  async downloadCertificate(url) {
+    if (!url) {
+      throw new Error('No download URL was returned');
+    }
+
+    try {
+      return await CertificateArchive.download(url);
+    } catch (error) {
+      console.warn('Direct certificate download failed, trying through the Splice tab:', error);
+    }
+
+    const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    let targetTab = tab;
+
+    if (!tab || !tab.url.includes('splice.com')) {
+      const spliceTabs = await chrome.tabs.query({ url: 'https://splice.com/*' });
+
+      if (spliceTabs.length === 0) {
+        throw new Error('No Splice.com tab found to download the certificate');
+      }
+
+      targetTab = spliceTabs[0];
+    }
+
+    const response = await chrome.tabs.sendMessage(targetTab.id, { action: 'downloadCertificate', url });
+    if (!response || !response.success) {
+      throw this.toResponseError(response, 'Certificate download failed');
+    }
+
+    const data = await (await fetch(response.dataUrl)).arrayBuffer();
+    return CertificateArchive.toPdf(data);
+  }
+
+  /**
+   * Generate one certificate covering several already-resolved samples
+   * @param {Array<string>} sampleIds - Object UUIDs of the samples to license
+   * @param {Object} licenseInfo - License information
+   * @returns {Promise<Object>} License generation result
+   */
+  async generateCombinedLicense(sampleIds, licenseInfo) {
+    try {
+      const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+      let targetTab = tab;
+
+      if (!tab || !tab.url.includes('splice.com')) {
+        // If not on Splice.com, check if we have a Splice tab open
+        const spliceTabs = await chrome.tabs.query({ url: 'https://splice.com/*' });
+
+        if (spliceTabs.length === 0) {
+          throw new Error('No Splice.com tab found for license generation');
+        }
+
+        targetTab = spliceTabs[0];
+      }
+
+      const response = await chrome.tabs.sendMessage(targetTab.id, {
+        action: 'generateCombinedLicense',
+        sampleIds,
+        licenseInfo
+      });
+
+      if (response && response.success) {
+        return {
+          sampleIds,
+          success: true,
+          result: response.result,
+          downloadUrl: response.downloadUrl,
+          licenseInfo
+        };
+      }
+
+      throw this.toResponseError(response, 'License generation failed');
+    } catch (error) {
+      // Handle connection errors gracefully
+      if (error.message && error.message.includes('Receiving end does not exist')) {
+        return {
+          sampleIds,
+          success: false,
+          error: 'Please refresh the Splice.com page and try again.',
+          code: SpliceError.NETWORK,
+          sent: false, // The content script never got the request
+          licenseInfo
+        };
+      }
+
+      console.error('Combined license generation failed:', error);
+      return {
+        sampleIds,
+        success: false,
+        error: error.message || 'License generation failed',
+        code: error.code || null,
+        status: error.status || null,
+        retryAfter: error.retryAfter || null,
+        licenseInfo
+      };
+    }
+  }
+
+  /**
+   * Turn a failed content script response back into a SpliceError
+   * @param {Object|undefined} response - Content script response
+   * @param {string} fallback - Message to use when the response has none
+   * @returns {SpliceError} Error with the response's code, status and retryAfter
+   */
+  toResponseError(response, fallback) {
+    return new SpliceError(response?.code || null, response?.error || fallback, {
+      status: response?.status || null,
+      retryAfter: response?.retryAfter || null
+    });
+  }
 }
 
 // Initialize managers
 const sessionManager = new SpliceSessionManager();
 const apiManager = new SpliceAPIManager();
+const requestScheduler = new RequestScheduler();
+const batchQueue = new BatchJobQueue(apiManager, requestScheduler);
+const certificateDownloads = new CertificateDownloads(batchQueue);
+const releaseReminders = new ReleaseReminders();
+const autoLock = new AutoLock();
 
 // Handle messages from popup and content scripts
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
@@ -727,6 +886,30 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
           const licenseResult = await apiManager.generateLicense(message.sampleId, message.licenseInfo);
           return licenseResult;
 
+        case 'previewBatch':
+          const planItems = await batchQueue.preview(message.samples);
+          return { success: true, items: planItems };
+
+        case 'submitBatchJob':
+          const job = await batchQueue.submit(message.samples, message.options);
+          return { success: true, jobId: job.id };
+
+        case 'requeueBatchItems':
+          const requeuedJob = await batchQueue.requeue(message.jobId, message.indexes, message.options);
+          return { success: !!requeuedJob };
+
+        case 'chooseBatchMatch':
+          const chosenJob = await batchQueue.choose(message.jobId, message.index, message.choiceIndex ?? null);
+          return { success: !!chosenJob };
+
+        case 'saveCertificates':
+          const saveResult = await certificateDownloads.saveJobCertificates(message.jobId, message.certificateUuids || null);
+          return { success: saveResult.failed.length === 0, ...saveResult };
+
+        case 'cancelBatchJob':
+          const cancelledJob = await batchQueue.cancel(message.jobId);
+          return { success: !!cancelledJob };
+
         case 'clearSessionCache':
           sessionManager.clearSessionCache();
           return { success: true };
@@ -809,8 +992,67 @@ chrome.runtime.onInstalled.addListener((details) => {
     // Open options page for initial setup
     chrome.runtime.openOptionsPage();
   }
+
+  if (details.reason === 'update') {
+    // Re-encrypt license information saved as base64 by older versions
+    LicenseInfoManager.getLicenseInfo();
+  }
+
+  batchQueue.resume();
+});
+
+// Resume interrupted batches after a browser restart
+chrome.runtime.onStartup.addListener(() => {
+  batchQueue.resume();
+});
+
+// Revive the batch queue if the worker was stopped mid-batch, and check upcoming releases
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === batchQueue.WATCHDOG_ALARM) {
+    batchQueue.resume();
+  }
+
+  if (alarm.name === releaseReminders.ALARM) {
+    releaseReminders.check();
+  }
+});
+
+// Open the project when a release reminder is clicked
+chrome.notifications.onClicked.addListener((notificationId) => {
+  releaseReminders.handleClick(notificationId);
 });
 
+releaseReminders.configure();
+
+// Resume any unfinished batch whenever the worker starts
+batchQueue.resume();
+
+// Record where saved certificates ended up
+chrome.downloads.onChanged.addListener((delta) => {
+  certificateDownloads.handleChanged(delta);
+});
+
+// Lock passphrase-protected license information after inactivity
+chrome.idle.onStateChanged.addListener((state) => {
+  autoLock.handleStateChange(state);
+});
+
+chrome.storage.onChanged.addListener((changes, namespace) => {
+  if (namespace === 'local' && changes[autoLock.SETTING_KEY]) {
+    autoLock.configure();
+  }
+
+  if (namespace === 'local' && changes[releaseReminders.SETTING_KEY]) {
+    releaseReminders.check();
+  }
+
+  if (namespace === 'local' && changes[requestScheduler.SETTINGS_KEY]) {
+    requestScheduler.loadSettings();
+  }
+});
+
+autoLock.configure();
+
 // Handle tab updates to clear session cache when navigating away from Splice
 chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
   if (changeInfo.url && !tab.url.includes('splice.com')) {
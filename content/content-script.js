@@ -1130,97 +1130,177 @@ class SpliceContentScript {
   }
 
   /**
-   * Get sample details via GraphQL SamplesSearch query
+   * Search for samples via GraphQL SamplesSearch query
    * Uses page context to access auth token and get accurate library status
+   * @param {string} sampleName - Sample filename to search for
+   * @param {number} limit - Maximum number of candidates to return
+   * @returns {Promise<Array<Object>>} Candidates with library status and metadata
    */
-  async getSampleDetails(sampleName) {
-    try {
-      const graphqlRequest = {
-        operationName: 'SamplesSearch',
-        variables: {
-          order: 'DESC',
-          limit: 1,
-          sort: 'popularity',
-          includeSubscriberOnlyResults: false,
-          filepath: sampleName,
-          tags: [],
-          tags_exclude: [],
-          attributes: [],
-          bundled_content_daws: [],
-          legacy: true
-        },
-        query: `query SamplesSearch($filepath: String, $limit: Int = 50) {
-          assetsSearch(
-            filter: {legacy: true, published: true, asset_type_slug: sample, filepath: $filepath}
-            pagination: {limit: $limit}
-          ) {
-            items {
-              ... on IAsset {
+  async searchSampleCandidates(sampleName, limit = 10) {
+    const graphqlRequest = {
+      operationName: 'SamplesSearch',
+      variables: {
+        order: 'DESC',
+        limit,
+        sort: 'popularity',
+        includeSubscriberOnlyResults: false,
+        filepath: sampleName,
+        tags: [],
+        tags_exclude: [],
+        attributes: [],
+        bundled_content_daws: [],
+        legacy: true
+      },
+      query: `query SamplesSearch($filepath: String, $limit: Int = 50) {
+        assetsSearch(
+          filter: {legacy: true, published: true, asset_type_slug: sample, filepath: $filepath}
+          pagination: {limit: $limit}
+        ) {
+          items {
+            ... on IAsset {
+              uuid
+              name
+              liked
+              licensed
+              asset_type_slug
+              tags {
                 uuid
-                name
-                liked
-                licensed
-                asset_type_slug
+                label
                 __typename
               }
-              ... on SampleAsset {
+              files {
                 uuid
                 name
+                asset_file_type_slug
+                url
                 __typename
               }
-              ... on ILegacyAsset {
-                catalog_uuid
+              __typename
+            }
+            ... on SampleAsset {
+              uuid
+              name
+              bpm
+              key
+              chord_type
+              duration
+              instrument
+              parents(filter: {asset_type_slug: pack}) {
+                items {
+                  ... on PackAsset {
+                    uuid
+                    name
+                    permalink_slug
+                    __typename
+                  }
+                  __typename
+                }
                 __typename
               }
               __typename
             }
+            ... on ILegacyAsset {
+              catalog_uuid
+              __typename
+            }
             __typename
           }
-        }`
-      };
+          __typename
+        }
+      }`
+    };
 
-      // Execute in page context to get accurate auth and library status
-      const result = await this.executeInPageContext(graphqlRequest);
+    // Execute in page context to get accurate auth and library status
+    const result = await this.executeInPageContext(graphqlRequest);
 
-      if (result.data && result.data.assetsSearch && result.data.assetsSearch.items && result.data.assetsSearch.items.length > 0) {
-        const sample = result.data.assetsSearch.items[0];
-
-        // Check if sample has catalog_uuid (this might be the object UUID we need)
-        if (sample.catalog_uuid) {
-          return {
-            assetUuid: sample.uuid,
-            objectUuid: sample.catalog_uuid,
-            name: sample.name,
-            licensed: sample.licensed
-          };
-        } else {
-          console.warn('⚠️ Sample does not have catalog_uuid, using asset UUID');
-          return {
-            assetUuid: sample.uuid,
-            objectUuid: sample.uuid, // Fallback to asset UUID
-            name: sample.name,
-            licensed: sample.licensed
-          };
-        }
-      } else {
-        throw new Error('Sample not found in search results');
+    if (!Array.isArray(result.data?.assetsSearch?.items)) {
+      throw new SpliceError(SpliceError.SCHEMA_CHANGED);
+    }
+
+    const items = result.data.assetsSearch.items;
+
+    return items.map(item => this.toSampleCandidate(item));
+  }
+
+  /**
+   * Convert a SamplesSearch item into the candidate shape used by the extension
+   * @param {Object} item - GraphQL asset
+   * @returns {Object} Candidate
+   */
+  toSampleCandidate(item) {
+    if (!item.catalog_uuid) {
+      console.warn('⚠️ Sample does not have catalog_uuid, using asset UUID');
+    }
+
+    const pack = item.parents?.items?.[0] || null;
+    const preview = (item.files || []).find(file => file.asset_file_type_slug === 'preview_mp3');
+
+    return {
+      assetUuid: item.uuid,
+      // catalog_uuid is the object UUID the license mutation expects
+      objectUuid: item.catalog_uuid || item.uuid,
+      name: item.name,
+      licensed: item.licensed,
+      metadata: {
+        pack: pack?.name || null,
+        packUuid: pack?.uuid || null,
+        bpm: item.bpm || null,
+        key: item.key ? `${item.key}${item.chord_type ? ` ${item.chord_type}` : ''}` : null,
+        duration: item.duration || null,
+        tags: (item.tags || []).map(tag => tag.label).filter(Boolean),
+        assetType: item.asset_type_slug || null,
+        instrument: item.instrument || null,
+        previewUrl: preview?.url || null
       }
+    };
+  }
+
+  /**
+   * Download a certificate PDF from the Splice page
+   * Used when the service worker can't fetch the download host itself
+   * @param {string} url - Certificate download URL
+   * @returns {Promise<string>} PDF as a data URL
+   */
+  async downloadCertificate(url) {
+    let response;
+    try {
+      response = await fetch(url);
     } catch (error) {
-      console.error('Failed to get sample details:', error);
-      throw error;
+      throw new SpliceError(SpliceError.NETWORK);
     }
+
+    if (!response.ok) {
+      throw SpliceError.fromStatus(response.status, response.statusText);
+    }
+
+    const blob = await response.blob();
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsDataURL(blob);
+    });
   }
 
   /**
    * Generate license via GraphQL API from Splice.com context
    * Uses page context to ensure proper authentication
+   * @param {string|Array<string>} sampleIds - One sample ID, or several for a single combined certificate
+   * @param {Object} licenseInfo - License information
    */
-  async generateLicenseViaGraphQL(sampleId, licenseInfo) {
+  async generateLicenseViaGraphQL(sampleIds, licenseInfo) {
     try {
+      const assetUuids = Array.isArray(sampleIds) ? sampleIds : [sampleIds];
 
-      // Validate sample ID
-      if (!sampleId || sampleId === 'samples' || sampleId === 'sample' || sampleId.length < 5) {
-        throw new Error(`Invalid sample ID: "${sampleId}". Expected a valid sample identifier.`);
+      if (assetUuids.length === 0) {
+        throw new Error('No samples to license.');
+      }
+
+      // Validate sample IDs
+      for (const sampleId of assetUuids) {
+        if (!sampleId || sampleId === 'samples' || sampleId === 'sample' || sampleId.length < 5) {
+          throw new Error(`Invalid sample ID: "${sampleId}". Expected a valid sample identifier.`);
+        }
       }
 
 
@@ -1230,7 +1310,7 @@ class SpliceContentScript {
         variables: {
           fullLegalName: licenseInfo.legalName,
           artistName: licenseInfo.artistName,
-          assetUuids: [sampleId]
+          assetUuids
         },
         query: `mutation GenerateCertifiedLicense($fullLegalName: String!, $artistName: String!, $assetUuids: [String!]!) {
           proofOfLicense: createProofOfLicense(
@@ -1266,17 +1346,30 @@ class SpliceContentScript {
           downloadUrl: proofOfLicense.downloadUrl
         };
       } else {
-        throw new Error('Invalid response from Splice. Please try again.');
+        throw new SpliceError(SpliceError.SCHEMA_CHANGED);
       }
     } catch (error) {
       console.error('GraphQL license generation failed:', error);
-      return {
-        success: false,
-        error: error.message
-      };
+      return this.toErrorResponse(error);
     }
   }
 
+  /**
+   * Build a failed response for the service worker
+   * @param {Error} error - Error thrown while talking to Splice
+   * @returns {Object} { success: false, error, code, status, retryAfter }, with the SpliceError code
+   *   and, when Splice answered with an error status, the status and Retry-After seconds
+   */
+  toErrorResponse(error) {
+    return {
+      success: false,
+      error: error.message,
+      code: error.code || null,
+      status: error.status || null,
+      retryAfter: error.retryAfter || null
+    };
+  }
+
   /**
    * Get auth token from page context
    */
@@ -1316,7 +1409,10 @@ class SpliceContentScript {
       const authToken = await this.getAuthToken();
 
       if (!authToken) {
-        throw new Error('Unable to retrieve authentication token. Please make sure you are logged in to Splice.com');
+        throw new SpliceError(
+          SpliceError.AUTH_EXPIRED,
+          'Unable to retrieve authentication token. Please make sure you are logged in to Splice.com'
+        );
       }
 
       // Make the request from content script with the auth token
@@ -1328,33 +1424,38 @@ class SpliceContentScript {
         'Authorization': `Bearer ${authToken}`
       };
 
-      const response = await fetch('https://surfaces-graphql.splice.com/graphql', {
-        method: 'POST',
-        credentials: 'include',
-        headers: headers,
-        body: JSON.stringify(graphqlRequest)
-      });
+      let response;
+      try {
+        response = await fetch('https://surfaces-graphql.splice.com/graphql', {
+          method: 'POST',
+          credentials: 'include',
+          headers: headers,
+          body: JSON.stringify(graphqlRequest)
+        });
+      } catch (error) {
+        // fetch only rejects when no response arrived at all
+        throw new SpliceError(SpliceError.NETWORK);
+      }
 
       if (!response.ok) {
-        throw new Error(`Request failed: ${response.status} ${response.statusText}`);
+        // Keep the status so the batch queue can slow down when Splice is rate limiting or failing
+        throw SpliceError.fromStatus(
+          response.status,
+          response.statusText,
+          parseInt(response.headers.get('Retry-After'), 10) || null
+        );
       }
 
-      const result = await response.json();
+      let result;
+      try {
+        result = await response.json();
+      } catch (error) {
+        throw new SpliceError(SpliceError.SCHEMA_CHANGED);
+      }
 
       // Check for GraphQL errors
       if (result.errors && result.errors.length > 0) {
-        const errorMessages = result.errors.map(e => e.message).join(', ');
-
-        // Provide user-friendly error messages
-        if (errorMessages.includes('403') || errorMessages.includes('Forbidden')) {
-          throw new Error('Sample not in your library. Add this sample to your library before generating a license.');
-        } else if (errorMessages.includes('401') || errorMessages.includes('Unauthorized')) {
-          throw new Error('Authentication expired. Please refresh the Splice.com page and try again.');
-        } else if (errorMessages.includes('404') || errorMessages.includes('Not Found')) {
-          throw new Error('Sample not found on Splice. Please check the sample name.');
-        } else {
-          throw new Error(`GraphQL error: ${errorMessages}`);
-        }
+        throw SpliceError.fromGraphQLErrors(result.errors);
       }
 
       // Return the full result (could be search or license data)
@@ -1525,39 +1626,49 @@ class SpliceContentScript {
             return true; // Indicate we will send response asynchronously
 
           case 'searchSampleViaGraphQL':
-            this.getSampleDetails(message.sampleName).then(sampleDetails => {
+            this.searchSampleCandidates(message.sampleName, message.limit).then(samples => {
+              if (samples.length === 0) {
+                throw new SpliceError(SpliceError.NOT_FOUND);
+              }
+
               sendResponse({
                 success: true,
-                sample: sampleDetails
+                sample: samples[0],
+                samples
               });
             }).catch(error => {
               console.error('Sample search failed:', error);
-              sendResponse({ success: false, error: error.message });
+              sendResponse(this.toErrorResponse(error));
             });
             return true; // Indicate we will send response asynchronously
 
           case 'generateLicense':
+            // The sample ID is the object UUID (catalog_uuid) of the candidate that was matched
+            this.generateLicenseViaGraphQL(message.sampleId, message.licenseInfo).then(result => {
+              sendResponse(result);
+            }).catch(error => {
+              console.error('❌ License generation failed:', error);
+              sendResponse(this.toErrorResponse(error));
+            });
+            return true; // Indicate we will send response asynchronously
 
-            // If we have a sample name, use it to get the proper UUID via GraphQL
-            if (message.sampleName) {
-              this.getSampleDetails(message.sampleName).then(sampleDetails => {
-                // Use the objectUuid (catalog_uuid) for license generation
-                return this.generateLicenseViaGraphQL(sampleDetails.objectUuid, message.licenseInfo);
-              }).then(result => {
-                sendResponse(result);
-              }).catch(error => {
-                console.error('❌ License generation failed:', error);
-                sendResponse({ success: false, error: error.message });
-              });
-            } else {
-              // Fallback to using the provided sample ID
-              this.generateLicenseViaGraphQL(message.sampleId, message.licenseInfo).then(result => {
-                sendResponse(result);
-              }).catch(error => {
-                console.error('❌ License generation failed:', error);
-                sendResponse({ success: false, error: error.message });
-              });
-            }
+          case 'generateCombinedLicense':
+            // Samples were already resolved, so license all of them in one certificate
+            this.generateLicenseViaGraphQL(message.sampleIds, message.licenseInfo).then(result => {
+              sendResponse(result);
+            }).catch(error => {
+              console.error('❌ Combined license generation failed:', error);
+              sendResponse(this.toErrorResponse(error));
+            });
+            return true; // Indicate we will send response asynchronously
+
+          case 'downloadCertificate':
+            this.downloadCertificate(message.url).then(dataUrl => {
+              sendResponse({ success: true, dataUrl });
+            }).catch(error => {
+              console.error('Certificate download failed:', error);
+              sendResponse(this.toErrorResponse(error));
+            });
             return true; // Indicate we will send response asynchronously
 
           case 'test':
@@ -0,0 +1,90 @@
+/**
+ * Certificate viewer for Splice License Batch Generator
+ * Shows an archived certificate PDF, falling back to Splice's link when
+ * the certificate was never archived
+ */
+
+class CertificateViewer {
+  constructor() {
+    const params = new URLSearchParams(window.location.search);
+    this.certificateUuid = params.get('uuid');
+    this.downloadUrl = params.get('url');
+    this.init();
+  }
+
+  /**
+   * Load the certificate from the archive
+   */
+  async init() {
+    if (this.downloadUrl) {
+      const originalLink = document.getElementById('originalLink');
+      originalLink.href = this.downloadUrl;
+      originalLink.style.display = 'inline-flex';
+    }
+
+    try {
+      const record = await CertificateArchive.get(this.certificateUuid);
+
+      if (!record) {
+        this.showMessage(this.downloadUrl
+          ? 'This certificate is not in the local archive. Use the Splice link to download it while the link is still valid.'
+          : 'This certificate is not in the local archive.');
+        return;
+      }
+
+      this.showCertificate(record);
+    } catch (error) {
+      console.error('Failed to load certificate:', error);
+      this.showMessage('Failed to load the certificate from the local archive.');
+    }
+  }
+
+  /**
+   * Show an archived certificate
+   * @param {Object} record - Archived certificate from CertificateArchive
+   */
+  showCertificate(record) {
+    const url = URL.createObjectURL(record.blob);
+    const names = record.sampleNames || [];
+
+    const title = names.length === 1 ? names[0] : `Combined certificate for ${names.length} samples`;
+    document.getElementById('certificateTitle').textContent = title;
+    document.title = `${title} - Certificate`;
+
+    const issued = record.licenseIssued ? new Date(record.licenseIssued).toLocaleString() : null;
+    document.getElementById('certificateMeta').textContent = [
+      record.certificateUuid,
+      issued && `Issued ${issued}`,
+      record.profileName && `Profile: ${record.profileName}`,
+      `Archived ${new Date(record.archivedAt).toLocaleString()}`,
+      ExtensionUtils.formatBytes(record.size)
+    ].filter(Boolean).join(' · ');
+
+    const saveLink = document.getElementById('saveCertificate');
+    saveLink.href = url;
+    saveLink.download = CertificateArchive.getFileName(record);
+    saveLink.style.display = 'inline-flex';
+
+    const frame = document.getElementById('certificateFrame');
+    frame.src = url;
+    frame.style.display = 'block';
+  }
+
+  /**
+   * Show a message in place of the certificate
+   * @param {string} message - Message to show
+   */
+  showMessage(message) {
+    document.getElementById('certificateTitle').textContent = 'Certificate unavailable';
+    document.getElementById('certificateMeta').textContent = this.certificateUuid || '';
+
+    const messageDiv = document.getElementById('certificateMessage');
+    messageDiv.textContent = message;
+    messageDiv.style.display = 'block';
+  }
+}
+
+// Initialize certificate viewer when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new CertificateViewer();
+});
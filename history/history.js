@@ -0,0 +1,503 @@
+/**
+ * History page JavaScript for Splice License Batch Generator
+ * Shows the searchable, sortable license ledger and manages the certificate archive
+ */
+
+class HistoryManager {
+  constructor() {
+    this.sortBy = 'createdAt';
+    this.sortDirection = 'desc';
+    this.query = '';
+    this.archivedUuids = new Set();
+    this.entries = [];
+    this.selectedIds = new Set();
+    this.init();
+  }
+
+  /**
+   * Initialize the history page
+   */
+  async init() {
+    this.setupEventListeners();
+    await this.render();
+    await this.renderArchiveUsage();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    document.getElementById('historySearch').addEventListener('input', ExtensionUtils.debounce((e) => {
+      this.query = e.target.value;
+      this.render();
+    }, 200));
+
+    document.querySelectorAll('.history-table th[data-sort]').forEach(header => {
+      header.addEventListener('click', () => {
+        const field = header.dataset.sort;
+
+        if (this.sortBy === field) {
+          this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        } else {
+          this.sortBy = field;
+          this.sortDirection = field === 'createdAt' ? 'desc' : 'asc';
+        }
+
+        this.render();
+      });
+    });
+
+    document.getElementById('selectAll').addEventListener('change', (e) => {
+      this.entries.forEach(entry => {
+        if (e.target.checked) {
+          this.selectedIds.add(entry.id);
+        } else {
+          this.selectedIds.delete(entry.id);
+        }
+      });
+      document.querySelectorAll('.row-select').forEach(checkbox => {
+        checkbox.checked = e.target.checked;
+      });
+      this.updateSelection();
+    });
+
+    document.getElementById('downloadSelected').addEventListener('click', () => {
+      this.downloadSelected();
+    });
+
+    document.getElementById('mergeSelected').addEventListener('click', () => {
+      this.mergeSelected();
+    });
+
+    document.getElementById('exportArchive').addEventListener('click', () => {
+      this.exportArchive();
+    });
+
+    document.getElementById('archiveMissing').addEventListener('click', () => {
+      this.archiveMissing();
+    });
+
+    document.getElementById('pruneArchive').addEventListener('click', () => {
+      this.pruneArchive();
+    });
+  }
+
+  /**
+   * Render the ledger table
+   */
+  async render() {
+    try {
+      const entries = await LicenseLedger.search({
+        query: this.query,
+        sortBy: this.sortBy,
+        sortDirection: this.sortDirection
+      });
+      this.archivedUuids = await CertificateArchive.getArchivedUuids();
+      this.entries = entries;
+
+      this.renderSortIndicators();
+
+      const rows = document.getElementById('historyRows');
+      rows.innerHTML = '';
+
+      entries.forEach(entry => {
+        rows.appendChild(this.createRow(entry));
+      });
+
+      document.getElementById('historyCount').textContent =
+        `${entries.length} license${entries.length !== 1 ? 's' : ''}`;
+      document.getElementById('historyEmpty').style.display = entries.length === 0 ? 'block' : 'none';
+      this.updateSelection();
+    } catch (error) {
+      console.error('Failed to load license history:', error);
+      document.getElementById('historyEmpty').textContent = 'Failed to load license history.';
+      document.getElementById('historyEmpty').style.display = 'block';
+    }
+  }
+
+  /**
+   * Mark the active sort column
+   */
+  renderSortIndicators() {
+    document.querySelectorAll('.history-table th[data-sort]').forEach(header => {
+      header.classList.remove('sorted-asc', 'sorted-desc');
+      if (header.dataset.sort === this.sortBy) {
+        header.classList.add(`sorted-${this.sortDirection}`);
+      }
+    });
+  }
+
+  /**
+   * Create a table row for a ledger entry
+   * @param {Object} entry - Ledger entry
+   * @returns {HTMLTableRowElement} Table row
+   */
+  createRow(entry) {
+    const row = document.createElement('tr');
+
+    const selectCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.className = 'row-select';
+    checkbox.checked = this.selectedIds.has(entry.id);
+    checkbox.disabled = !entry.certificateUuid;
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        this.selectedIds.add(entry.id);
+      } else {
+        this.selectedIds.delete(entry.id);
+      }
+      this.updateSelection();
+    });
+    selectCell.appendChild(checkbox);
+    row.appendChild(selectCell);
+
+    const generated = entry.licenseIssued
+      ? new Date(entry.licenseIssued).toLocaleString()
+      : new Date(entry.createdAt).toLocaleString();
+
+    const cells = [
+      generated,
+      entry.sampleName,
+      entry.project,
+      entry.profileName,
+      entry.artistName,
+      entry.fullLegalName,
+      entry.certificateUuid,
+      entry.assetUuid,
+      entry.spliceUser
+    ];
+
+    cells.forEach((value, index) => {
+      const cell = document.createElement('td');
+      cell.textContent = value || '—';
+      if (index === 6 || index === 7) {
+        cell.className = 'uuid';
+      }
+      row.appendChild(cell);
+    });
+
+    row.appendChild(this.createVerificationCell(entry.verification));
+
+    const linkCell = document.createElement('td');
+    linkCell.className = 'archive-links';
+    if (this.archivedUuids.has(entry.certificateUuid)) {
+      linkCell.appendChild(this.createLink(
+        CertificateArchive.getViewerUrl(entry.certificateUuid, entry.downloadUrl),
+        'View'
+      ));
+    }
+    if (entry.downloadUrl) {
+      linkCell.appendChild(this.createLink(
+        entry.downloadUrl,
+        this.archivedUuids.has(entry.certificateUuid) ? 'Splice link' : 'Download'
+      ));
+    }
+    if (!linkCell.hasChildNodes()) {
+      linkCell.textContent = '—';
+    }
+    row.appendChild(linkCell);
+
+    return row;
+  }
+
+  /**
+   * Update the selection controls to match the selected licenses
+   */
+  updateSelection() {
+    const shownIds = this.entries.map(entry => entry.id);
+    const shownSelected = shownIds.filter(id => this.selectedIds.has(id)).length;
+    const selectAll = document.getElementById('selectAll');
+
+    selectAll.checked = shownIds.length > 0 && shownSelected === shownIds.length;
+    selectAll.indeterminate = shownSelected > 0 && shownSelected < shownIds.length;
+
+    const button = document.getElementById('downloadSelected');
+    button.disabled = this.selectedIds.size === 0;
+    button.textContent = this.selectedIds.size > 0
+      ? `Download Selected (${this.selectedIds.size}) as ZIP`
+      : 'Download Selected (ZIP)';
+
+    const mergeButton = document.getElementById('mergeSelected');
+    mergeButton.disabled = this.selectedIds.size === 0;
+    mergeButton.textContent = 'Merge Selected into PDF';
+  }
+
+  /**
+   * Download the certificates of the selected licenses as one ZIP
+   */
+  async downloadSelected() {
+    const button = document.getElementById('downloadSelected');
+    button.disabled = true;
+    button.textContent = 'Preparing ZIP...';
+
+    try {
+      const entries = (await LicenseLedger.getAll()).filter(entry => this.selectedIds.has(entry.id));
+      const { blob, fileCount, failed } = await CertificateExport.createZip(entries);
+
+      if (fileCount === 0) {
+        this.showStatus('selectionStatus', 'None of the selected certificates could be downloaded.', true);
+        return;
+      }
+
+      CertificateExport.saveBlob(blob, CertificateExport.getZipFileName());
+      this.showStatus('selectionStatus',
+        `Saved ${fileCount} certificate${fileCount !== 1 ? 's' : ''} to a ZIP` +
+        (failed.length > 0 ? `; ${failed.length} could not be downloaded and are listed in manifest.json.` : '.'),
+        failed.length > 0
+      );
+    } catch (error) {
+      console.error('Failed to build certificate ZIP:', error);
+      this.showStatus('selectionStatus', `ZIP export failed: ${ExtensionUtils.formatError(error)}`, true);
+    } finally {
+      this.updateSelection();
+    }
+  }
+
+  /**
+   * Merge the certificates of the selected licenses into one PDF with a cover and index
+   */
+  async mergeSelected() {
+    const button = document.getElementById('mergeSelected');
+    button.disabled = true;
+    button.textContent = 'Merging certificates...';
+
+    try {
+      const entries = (await LicenseLedger.getAll()).filter(entry => this.selectedIds.has(entry.id));
+      const projects = [...new Set(entries.map(entry => entry.project).filter(Boolean))];
+      const title = projects.length === 1 ? projects[0] : `License Certificates ${CertificateExport.formatDate(Date.now())}`;
+      const { bytes, certificateCount, missing } = await CertificateBundle.create(entries, { title });
+
+      if (certificateCount === 0) {
+        this.showStatus('selectionStatus', 'None of the selected certificates could be downloaded.', true);
+        return;
+      }
+
+      CertificateExport.saveBlob(
+        new Blob([bytes], { type: 'application/pdf' }),
+        `${CertificateExport.sanitize(title)} - Certificates.pdf`
+      );
+      this.showStatus('selectionStatus',
+        `Merged ${certificateCount} certificate${certificateCount !== 1 ? 's' : ''} into one PDF` +
+        (missing.length > 0 ? `; ${missing.length} could not be downloaded and are marked in the index.` : '.'),
+        missing.length > 0
+      );
+    } catch (error) {
+      console.error('Failed to merge certificates:', error);
+      this.showStatus('selectionStatus', `Merge failed: ${ExtensionUtils.formatError(error)}`, true);
+    } finally {
+      this.updateSelection();
+    }
+  }
+
+  /**
+   * Create a link that opens in a new tab
+   * @param {string} url - Link target
+   * @param {string} text - Link text
+   * @returns {HTMLAnchorElement} Link
+   */
+  createLink(url, text) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.target = '_blank';
+    link.rel = 'noopener';
+    link.textContent = text;
+    return link;
+  }
+
+  /**
+   * Create the cell showing whether the downloaded certificate matched the request
+   * @param {Object|null} verification - Verification stored with the entry
+   * @returns {HTMLTableCellElement} Table cell
+   */
+  createVerificationCell(verification) {
+    const cell = document.createElement('td');
+
+    if (verification?.status === 'verified') {
+      cell.textContent = '✅ Verified';
+      cell.className = 'check-verified';
+    } else if (verification?.status === 'mismatch') {
+      cell.textContent = '⚠️ Mismatch';
+      cell.className = 'check-mismatch';
+      cell.title = verification.mismatches.join('\n');
+    } else if (verification) {
+      cell.textContent = 'Not checked';
+      cell.title = verification.error || '';
+    } else {
+      cell.textContent = '—';
+    }
+
+    return cell;
+  }
+
+  /**
+   * Show how much space the certificate archive uses
+   */
+  async renderArchiveUsage() {
+    const usageDiv = document.getElementById('archiveUsage');
+
+    try {
+      const usage = await CertificateArchive.getUsage();
+      let text = `${usage.count} certificate PDF${usage.count !== 1 ? 's' : ''} archived, using ${ExtensionUtils.formatBytes(usage.bytes)}`;
+
+      if (usage.usage !== null && usage.quota) {
+        text += ` (all extension storage: ${ExtensionUtils.formatBytes(usage.usage)} of ${ExtensionUtils.formatBytes(usage.quota)} available)`;
+      }
+
+      usageDiv.textContent = text;
+      document.getElementById('exportArchive').disabled = usage.count === 0;
+      document.getElementById('pruneArchive').disabled = usage.count === 0;
+    } catch (error) {
+      console.error('Failed to read certificate archive:', error);
+      usageDiv.textContent = 'Failed to read the certificate archive.';
+    }
+  }
+
+  /**
+   * Save every archived PDF to a folder the user picks
+   * Browsers without the File System Access API download each PDF instead
+   */
+  async exportArchive() {
+    try {
+      const records = await CertificateArchive.getAll();
+      if (records.length === 0) {
+        return;
+      }
+
+      if (window.showDirectoryPicker) {
+        const directory = await window.showDirectoryPicker({ mode: 'readwrite' });
+
+        for (const record of records) {
+          const file = await directory.getFileHandle(CertificateArchive.getFileName(record), { create: true });
+          const writable = await file.createWritable();
+          await writable.write(record.blob);
+          await writable.close();
+        }
+      } else {
+        for (const record of records) {
+          const url = URL.createObjectURL(record.blob);
+          const link = document.createElement('a');
+          link.href = url;
+          link.download = CertificateArchive.getFileName(record);
+          link.click();
+          setTimeout(() => URL.revokeObjectURL(url), 1000);
+        }
+      }
+
+      this.showStatus('archiveStatus', `Exported ${records.length} certificate PDF${records.length !== 1 ? 's' : ''}.`);
+    } catch (error) {
+      // Closing the folder picker is not an error
+      if (error.name === 'AbortError') {
+        return;
+      }
+      console.error('Failed to export certificate archive:', error);
+      this.showStatus('archiveStatus', `Export failed: ${ExtensionUtils.formatError(error)}`, true);
+    }
+  }
+
+  /**
+   * Archive ledger certificates that were generated before archiving, or whose download failed
+   * Only works while Splice's download links are still valid
+   */
+  async archiveMissing() {
+    const button = document.getElementById('archiveMissing');
+    button.disabled = true;
+
+    try {
+      const archived = await CertificateArchive.getArchivedUuids();
+      const missing = new Map();
+
+      (await LicenseLedger.getAll()).forEach(entry => {
+        if (!entry.certificateUuid || !entry.downloadUrl || archived.has(entry.certificateUuid)) {
+          return;
+        }
+        if (!missing.has(entry.certificateUuid)) {
+          missing.set(entry.certificateUuid, { ...entry, sampleNames: [] });
+        }
+        missing.get(entry.certificateUuid).sampleNames.push(entry.sampleName);
+      });
+
+      if (missing.size === 0) {
+        this.showStatus('archiveStatus', 'Every certificate with a download link is already archived.');
+        return;
+      }
+
+      let saved = 0;
+      let failed = 0;
+
+      for (const certificate of missing.values()) {
+        this.showStatus('archiveStatus', `Archiving certificate ${saved + failed + 1} of ${missing.size}...`);
+
+        try {
+          const blob = await CertificateArchive.download(certificate.downloadUrl);
+          await CertificateArchive.save(blob, {
+            certificateUuid: certificate.certificateUuid,
+            sampleNames: certificate.sampleNames,
+            downloadUrl: certificate.downloadUrl,
+            licenseIssued: certificate.licenseIssued,
+            profileName: certificate.profileName
+          });
+          saved++;
+        } catch (error) {
+          console.error(`Failed to archive certificate ${certificate.certificateUuid}:`, error);
+          failed++;
+        }
+      }
+
+      this.showStatus('archiveStatus',
+        `Archived ${saved} certificate${saved !== 1 ? 's' : ''}` +
+        (failed > 0 ? `; ${failed} could not be downloaded, most likely because their links have expired.` : '.'),
+        failed > 0
+      );
+    } catch (error) {
+      console.error('Failed to archive missing certificates:', error);
+      this.showStatus('archiveStatus', `Archiving failed: ${ExtensionUtils.formatError(error)}`, true);
+    } finally {
+      button.disabled = false;
+      await this.render();
+      await this.renderArchiveUsage();
+    }
+  }
+
+  /**
+   * Delete archived PDFs older than the selected age
+   */
+  async pruneArchive() {
+    const age = document.getElementById('pruneAge').value;
+    const olderThan = age === 'all' ? null : Date.now() - parseInt(age, 10) * 24 * 60 * 60 * 1000;
+    const description = age === 'all' ? 'all archived certificate PDFs' : `archived certificate PDFs older than ${age} days`;
+
+    if (!confirm(`Delete ${description}? The license history is kept, but PDFs whose Splice links have expired cannot be recovered.`)) {
+      return;
+    }
+
+    try {
+      const deleted = await CertificateArchive.prune({ olderThan });
+      this.showStatus('archiveStatus', `Deleted ${deleted} archived PDF${deleted !== 1 ? 's' : ''}.`);
+    } catch (error) {
+      console.error('Failed to prune certificate archive:', error);
+      this.showStatus('archiveStatus', `Delete failed: ${ExtensionUtils.formatError(error)}`, true);
+    }
+
+    await this.render();
+    await this.renderArchiveUsage();
+  }
+
+  /**
+   * Show the outcome of an action
+   * @param {string} elementId - Status element to use
+   * @param {string} message - Message to show
+   * @param {boolean} isError - Whether to style it as an error
+   */
+  showStatus(elementId, message, isError = false) {
+    const status = document.getElementById(elementId);
+    status.textContent = message;
+    status.className = `archive-status${isError ? ' error' : ''}`;
+    status.style.display = 'block';
+  }
+}
+
+// Initialize history page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new HistoryManager();
+});
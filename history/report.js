@@ -0,0 +1,222 @@
+/**
+ * Clearance report page for Splice License Batch Generator
+ * Shows a printable clearance sheet for a project or batch and exports it as a PDF
+ */
+
+class ReportPage {
+  constructor() {
+    const params = new URLSearchParams(window.location.search);
+    this.jobId = params.get('jobId');
+    this.project = params.get('project');
+    this.report = null;
+    this.init();
+  }
+
+  /**
+   * Initialize the report page
+   */
+  async init() {
+    this.setupEventListeners();
+    await this.loadSources();
+    await this.render();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    document.getElementById('reportSource').addEventListener('change', (e) => {
+      // Values are "project:<name>" or "batch:<jobId>"; project names may contain colons
+      const separator = e.target.value.indexOf(':');
+      const type = e.target.value.slice(0, separator);
+      const value = e.target.value.slice(separator + 1);
+      this.jobId = type === 'batch' ? value : null;
+      this.project = type === 'project' ? value : null;
+      document.getElementById('reportTitle').value = '';
+      this.render();
+    });
+
+    document.getElementById('reportTitle').addEventListener('input', ExtensionUtils.debounce(() => {
+      this.render();
+    }, 300));
+
+    document.getElementById('printReport').addEventListener('click', () => {
+      window.print();
+    });
+
+    document.getElementById('downloadPdf').addEventListener('click', () => {
+      this.downloadPdf();
+    });
+
+    document.getElementById('mergeCertificates').addEventListener('click', () => {
+      this.mergeCertificates();
+    });
+  }
+
+  /**
+   * Fill the project and batch picker
+   */
+  async loadSources() {
+    const select = document.getElementById('reportSource');
+    const { projects, batches } = await ClearanceReport.getSources();
+
+    const addGroup = (label, options) => {
+      if (options.length === 0) return;
+      const group = document.createElement('optgroup');
+      group.label = label;
+      options.forEach(({ value, text }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        group.appendChild(option);
+      });
+      select.appendChild(group);
+    };
+
+    addGroup('Projects', projects.map(project => ({
+      value: `project:${project.name}`,
+      text: `${project.name} (${project.count} sample${project.count !== 1 ? 's' : ''})`
+    })));
+    addGroup('Batches', batches.map(batch => ({
+      value: `batch:${batch.jobId}`,
+      text: `Batch ${new Date(batch.createdAt).toLocaleString()} (${batch.count} sample${batch.count !== 1 ? 's' : ''})`
+    })));
+
+    // Default to the newest project, then the newest batch
+    if (!this.jobId && !this.project) {
+      this.project = projects[0]?.name || null;
+      this.jobId = this.project ? null : batches[0]?.jobId || null;
+    }
+    select.value = this.jobId ? `batch:${this.jobId}` : `project:${this.project}`;
+  }
+
+  /**
+   * Render the report for the selected project or batch
+   */
+  async render() {
+    try {
+      this.report = await ClearanceReport.build({
+        jobId: this.jobId,
+        project: this.project,
+        title: document.getElementById('reportTitle').value.trim() || null
+      });
+
+      const { title, rows, certificates, licensees, generatedAt } = this.report;
+      document.title = `${title} - Clearance Report`;
+      document.getElementById('reportHeading').textContent = title;
+      document.getElementById('reportMeta').textContent =
+        `Generated ${new Date(generatedAt).toLocaleString()} · ${rows.length} sample${rows.length !== 1 ? 's' : ''}, ` +
+        `${certificates.length} certificate${certificates.length !== 1 ? 's' : ''}`;
+
+      const licenseeList = document.getElementById('reportLicensees');
+      licenseeList.innerHTML = '';
+      licensees.forEach(licensee => {
+        const item = document.createElement('li');
+        item.textContent = `Licensee: ${licensee}`;
+        licenseeList.appendChild(item);
+      });
+
+      const tbody = document.getElementById('reportRows');
+      tbody.innerHTML = '';
+      rows.forEach(row => {
+        const tr = document.createElement('tr');
+        [row.sampleName, row.pack, row.assetUuid, row.certificateUuid, row.issued, row.licensee].forEach((value, index) => {
+          const cell = document.createElement('td');
+          cell.textContent = value || '—';
+          if (index === 2 || index === 3) {
+            cell.className = 'uuid';
+          }
+          tr.appendChild(cell);
+        });
+        tbody.appendChild(tr);
+      });
+
+      document.getElementById('reportEmpty').style.display = rows.length === 0 ? 'block' : 'none';
+      document.getElementById('downloadPdf').disabled = rows.length === 0;
+      document.getElementById('printReport').disabled = rows.length === 0;
+      document.getElementById('mergeCertificates').disabled = rows.length === 0;
+    } catch (error) {
+      console.error('Failed to build clearance report:', error);
+      this.showStatus(`Failed to build report: ${ExtensionUtils.formatError(error)}`, true);
+    }
+  }
+
+  /**
+   * Download the report as a PDF, optionally with every certificate appended
+   */
+  async downloadPdf() {
+    if (!this.report) return;
+
+    const button = document.getElementById('downloadPdf');
+    button.disabled = true;
+    this.showStatus('Building PDF...');
+
+    try {
+      const { bytes, missing } = await ClearanceReport.toPdf(this.report, {
+        appendCertificates: document.getElementById('appendCertificates').checked
+      });
+
+      const fileName = `${CertificateExport.sanitize(this.report.title)} - Clearance Report.pdf`;
+      CertificateExport.saveBlob(new Blob([bytes], { type: 'application/pdf' }), fileName);
+
+      this.showStatus(missing.length > 0
+        ? `PDF saved. ${missing.length} certificate${missing.length !== 1 ? 's' : ''} could not be downloaded and ${missing.length !== 1 ? 'are' : 'is'} listed in the report.`
+        : 'PDF saved.', missing.length > 0);
+    } catch (error) {
+      console.error('Failed to build clearance report PDF:', error);
+      this.showStatus(`Failed to build PDF: ${ExtensionUtils.formatError(error)}`, true);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Merge the certificates of the project or batch into one PDF with a cover and index
+   */
+  async mergeCertificates() {
+    if (!this.report) return;
+
+    const button = document.getElementById('mergeCertificates');
+    button.disabled = true;
+    this.showStatus('Merging certificates...');
+
+    try {
+      const entries = await ClearanceReport.getEntries({ jobId: this.jobId, project: this.project });
+      const { bytes, certificateCount, missing } = await CertificateBundle.create(entries, { title: this.report.title });
+
+      if (certificateCount === 0) {
+        this.showStatus('None of the certificates could be downloaded.', true);
+        return;
+      }
+
+      const fileName = `${CertificateExport.sanitize(this.report.title)} - Certificates.pdf`;
+      CertificateExport.saveBlob(new Blob([bytes], { type: 'application/pdf' }), fileName);
+
+      this.showStatus(missing.length > 0
+        ? `PDF saved. ${missing.length} certificate${missing.length !== 1 ? 's' : ''} could not be downloaded and ${missing.length !== 1 ? 'are' : 'is'} marked in the index.`
+        : 'PDF saved.', missing.length > 0);
+    } catch (error) {
+      console.error('Failed to merge certificates:', error);
+      this.showStatus(`Failed to merge certificates: ${ExtensionUtils.formatError(error)}`, true);
+    } finally {
+      button.disabled = false;
+    }
+  }
+
+  /**
+   * Show the outcome of an action
+   * @param {string} message - Message to show
+   * @param {boolean} isError - Whether to style it as an error
+   */
+  showStatus(message, isError = false) {
+    const status = document.getElementById('reportStatus');
+    status.textContent = message;
+    status.className = `archive-status${isError ? ' error' : ''}`;
+    status.style.display = 'block';
+  }
+}
+
+// Initialize report page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new ReportPage();
+});
@@ -0,0 +1,416 @@
+/**
+ * Import page JavaScript for Splice License Batch Generator
+ * Reads DAW project files and sends their Splice samples to the batch queue
+ */
+
+class ImportManager {
+  constructor() {
+    this.projects = [];
+    this.init();
+  }
+
+  /**
+   * Initialize the import page
+   */
+  init() {
+    const extensions = ProjectImporter.getSupportedExtensions();
+    document.getElementById('supportedFormats').textContent = extensions.join(', ');
+    document.getElementById('projectFileInput').accept = extensions.join(',');
+
+    this.setupEventListeners();
+    this.render();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    const dropZone = document.getElementById('dropZone');
+    const fileInput = document.getElementById('projectFileInput');
+
+    dropZone.addEventListener('click', () => fileInput.click());
+
+    dropZone.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      dropZone.classList.add('drag-over');
+    });
+
+    dropZone.addEventListener('dragleave', () => {
+      dropZone.classList.remove('drag-over');
+    });
+
+    dropZone.addEventListener('drop', (e) => {
+      e.preventDefault();
+      dropZone.classList.remove('drag-over');
+      this.importDrop(e.dataTransfer);
+    });
+
+    fileInput.addEventListener('change', () => {
+      this.importFiles(Array.from(fileInput.files));
+      fileInput.value = '';
+    });
+
+    document.getElementById('chooseFolder').addEventListener('click', () => {
+      this.chooseFolder();
+    });
+
+    document.getElementById('sendToBatch').addEventListener('click', () => {
+      this.sendToBatch();
+    });
+
+    document.getElementById('saveAsProjects').addEventListener('click', () => {
+      this.saveAsProjects();
+    });
+
+    document.getElementById('clearProjects').addEventListener('click', () => {
+      this.projects = [];
+      this.setStatus('');
+      this.render();
+    });
+  }
+
+  /**
+   * Parse project files and add them to the list
+   * Loose audio files are grouped and imported like a folder
+   * @param {Array<File>} files - Project or audio files
+   */
+  async importFiles(files) {
+    const audioFiles = files.filter(file => ProjectImporter.isAudioFile(file.name));
+
+    for (const file of files.filter(f => !audioFiles.includes(f))) {
+      await this.addProject(file.name, () => ProjectImporter.importFile(file));
+    }
+
+    if (audioFiles.length > 0) {
+      await this.importFolder('Dropped audio files', audioFiles.map(file => ({ file, path: file.name })));
+    }
+
+    this.render();
+  }
+
+  /**
+   * Import dropped files and folders
+   * @param {DataTransfer} dataTransfer - Drop data
+   */
+  async importDrop(dataTransfer) {
+    const entries = Array.from(dataTransfer.items)
+      .map(item => item.webkitGetAsEntry && item.webkitGetAsEntry())
+      .filter(Boolean);
+
+    const files = [];
+
+    for (const entry of entries) {
+      if (entry.isDirectory) {
+        try {
+          await this.importFolder(entry.name, await this.readDirectoryEntry(entry, ''));
+        } catch (error) {
+          console.error('Failed to read dropped folder:', error);
+          this.addFailedProject(entry.name, error);
+        }
+      } else {
+        files.push(await new Promise((resolve, reject) => entry.file(resolve, reject)));
+      }
+    }
+
+    await this.importFiles(files);
+  }
+
+  /**
+   * Let the user pick a folder with the File System Access API
+   */
+  async chooseFolder() {
+    if (!window.showDirectoryPicker) {
+      this.setStatus('Folder picking is not supported in this browser. Drop the folder instead.');
+      return;
+    }
+
+    let handle;
+    try {
+      handle = await window.showDirectoryPicker();
+    } catch (error) {
+      // The user closed the picker
+      return;
+    }
+
+    try {
+      await this.importFolder(handle.name, await this.readDirectoryHandle(handle, ''));
+    } catch (error) {
+      console.error('Failed to read folder:', error);
+      this.addFailedProject(handle.name, error);
+    }
+
+    this.render();
+  }
+
+  /**
+   * Recursively list the files of a dropped directory
+   * @param {FileSystemDirectoryEntry} directory - Dropped directory
+   * @param {string} prefix - Path of the directory relative to the dropped folder
+   * @returns {Promise<Array<Object>>} Files, each { file, path }
+   */
+  async readDirectoryEntry(directory, prefix) {
+    const reader = directory.createReader();
+    const results = [];
+    let batch;
+
+    // readEntries returns the children in batches until it returns an empty list
+    do {
+      batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+
+      for (const entry of batch) {
+        const path = `${prefix}${entry.name}`;
+        if (entry.isDirectory) {
+          results.push(...await this.readDirectoryEntry(entry, `${path}/`));
+        } else {
+          const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+          results.push({ file, path });
+        }
+      }
+    } while (batch.length > 0);
+
+    return results;
+  }
+
+  /**
+   * Recursively list the files of a picked directory
+   * @param {FileSystemDirectoryHandle} directory - Picked directory
+   * @param {string} prefix - Path of the directory relative to the picked folder
+   * @returns {Promise<Array<Object>>} Files, each { file, path }
+   */
+  async readDirectoryHandle(directory, prefix) {
+    const results = [];
+
+    for await (const handle of directory.values()) {
+      const path = `${prefix}${handle.name}`;
+      if (handle.kind === 'directory') {
+        results.push(...await this.readDirectoryHandle(handle, `${path}/`));
+      } else {
+        results.push({ file: await handle.getFile(), path });
+      }
+    }
+
+    return results;
+  }
+
+  /**
+   * Import a folder of audio files
+   * @param {string} folderName - Folder name
+   * @param {Array<Object>} entries - Files, each { file, path }
+   */
+  async importFolder(folderName, entries) {
+    await this.addProject(folderName, () => FolderImporter.importFolder(folderName, entries));
+  }
+
+  /**
+   * Run an import and add its project to the list, replacing an earlier import of the same file
+   * @param {string} fileName - Project file or folder name
+   * @param {Function} importer - Returns a promise for the imported project
+   */
+  async addProject(fileName, importer) {
+    try {
+      const project = await importer();
+      this.projects = this.projects.filter(p => p.fileName !== project.fileName);
+      this.projects.push(project);
+    } catch (error) {
+      console.error('Failed to import project file:', error);
+      this.addFailedProject(fileName, error);
+    }
+  }
+
+  /**
+   * Show an import that failed
+   * @param {string} fileName - Project file or folder name
+   * @param {Error} error - Import error
+   */
+  addFailedProject(fileName, error) {
+    this.projects.push({
+      projectName: ProjectImporter.stripExtension(fileName),
+      fileName,
+      samples: [],
+      error: ExtensionUtils.formatError(error)
+    });
+  }
+
+  /**
+   * Get every imported sample with its project attached
+   * Samples used by several projects are attributed to the first one
+   * @returns {Array<Object>} Batch entries, each { sample, project }
+   */
+  getBatchEntries() {
+    const seen = new Set();
+    const entries = [];
+
+    this.projects.forEach(project => {
+      project.samples.forEach(({ name }) => {
+        if (seen.has(name)) return;
+        seen.add(name);
+        entries.push({ sample: name, project: project.projectName });
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Submit the imported samples as a background batch
+   */
+  async sendToBatch() {
+    const entries = this.getBatchEntries();
+    if (entries.length === 0) return;
+
+    // Imported names go through the same checks as names typed into the popup
+    const validation = ExtensionUtils.validateSampleInput(entries.map(entry => entry.sample).join('\n'));
+    if (!validation.isValid) {
+      this.setStatus(`Validation failed: ${validation.errors.join(', ')}`);
+      return;
+    }
+
+    const button = document.getElementById('sendToBatch');
+    button.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'submitBatchJob',
+        samples: entries,
+        options: { combined: false, existingPolicy: 'skip' }
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to start batch');
+      }
+
+      this.setStatus(`Batch started with ${entries.length} sample${entries.length !== 1 ? 's' : ''}. Open the extension popup to follow its progress.`);
+    } catch (error) {
+      console.error('Failed to submit batch:', error);
+      this.setStatus(`Failed to start batch: ${ExtensionUtils.formatError(error)}`);
+    } finally {
+      button.disabled = this.getBatchEntries().length === 0;
+    }
+  }
+
+  /**
+   * Save each imported project, adding its samples to a saved project of the same name
+   */
+  async saveAsProjects() {
+    const imported = this.projects.filter(project => !project.error && project.samples.length > 0);
+    if (imported.length === 0) return;
+
+    const button = document.getElementById('saveAsProjects');
+    button.disabled = true;
+
+    try {
+      let created = 0;
+      let added = 0;
+
+      for (const project of imported) {
+        const samples = project.samples.map(sample => ({
+          name: sample.name,
+          source: 'import',
+          origin: project.fileName
+        }));
+        const existing = await ProjectStore.findByName(project.projectName);
+
+        if (existing) {
+          added += (await ProjectStore.addSamples(existing.id, samples)).added;
+        } else {
+          added += (await ProjectStore.save({ name: project.projectName, samples })).samples.length;
+          created++;
+        }
+      }
+
+      this.setStatus(`Saved ${imported.length} project${imported.length !== 1 ? 's' : ''} ` +
+        `(${created} new) with ${added} new sample${added !== 1 ? 's' : ''}. Open Projects from the extension popup to track their licenses.`);
+    } catch (error) {
+      console.error('Failed to save projects:', error);
+      this.setStatus(`Failed to save projects: ${ExtensionUtils.formatError(error)}`);
+    } finally {
+      button.disabled = this.getBatchEntries().length === 0;
+    }
+  }
+
+  /**
+   * Show a status message next to the buttons
+   * @param {string} message - Status message
+   */
+  setStatus(message) {
+    document.getElementById('importStatus').textContent = message;
+  }
+
+  /**
+   * Render the imported projects
+   */
+  render() {
+    const list = document.getElementById('projectList');
+    list.innerHTML = '';
+
+    this.projects.forEach(project => {
+      list.appendChild(this.createProjectCard(project));
+    });
+
+    document.getElementById('importEmpty').style.display = this.projects.length === 0 ? 'block' : 'none';
+    document.getElementById('sendToBatch').disabled = this.getBatchEntries().length === 0;
+    document.getElementById('saveAsProjects').disabled = this.getBatchEntries().length === 0;
+  }
+
+  /**
+   * Create the card for an imported project
+   * @param {Object} project - Imported project
+   * @returns {HTMLElement} Project card
+   */
+  createProjectCard(project) {
+    const card = document.createElement('div');
+    card.className = 'project-card';
+
+    const header = document.createElement('div');
+    header.className = 'project-header';
+
+    const name = document.createElement('span');
+    name.className = 'project-name';
+    name.textContent = project.projectName;
+    header.appendChild(name);
+
+    const meta = document.createElement('span');
+    meta.className = 'project-meta';
+    meta.textContent = project.error
+      ? project.fileName
+      : `${project.source} · ${project.samples.length} Splice sample${project.samples.length !== 1 ? 's' : ''}`;
+    header.appendChild(meta);
+
+    card.appendChild(header);
+
+    if (project.error) {
+      const error = document.createElement('div');
+      error.className = 'project-error';
+      error.textContent = project.error;
+      card.appendChild(error);
+      return card;
+    }
+
+    const samples = document.createElement('ul');
+    samples.className = 'project-samples';
+
+    project.samples.forEach(sample => {
+      const item = document.createElement('li');
+
+      const sampleName = document.createElement('span');
+      sampleName.textContent = sample.name;
+      item.appendChild(sampleName);
+
+      // Folder imports show the file each name was rebuilt from
+      const samplePath = document.createElement('span');
+      samplePath.className = 'sample-path';
+      samplePath.textContent = sample.origin ? `${sample.path} (from ${sample.origin})` : sample.path;
+      item.appendChild(samplePath);
+
+      samples.appendChild(item);
+    });
+
+    card.appendChild(samples);
+    return card;
+  }
+}
+
+// Initialize import page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new ImportManager();
+});
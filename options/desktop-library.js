@@ -0,0 +1,208 @@
+/**
+ * Splice desktop library panel for the options page
+ * Browses the samples in the desktop app's database and licenses them by UUID
+ */
+
+class DesktopLibraryPanel {
+  /**
+   * @param {OptionsManager} options - Options page, used for status messages
+   */
+  constructor(options) {
+    this.options = options;
+    this.samples = [];
+    this.selected = new Set();
+    this.setupEventListeners();
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    const fileInput = document.getElementById('libraryDatabaseInput');
+
+    document.getElementById('openLibraryDatabase').addEventListener('click', () => {
+      fileInput.click();
+    });
+
+    fileInput.addEventListener('change', () => {
+      const file = fileInput.files[0];
+      fileInput.value = '';
+      if (file) {
+        this.openDatabase(file);
+      }
+    });
+
+    document.getElementById('libraryFilter').addEventListener('input', ExtensionUtils.debounce(() => {
+      this.render();
+    }, 200));
+
+    ['libraryPackFilter', 'libraryFromDate', 'libraryToDate'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.render());
+    });
+
+    document.getElementById('librarySelectAll').addEventListener('change', (e) => {
+      this.getFilteredSamples().forEach(sample => {
+        if (e.target.checked) {
+          this.selected.add(sample.uuid);
+        } else {
+          this.selected.delete(sample.uuid);
+        }
+      });
+      this.render();
+    });
+
+    document.getElementById('licenseLibrarySelection').addEventListener('click', () => {
+      this.licenseSelection();
+    });
+  }
+
+  /**
+   * Read the samples from a database file
+   * @param {File} file - SQLite database file
+   */
+  async openDatabase(file) {
+    try {
+      this.samples = await SpliceLibraryReader.readFile(file);
+      this.selected.clear();
+
+      this.renderPackOptions();
+      document.getElementById('libraryBrowser').style.display = 'block';
+      this.render();
+
+      this.options.showStatusMessage(`Found ${this.samples.length} downloaded samples`, 'success');
+    } catch (error) {
+      console.error('Failed to read Splice database:', error);
+      this.options.showStatusMessage(`Failed to read database: ${ExtensionUtils.formatError(error)}`, 'error');
+    }
+  }
+
+  /**
+   * Fill the pack filter with the packs in the database
+   */
+  renderPackOptions() {
+    const select = document.getElementById('libraryPackFilter');
+    const packs = [...new Set(this.samples.map(sample => sample.pack).filter(Boolean))].sort();
+
+    select.innerHTML = '<option value="">All packs</option>';
+    packs.forEach(pack => {
+      const option = document.createElement('option');
+      option.value = pack;
+      option.textContent = pack;
+      select.appendChild(option);
+    });
+  }
+
+  /**
+   * Get the samples matching the current filters, newest first
+   * @returns {Array<Object>} Samples
+   */
+  getFilteredSamples() {
+    const query = document.getElementById('libraryFilter').value.trim().toLowerCase();
+    const pack = document.getElementById('libraryPackFilter').value;
+    const from = document.getElementById('libraryFromDate').valueAsNumber;
+    // Include the whole "to" day
+    const to = document.getElementById('libraryToDate').valueAsNumber + 24 * 60 * 60 * 1000;
+
+    return this.samples
+      .filter(sample => !query || sample.name.toLowerCase().includes(query))
+      .filter(sample => !pack || sample.pack === pack)
+      .filter(sample => Number.isNaN(from) || (sample.downloadedAt && sample.downloadedAt >= from))
+      .filter(sample => Number.isNaN(to) || (sample.downloadedAt && sample.downloadedAt < to))
+      .sort((a, b) => (b.downloadedAt || 0) - (a.downloadedAt || 0));
+  }
+
+  /**
+   * Render the sample table
+   */
+  render() {
+    const samples = this.getFilteredSamples();
+    const rows = document.getElementById('libraryRows');
+    rows.innerHTML = '';
+
+    samples.forEach(sample => {
+      rows.appendChild(this.createRow(sample));
+    });
+
+    const selectAll = document.getElementById('librarySelectAll');
+    selectAll.checked = samples.length > 0 && samples.every(sample => this.selected.has(sample.uuid));
+
+    document.getElementById('libraryCount').textContent =
+      `${samples.length} of ${this.samples.length} samples shown, ${this.selected.size} selected`;
+    document.getElementById('licenseLibrarySelection').disabled = this.selected.size === 0;
+  }
+
+  /**
+   * Create a table row for a sample
+   * @param {Object} sample - Sample from the database
+   * @returns {HTMLTableRowElement} Table row
+   */
+  createRow(sample) {
+    const row = document.createElement('tr');
+
+    const checkboxCell = document.createElement('td');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = this.selected.has(sample.uuid);
+    checkbox.addEventListener('change', () => {
+      if (checkbox.checked) {
+        this.selected.add(sample.uuid);
+      } else {
+        this.selected.delete(sample.uuid);
+      }
+      this.render();
+    });
+    checkboxCell.appendChild(checkbox);
+    row.appendChild(checkboxCell);
+
+    [
+      sample.name,
+      sample.pack,
+      sample.bpm,
+      sample.key,
+      sample.downloadedAt ? new Date(sample.downloadedAt).toLocaleDateString() : null
+    ].forEach(value => {
+      const cell = document.createElement('td');
+      cell.textContent = value || '—';
+      row.appendChild(cell);
+    });
+
+    return row;
+  }
+
+  /**
+   * Submit the selected samples as a batch licensed by UUID
+   */
+  async licenseSelection() {
+    const entries = this.samples
+      .filter(sample => this.selected.has(sample.uuid))
+      .map(sample => ({ sample: sample.name, assetUuid: sample.uuid, project: null }));
+
+    const validation = ExtensionUtils.validateSampleInput(entries.map(entry => entry.sample).join('\n'));
+    if (!validation.isValid) {
+      this.options.showStatusMessage(`Validation failed: ${validation.errors.join(', ')}`, 'error');
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'submitBatchJob',
+        samples: entries,
+        options: { combined: false, existingPolicy: 'skip' }
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to start batch');
+      }
+
+      this.selected.clear();
+      this.render();
+      this.options.showStatusMessage(
+        `Batch started with ${entries.length} sample${entries.length !== 1 ? 's' : ''}. Open the extension popup to follow its progress.`,
+        'success'
+      );
+    } catch (error) {
+      console.error('Failed to submit batch:', error);
+      this.options.showStatusMessage(`Failed to start batch: ${ExtensionUtils.formatError(error)}`, 'error');
+    }
+  }
+}
@@ -5,6 +5,8 @@
 
 class OptionsManager {
   constructor() {
+    this.profiles = [];
+    this.defaultProfileId = null;
     this.init();
   }
 
@@ -12,6 +14,7 @@ class OptionsManager {
    * Initialize the options page
    */
   async init() {
+    this.desktopLibrary = new DesktopLibraryPanel(this);
     this.setupEventListeners();
     await this.loadSettings();
     await this.loadLicenseInfo();
@@ -27,9 +30,62 @@ class OptionsManager {
       this.saveLicenseInfo();
     });
 
-    // Clear license info
-    document.getElementById('clearLicenseInfo').addEventListener('click', () => {
-      this.clearLicenseInfo();
+    // License profiles
+    document.getElementById('profileSelect').addEventListener('change', (e) => {
+      this.showProfile(e.target.value);
+    });
+
+    document.getElementById('deleteProfile').addEventListener('click', () => {
+      this.deleteProfile();
+    });
+
+    // Passphrase
+    document.getElementById('unlockForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.unlockLicenseInfo();
+    });
+
+    document.getElementById('passphraseForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.setPassphrase();
+    });
+
+    document.getElementById('removePassphrase').addEventListener('click', () => {
+      this.removePassphrase();
+    });
+
+    document.getElementById('lockNow').addEventListener('click', () => {
+      LicenseInfoManager.lock();
+    });
+
+    document.getElementById('fileNameForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveDownloadSettings();
+    });
+
+    document.getElementById('fileNameTemplate').addEventListener('input', () => {
+      this.renderFileNamePreview();
+    });
+
+    document.getElementById('reminderForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveReminderDays();
+    });
+
+    document.getElementById('throttleForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveBatchSpeed();
+    });
+
+    document.getElementById('autoLockMinutes').addEventListener('change', (e) => {
+      this.saveAutoLock(parseInt(e.target.value, 10));
+    });
+
+    // Follow locking and unlocking from the popup or auto-lock
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'session' && changes[LicenseInfoEncryption.SESSION_KEY]) {
+        this.loadLicenseInfo();
+      }
     });
 
     // Data management
@@ -65,29 +121,269 @@ class OptionsManager {
    */
   async loadSettings() {
     try {
-      // No download preferences to load anymore
+      const result = await chrome.storage.local.get(['autoLockMinutes']);
+      const minutes = Number.isInteger(result.autoLockMinutes) ? result.autoLockMinutes : 15;
+      document.getElementById('autoLockMinutes').value = String(minutes);
+
+      document.getElementById('fileNameTemplate').value = await CertificateExport.getTemplate();
+      this.renderFileNamePreview();
+
+      const downloads = await chrome.storage.local.get(['certificateFolderMode', 'certificateConflictAction']);
+      document.getElementById('folderMode').value = downloads.certificateFolderMode || 'project';
+      document.getElementById('conflictAction').value = downloads.certificateConflictAction || 'uniquify';
+
+      const reminders = await chrome.storage.local.get(['releaseReminderDays']);
+      const days = Array.isArray(reminders.releaseReminderDays) ? reminders.releaseReminderDays : [7, 1];
+      document.getElementById('reminderDays').value = days.join(', ');
+
+      const { batchThrottle } = await chrome.storage.local.get(['batchThrottle']);
+      document.getElementById('batchConcurrency').value = String(batchThrottle?.concurrency || 2);
+      document.getElementById('requestsPerMinute').value = String(batchThrottle?.requestsPerMinute || 30);
     } catch (error) {
       console.error('Failed to load settings:', error);
     }
   }
 
   /**
-   * Load license information from storage
+   * Show an example file name for the template being edited
+   */
+  renderFileNamePreview() {
+    const template = document.getElementById('fileNameTemplate').value.trim() || CertificateExport.DEFAULT_TEMPLATE;
+    const example = CertificateExport.formatFileName(template, {
+      certificateUuid: '3f2c9a1e-0000-4000-8000-000000000000',
+      licenseIssued: new Date().toISOString(),
+      artistName: 'DJ Example',
+      fullLegalName: 'Alex Example',
+      profileName: 'Personal',
+      samples: [{ sampleName: 'Kick_Punchy_01.wav', pack: 'Example Drum Kit', project: 'My Track' }]
+    });
+
+    document.getElementById('fileNamePreview').textContent = `Example: ${example}`;
+  }
+
+  /**
+   * Save the certificate file name template, subfolder and conflict handling
+   */
+  async saveDownloadSettings() {
+    try {
+      const template = await CertificateExport.saveTemplate(document.getElementById('fileNameTemplate').value);
+      document.getElementById('fileNameTemplate').value = template;
+
+      await chrome.storage.local.set({
+        certificateFolderMode: document.getElementById('folderMode').value,
+        certificateConflictAction: document.getElementById('conflictAction').value
+      });
+
+      this.showStatusMessage('Download settings saved', 'success');
+    } catch (error) {
+      console.error('Failed to save download settings:', error);
+      this.showStatusMessage(ExtensionUtils.formatError(error), 'error');
+    }
+  }
+
+  /**
+   * Save the days before a release to send reminders on
+   */
+  async saveReminderDays() {
+    const input = document.getElementById('reminderDays');
+    const values = input.value.split(',').map(value => value.trim()).filter(Boolean);
+    const days = [...new Set(values.map(Number))].sort((a, b) => b - a);
+
+    if (days.some(day => !Number.isInteger(day) || day < 0 || day > 365)) {
+      this.showStatusMessage('Reminder days must be whole numbers from 0 to 365', 'error');
+      return;
+    }
+
+    try {
+      await chrome.storage.local.set({ releaseReminderDays: days });
+      input.value = days.join(', ');
+      this.showStatusMessage(days.length > 0 ? 'Release reminders saved' : 'Release reminders turned off', 'success');
+    } catch (error) {
+      console.error('Failed to save release reminders:', error);
+      this.showStatusMessage('Failed to save release reminders', 'error');
+    }
+  }
+
+  /**
+   * Save how many samples batches process at once and how many requests they may send
+   */
+  async saveBatchSpeed() {
+    const concurrency = parseInt(document.getElementById('batchConcurrency').value, 10);
+    const requestsPerMinute = Number(document.getElementById('requestsPerMinute').value);
+
+    if (!Number.isInteger(requestsPerMinute) || requestsPerMinute < 1 || requestsPerMinute > 120) {
+      this.showStatusMessage('Requests per minute must be a whole number from 1 to 120', 'error');
+      return;
+    }
+
+    try {
+      await chrome.storage.local.set({ batchThrottle: { concurrency, requestsPerMinute } });
+      this.showStatusMessage('Batch speed saved', 'success');
+    } catch (error) {
+      console.error('Failed to save batch speed:', error);
+      this.showStatusMessage('Failed to save batch speed', 'error');
+    }
+  }
+
+  /**
+   * Save the auto-lock idle time
+   * @param {number} minutes - Minutes of inactivity, 0 to lock only on screen lock or restart
    */
-  async loadLicenseInfo() {
+  async saveAutoLock(minutes) {
     try {
-      const licenseInfo = await LicenseInfoManager.getLicenseInfo();
+      await chrome.storage.local.set({ autoLockMinutes: minutes });
+      this.showStatusMessage('Auto-lock updated', 'success');
+    } catch (error) {
+      console.error('Failed to save auto-lock:', error);
+      this.showStatusMessage('Failed to update auto-lock', 'error');
+    }
+  }
 
-      if (licenseInfo) {
-        document.getElementById('legalName').value = licenseInfo.legalName || '';
-        document.getElementById('artistName').value = licenseInfo.artistName || '';
+  /**
+   * Load license information from storage
+   * @param {string|null} selectedId - Profile to show, or null for the default profile
+   */
+  async loadLicenseInfo(selectedId = null) {
+    try {
+      const locked = await LicenseInfoManager.isLocked();
+
+      document.getElementById('unlockForm').style.display = locked ? 'flex' : 'none';
+      document.getElementById('licenseForm').style.display = locked ? 'none' : 'flex';
+      await this.renderPassphraseState(locked);
+
+      if (locked) {
+        // Don't leave decrypted values behind in the hidden form
+        this.profiles = [];
+        this.defaultProfileId = null;
+        this.renderProfiles(null);
+        return;
       }
+
+      const data = await LicenseInfoManager.readProfiles();
+      this.profiles = data ? data.profiles : [];
+      this.defaultProfileId = data ? data.defaultProfileId : null;
+      this.renderProfiles(selectedId || this.defaultProfileId);
     } catch (error) {
     }
   }
 
   /**
-   * Save license information
+   * Fill the profile picker and show the selected profile
+   * @param {string|null} selectedId - Profile to show, or null for a new profile
+   */
+  renderProfiles(selectedId) {
+    const select = document.getElementById('profileSelect');
+    select.innerHTML = '';
+
+    this.profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.id === this.defaultProfileId ? `${profile.name} (default)` : profile.name;
+      select.appendChild(option);
+    });
+
+    const newOption = document.createElement('option');
+    newOption.value = '';
+    newOption.textContent = 'New profile…';
+    select.appendChild(newOption);
+
+    const id = this.profiles.some(profile => profile.id === selectedId) ? selectedId : '';
+    select.value = id;
+    this.showProfile(id);
+  }
+
+  /**
+   * Show a profile in the form
+   * @param {string} profileId - Profile to show, or '' for a new profile
+   */
+  showProfile(profileId) {
+    const profile = this.profiles.find(p => p.id === profileId) || null;
+
+    document.getElementById('profileName').value = profile?.name || '';
+    document.getElementById('legalName').value = profile?.legalName || '';
+    document.getElementById('artistName').value = profile?.artistName || '';
+    document.getElementById('companyName').value = profile?.companyName || '';
+    document.getElementById('defaultProfile').checked = profile
+      ? profile.id === this.defaultProfileId
+      : this.profiles.length === 0;
+    document.getElementById('deleteProfile').style.display = profile ? 'inline-block' : 'none';
+  }
+
+  /**
+   * Show whether a passphrase is set
+   * @param {boolean} locked - True if license info is waiting for its passphrase
+   */
+  async renderPassphraseState(locked) {
+    const isProtected = await LicenseInfoManager.isPassphraseProtected();
+
+    document.getElementById('passphraseForm').style.display = locked ? 'none' : 'flex';
+    document.getElementById('removePassphrase').style.display = isProtected ? 'inline-block' : 'none';
+    document.getElementById('lockNow').style.display = isProtected ? 'inline-block' : 'none';
+    document.getElementById('setPassphrase').textContent = isProtected ? 'Change Passphrase' : 'Set Passphrase';
+    document.getElementById('passphraseHelp').textContent = isProtected
+      ? 'Set. Your passphrase is asked for once per browser session and cannot be recovered if forgotten.'
+      : 'Not set. A passphrase is asked for once per browser session and cannot be recovered if forgotten.';
+  }
+
+  /**
+   * Unlock passphrase-protected license information
+   */
+  async unlockLicenseInfo() {
+    const input = document.getElementById('unlockPassphrase');
+
+    if (await LicenseInfoManager.unlock(input.value)) {
+      input.value = '';
+      await this.loadLicenseInfo();
+      this.showStatusMessage('License information unlocked', 'success');
+    } else {
+      this.showStatusMessage('Incorrect passphrase', 'error');
+    }
+  }
+
+  /**
+   * Protect license information with a new passphrase
+   */
+  async setPassphrase() {
+    const passphrase = document.getElementById('newPassphrase').value;
+    const confirmation = document.getElementById('confirmPassphrase').value;
+
+    if (passphrase !== confirmation) {
+      this.showStatusMessage('Passphrases do not match', 'error');
+      return;
+    }
+
+    if (!(await LicenseInfoManager.hasLicenseInfo())) {
+      this.showStatusMessage('Save your license information before setting a passphrase', 'error');
+      return;
+    }
+
+    if (await LicenseInfoManager.setPassphrase(passphrase)) {
+      document.getElementById('passphraseForm').reset();
+      await this.loadLicenseInfo();
+      this.showStatusMessage('Passphrase set', 'success');
+    } else {
+      this.showStatusMessage('Failed to set passphrase', 'error');
+    }
+  }
+
+  /**
+   * Remove passphrase protection, keeping the device key encryption
+   */
+  async removePassphrase() {
+    if (!confirm('Remove the passphrase? License information will stay encrypted, but anyone using this browser profile can read it.')) {
+      return;
+    }
+
+    if (await LicenseInfoManager.setPassphrase(null)) {
+      await this.loadLicenseInfo();
+      this.showStatusMessage('Passphrase removed', 'success');
+    } else {
+      this.showStatusMessage('Failed to remove passphrase', 'error');
+    }
+  }
+
+  /**
+   * Save the profile shown in the form
    */
   async saveLicenseInfo() {
     const legalName = document.getElementById('legalName').value.trim();
@@ -99,16 +395,22 @@ class OptionsManager {
       return;
     }
 
-    const licenseData = {
+    const profileData = {
+      id: document.getElementById('profileSelect').value || null,
+      name: document.getElementById('profileName').value.trim(),
       legalName,
-      artistName
+      artistName,
+      companyName: document.getElementById('companyName').value.trim()
     };
 
     try {
-      const success = await LicenseInfoManager.saveLicenseInfo(licenseData);
+      const profile = await LicenseInfoManager.saveProfile(profileData, {
+        makeDefault: document.getElementById('defaultProfile').checked
+      });
 
-      if (success) {
-        this.showStatusMessage('License information saved successfully', 'success');
+      if (profile) {
+        await this.loadLicenseInfo(profile.id);
+        this.showStatusMessage(`Profile "${profile.name}" saved`, 'success');
       } else {
         this.showStatusMessage('Failed to save license information', 'error');
       }
@@ -118,39 +420,46 @@ class OptionsManager {
   }
 
   /**
-   * Clear license information
+   * Delete the profile shown in the form
    */
-  async clearLicenseInfo() {
-    if (!confirm('Are you sure you want to clear your license information?')) {
+  async deleteProfile() {
+    const profile = this.profiles.find(p => p.id === document.getElementById('profileSelect').value);
+    if (!profile || !confirm(`Are you sure you want to delete the profile "${profile.name}"?`)) {
       return;
     }
 
     try {
-      const success = await LicenseInfoManager.clearLicenseInfo();
+      const success = await LicenseInfoManager.deleteProfile(profile.id);
 
       if (success) {
-        document.getElementById('legalName').value = '';
-        document.getElementById('artistName').value = '';
-        this.showStatusMessage('License information cleared', 'success');
+        await this.loadLicenseInfo();
+        this.showStatusMessage('Profile deleted', 'success');
       } else {
-        this.showStatusMessage('Failed to clear license information', 'error');
+        this.showStatusMessage('Failed to delete profile', 'error');
       }
     } catch (error) {
-      this.showStatusMessage('Failed to clear license information', 'error');
+      this.showStatusMessage('Failed to delete profile', 'error');
     }
   }
 
-
   /**
    * Export data
+   * The device key cannot leave this browser, so license information is exported
+   * in plain text unless a passphrase protects it
    */
   async exportData() {
     try {
-      const result = await chrome.storage.local.get(null);
+      const result = await chrome.storage.local.get(['licenseInfo']);
+      let licenseInfo = result.licenseInfo;
+
+      if (!LicenseInfoEncryption.isPassphraseProtected(licenseInfo)) {
+        licenseInfo = await LicenseInfoManager.readProfiles();
+      }
+
       const exportData = {
-        licenseInfo: result.licenseInfo,
+        licenseInfo,
         exportDate: new Date().toISOString(),
-        version: '1.0.0'
+        version: '2.0.0'
       };
 
       const dataStr = JSON.stringify(exportData, null, 2);
@@ -189,10 +498,7 @@ class OptionsManager {
           throw new Error('Invalid data format');
         }
 
-        // Import license info
-        if (importData.licenseInfo) {
-          await chrome.storage.local.set({ licenseInfo: importData.licenseInfo });
-        }
+        await this.importLicenseInfo(importData.licenseInfo);
 
         // Reload the page to reflect changes
         await this.loadSettings();
@@ -208,6 +514,34 @@ class OptionsManager {
     input.click();
   }
 
+  /**
+   * Store imported license information
+   * @param {Object|string} licenseInfo - Profiles, a single identity, a passphrase-protected envelope, or legacy base64
+   */
+  async importLicenseInfo(licenseInfo) {
+    if (LicenseInfoEncryption.isPassphraseProtected(licenseInfo)) {
+      // Kept as-is and unlocked with the same passphrase
+      await LicenseInfoEncryption.lock();
+      await chrome.storage.local.set({ licenseInfo, licenseInfoTimestamp: Date.now() });
+      return;
+    }
+
+    const licenseData = LicenseInfoEncryption.isLegacy(licenseInfo)
+      ? await LicenseInfoEncryption.decrypt(licenseInfo)
+      : licenseInfo;
+
+    // Device-key envelopes can only be read by the browser that wrote them
+    if (!licenseData || licenseData.ciphertext) {
+      throw new Error('Invalid data format');
+    }
+
+    // Replace whatever is stored, including a passphrase this page cannot use yet
+    await LicenseInfoManager.clearLicenseInfo();
+    if (!(await LicenseInfoManager.writeProfiles(LicenseInfoManager.toProfileData(licenseData)))) {
+      throw new Error('Invalid data format');
+    }
+  }
+
   /**
    * Clear all data
    */
@@ -218,10 +552,10 @@ class OptionsManager {
 
     try {
       await chrome.storage.local.clear();
+      await LicenseInfoEncryption.lock();
 
       // Reset form
-      document.getElementById('legalName').value = '';
-      document.getElementById('artistName').value = '';
+      await this.loadLicenseInfo();
 
       this.showStatusMessage('All data cleared', 'success');
     } catch (error) {
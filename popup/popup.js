@@ -8,6 +8,14 @@ class PopupManager {
     this.isProcessing = false;
     this.currentResults = [];
     this.STATE_KEY = 'popup_state';
+    this.activeJobId = null;
+    this.sampleProjects = {};
+    this.plan = null;
+    this.isPreviewing = false;
+    this.previewAudio = null;
+    this.isLocked = false;
+    this.profiles = [];
+    this.savedProfileId = null;
     this.saveStateTimeout = null;
     this.setupGlobalErrorHandler();
     this.init();
@@ -91,9 +99,12 @@ class PopupManager {
    */
   async init() {
     this.setupEventListeners();
+    this.subscribeToBatchJobs();
+    this.subscribeToLockState();
 
     // Restore previous state first
     await this.restoreState();
+    await this.loadActiveJob();
 
     // Force a fresh authentication check (clear cache)
     try {
@@ -136,6 +147,12 @@ class PopupManager {
 
       const state = {
         input: sampleInput.value,
+        combined: document.getElementById('combinedCertificate').checked,
+        existingPolicy: document.getElementById('existingPolicy').value,
+        profileId: document.getElementById('profileSelect').value || this.savedProfileId,
+        jobId: this.activeJobId,
+        sampleProjects: this.sampleProjects,
+        plan: this.plan,
         results: this.currentResults,
         timestamp: Date.now()
       };
@@ -155,9 +172,9 @@ class PopupManager {
 
       if (!state) return;
 
-      // Only restore if state is less than 1 hour old
+      // Only restore if state is less than 1 hour old, unless a batch is still attached
       const oneHour = 60 * 60 * 1000;
-      if (Date.now() - state.timestamp > oneHour) {
+      if (Date.now() - state.timestamp > oneHour && !state.jobId) {
         await chrome.storage.local.remove(this.STATE_KEY);
         return;
       }
@@ -168,6 +185,23 @@ class PopupManager {
         sampleInput.value = state.input;
       }
 
+      this.sampleProjects = state.sampleProjects || {};
+      document.getElementById('combinedCertificate').checked = !!state.combined;
+      document.getElementById('existingPolicy').value = state.existingPolicy || 'skip';
+      // Applied once the profiles have been decrypted
+      this.savedProfileId = state.profileId || null;
+
+      // Reattach to the batch job, which may still be running in the service worker
+      if (state.jobId) {
+        this.activeJobId = state.jobId;
+      }
+
+      // Bring back a preview that hasn't been confirmed yet
+      if (state.plan && !state.jobId) {
+        this.plan = state.plan;
+        this.renderPlan();
+      }
+
       // Restore results
       if (state.results && state.results.length > 0) {
         this.currentResults = state.results;
@@ -216,6 +250,11 @@ class PopupManager {
     const sampleInput = document.getElementById('sampleInput');
     sampleInput.addEventListener('input', () => {
       this.updateSampleCount();
+
+      // A preview only describes the names it was made from
+      if (this.plan) {
+        this.discardPlan();
+      }
       // Removed validateInput() call to prevent console warnings during typing
 
       // Save state when input changes (debounced)
@@ -223,19 +262,86 @@ class PopupManager {
       this.saveStateTimeout = setTimeout(() => this.saveState(), 500);
     });
 
+    // Project file drop handling
+    document.getElementById('dropHint').textContent =
+      `Drop a project file (${ProjectImporter.getSupportedExtensions().join(', ')}) here to import its Splice samples`;
+
+    const inputSection = document.querySelector('.input-section');
+    inputSection.addEventListener('dragover', (e) => {
+      e.preventDefault();
+      inputSection.classList.add('drag-over');
+    });
+
+    inputSection.addEventListener('dragleave', () => {
+      inputSection.classList.remove('drag-over');
+    });
+
+    inputSection.addEventListener('drop', (e) => {
+      e.preventDefault();
+      inputSection.classList.remove('drag-over');
+      this.importProjectFiles(Array.from(e.dataTransfer.files));
+    });
+
     // Button handlers
     document.getElementById('processSamples').addEventListener('click', () => {
       this.processSamples();
     });
 
+    document.getElementById('previewSamples').addEventListener('click', () => {
+      this.previewSamples();
+    });
+
+    document.getElementById('editPlan').addEventListener('click', () => {
+      this.discardPlan();
+      document.getElementById('sampleInput').focus();
+    });
+
+    document.getElementById('confirmPlan').addEventListener('click', () => {
+      this.confirmPlan();
+    });
+
     document.getElementById('clearInput').addEventListener('click', () => {
       this.clearInput();
     });
 
+    document.getElementById('retryFailed').addEventListener('click', () => {
+      this.retryFailed();
+    });
+
     document.getElementById('clearResults').addEventListener('click', () => {
       this.clearResults();
     });
 
+    document.getElementById('cancelBatch').addEventListener('click', () => {
+      this.cancelBatch();
+    });
+
+    document.getElementById('combinedCertificate').addEventListener('change', () => {
+      if (this.plan) {
+        this.renderPlan();
+      }
+      this.saveState();
+    });
+
+    document.getElementById('existingPolicy').addEventListener('change', () => {
+      if (this.plan) {
+        this.plan.items.forEach(item => {
+          item.include = this.isIncludedByDefault(item);
+        });
+        this.renderPlan();
+      }
+      this.saveState();
+    });
+
+    document.getElementById('profileSelect').addEventListener('change', (e) => {
+      this.savedProfileId = e.target.value;
+      this.showLicenseInfoStatus(this.getSelectedProfile());
+      if (this.plan) {
+        this.renderPlan();
+      }
+      this.saveState();
+    });
+
     // Navigation handlers
     document.getElementById('openSplice').addEventListener('click', () => {
       chrome.tabs.create({ url: 'https://splice.com' });
@@ -249,9 +355,31 @@ class PopupManager {
       chrome.runtime.openOptionsPage();
     });
 
+    document.getElementById('openImport').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('import/import.html') });
+    });
+
+    document.getElementById('openProjects').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('projects/projects.html') });
+    });
+
+    document.getElementById('openHistory').addEventListener('click', () => {
+      chrome.tabs.create({ url: chrome.runtime.getURL('history/history.html') });
+    });
+
     document.getElementById('openHelp').addEventListener('click', () => {
       this.showHelp();
     });
+
+    // Lock screen
+    document.getElementById('unlockForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.unlock();
+    });
+
+    document.getElementById('lockNow').addEventListener('click', () => {
+      LicenseInfoManager.lock();
+    });
   }
 
   /**
@@ -298,15 +426,17 @@ class PopupManager {
    */
   async checkLicenseInfo() {
     try {
-      const result = await chrome.storage.local.get(['licenseInfo']);
+      if (await LicenseInfoManager.isLocked()) {
+        this.showLockScreen();
+        return;
+      }
 
-      if (result.licenseInfo) {
-        const licenseInfo = LicenseInfoEncryption.decrypt(result.licenseInfo);
-        if (licenseInfo) {
-          this.showLicenseInfoStatus(licenseInfo);
-        } else {
-          this.showLicenseInfoPrompt();
-        }
+      await this.hideLockScreen();
+
+      const data = await LicenseInfoManager.readProfiles();
+      if (data && data.profiles.length > 0) {
+        this.renderProfilePicker(data);
+        this.showLicenseInfoStatus(this.getSelectedProfile());
       } else {
         this.showLicenseInfoPrompt();
       }
@@ -323,28 +453,7 @@ class PopupManager {
     document.getElementById('statusIndicator').className = 'status-indicator success';
 
     // Handle different user data structures to get username
-    let username = null;
-
-    if (user) {
-      if (typeof user === 'string') {
-        username = user;
-      } else if (user.username) {
-        username = user.username;
-      } else if (user.name) {
-        username = user.name;
-      } else if (user.email) {
-        username = user.email;
-      }
-    }
-
-    // Validate username isn't generic text
-    if (username) {
-      const lowerUsername = username.toLowerCase();
-      const genericTerms = ['unknown', 'user avatar', 'avatar', 'user', 'log in', 'login'];
-      if (genericTerms.some(term => lowerUsername === term || lowerUsername.includes(term))) {
-        username = null;
-      }
-    }
+    const username = ExtensionUtils.extractUsername(user);
 
     // Display appropriate text based on whether we have a username
     if (username) {
@@ -354,7 +463,7 @@ class PopupManager {
     }
 
     document.getElementById('statusDetails').textContent = 'Ready to generate licenses';
-    document.getElementById('mainInterface').style.display = 'flex';
+    document.getElementById('mainInterface').style.display = this.isLocked ? 'none' : 'flex';
   }
 
   /**
@@ -367,14 +476,52 @@ class PopupManager {
     document.getElementById('statusDetails').textContent = 'Please log in to Splice.com first';
   }
 
+  /**
+   * Fill the profile picker, keeping the last profile used if it still exists
+   * @param {Object} data - { profiles, defaultProfileId } from LicenseInfoManager
+   */
+  renderProfilePicker(data) {
+    const select = document.getElementById('profileSelect');
+    this.profiles = data.profiles;
+    select.innerHTML = '';
+
+    data.profiles.forEach(profile => {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      select.appendChild(option);
+    });
+
+    const saved = data.profiles.some(profile => profile.id === this.savedProfileId);
+    select.value = saved ? this.savedProfileId : data.defaultProfileId;
+
+    // The preview names the identity that will be printed
+    if (this.plan) {
+      this.renderPlan();
+    }
+  }
+
+  /**
+   * Get the profile chosen in the picker
+   * @returns {Object|null} Profile
+   */
+  getSelectedProfile() {
+    const id = document.getElementById('profileSelect').value;
+    return this.profiles.find(profile => profile.id === id) || this.profiles[0] || null;
+  }
+
   /**
    * Show license info status
+   * @param {Object} profile - Profile licenses will be issued under
    */
-  showLicenseInfoStatus(licenseInfo) {
+  showLicenseInfoStatus(profile) {
     document.getElementById('licenseInfoStatus').style.display = 'flex';
     document.getElementById('licenseStatusIndicator').className = 'status-indicator success';
-    document.getElementById('licenseStatusText').textContent = `License info configured`;
-    document.getElementById('licenseStatusDetails').textContent = `${licenseInfo.legalName} (${licenseInfo.artistName})`;
+    document.getElementById('licenseStatusText').textContent = `Licensing as ${profile.name}`;
+    document.getElementById('licenseStatusDetails').textContent = [
+      `${profile.legalName} (${profile.artistName})`,
+      profile.companyName
+    ].filter(Boolean).join(' · ');
     document.getElementById('processSamples').disabled = false;
   }
 
@@ -387,6 +534,61 @@ class PopupManager {
     document.getElementById('licenseStatusText').textContent = 'License information not configured';
   }
 
+  /**
+   * Show the lock screen in place of the main interface
+   */
+  showLockScreen() {
+    this.isLocked = true;
+    document.getElementById('lockScreen').style.display = 'flex';
+    document.getElementById('mainInterface').style.display = 'none';
+    document.getElementById('licenseInfoStatus').style.display = 'none';
+    document.getElementById('lockNow').style.display = 'none';
+    document.getElementById('processSamples').disabled = true;
+    document.getElementById('unlockPassphrase').focus();
+  }
+
+  /**
+   * Hide the lock screen, bringing back the main interface if it was locked
+   */
+  async hideLockScreen() {
+    document.getElementById('lockScreen').style.display = 'none';
+    document.getElementById('lockNow').style.display =
+      (await LicenseInfoManager.isPassphraseProtected()) ? 'inline-block' : 'none';
+
+    if (this.isLocked) {
+      this.isLocked = false;
+      await this.checkAuthentication();
+    }
+  }
+
+  /**
+   * Unlock with the passphrase entered on the lock screen
+   */
+  async unlock() {
+    const input = document.getElementById('unlockPassphrase');
+    const error = document.getElementById('unlockError');
+
+    if (await LicenseInfoManager.unlock(input.value)) {
+      input.value = '';
+      error.textContent = '';
+      // The session storage listener refreshes the popup
+    } else {
+      input.select();
+      error.textContent = 'Incorrect passphrase';
+    }
+  }
+
+  /**
+   * Follow locking and unlocking from any extension page or auto-lock
+   */
+  subscribeToLockState() {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'session' && changes[LicenseInfoEncryption.SESSION_KEY]) {
+        this.checkLicenseInfo();
+      }
+    });
+  }
+
   /**
    * Update sample count display
    */
@@ -403,6 +605,7 @@ class PopupManager {
     // Update button state
     const processButton = document.getElementById('processSamples');
     processButton.disabled = samples.length === 0 || this.isProcessing;
+    document.getElementById('previewSamples').disabled = samples.length === 0 || this.isProcessing || this.isPreviewing;
   }
 
   /**
@@ -434,183 +637,648 @@ class PopupManager {
       return;
     }
 
+    await this.startBatch(validation.samples.map(sample => ({
+      sample,
+      project: this.sampleProjects[sample] || null
+    })));
+  }
+
+  /**
+   * Hand samples to the batch queue and follow its progress
+   * @param {Array<Object>} entries - Batch entries, each { sample, project } plus the match for previewed samples
+   */
+  async startBatch(entries) {
+    if (this.plan) {
+      this.discardPlan();
+    }
+
     this.isProcessing = true;
     this.setProcessingState(true);
     this.showProgressSection();
+    this.updateProgress(0, entries.length, 'Queued...');
 
     try {
-      const results = await this.processSamplesBatch(validation.samples);
-      this.showResults(results);
+      // The service worker owns the batch so it keeps running if the popup closes
+      const response = await this.safeSendMessage({
+        action: 'submitBatchJob',
+        samples: entries,
+        options: {
+          combined: document.getElementById('combinedCertificate').checked,
+          existingPolicy: document.getElementById('existingPolicy').value,
+          profileId: document.getElementById('profileSelect').value || null
+        }
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to start batch');
+      }
+
+      this.activeJobId = response.jobId;
       await this.saveState();
     } catch (error) {
       ExtensionUtils.showNotification(`Processing failed: ${ExtensionUtils.formatError(error)}`, 'error');
-    } finally {
       this.isProcessing = false;
       this.setProcessingState(false);
     }
   }
 
   /**
-   * Process samples batch
+   * Resolve every sample without issuing certificates and show what a batch would do
    */
-  async processSamplesBatch(samples) {
-    const results = [];
-    const total = samples.length;
+  async previewSamples() {
+    if (this.isProcessing || this.isPreviewing) return;
 
-    for (let i = 0; i < samples.length; i++) {
-      const sample = samples[i];
+    const validation = ExtensionUtils.validateSampleInput(document.getElementById('sampleInput').value);
 
-      try {
-        // Update progress
-        this.updateProgress(i + 1, total, `Processing: ${sample}`);
+    if (!validation.isValid) {
+      ExtensionUtils.showNotification(`Validation failed: ${validation.errors.join(', ')}`, 'error');
+      return;
+    }
 
-        // Step 1: Search for sample
-        const searchResult = await this.safeSendMessage({
-          action: 'searchSamples',
-          query: sample
-        });
+    const button = document.getElementById('previewSamples');
+    this.isPreviewing = true;
+    button.disabled = true;
+    button.textContent = 'Previewing...';
 
-        if (!searchResult.success || searchResult.results.length === 0) {
-          results.push({
-            sample,
-            success: false,
-            error: searchResult.error || 'Sample not found on Splice. Please verify the sample name is correct.'
-          });
-          continue;
-        }
+    try {
+      const response = await this.safeSendMessage({
+        action: 'previewBatch',
+        samples: validation.samples.map(sample => ({
+          sample,
+          project: this.sampleProjects[sample] || null
+        }))
+      });
 
-        // Find best match (exact match preferred)
-        const bestMatch = this.findBestMatch(sample, searchResult.results);
-        if (!bestMatch) {
-          results.push({
-            sample,
-            success: false,
-            error: 'No suitable match found'
-          });
-          continue;
-        }
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Preview failed');
+      }
 
-        // Check if sample is in library
-        if (bestMatch.inLibrary === false) {
-          results.push({
-            sample,
-            success: false,
-            error: 'Sample not in your library. Please add this sample to your Splice library before generating a license.'
-          });
-          continue;
-        }
+      this.plan = {
+        items: response.items.map(item => {
+          const planItem = { ...item, choiceIndex: item.choices.length > 0 ? 0 : -1 };
+          planItem.include = this.isIncludedByDefault(planItem);
+          return planItem;
+        }),
+        createdAt: Date.now()
+      };
 
-        // Step 2: Generate license using API
-        const licenseInfo = await this.getLicenseInfo();
+      this.renderPlan();
+      await this.saveState();
+    } catch (error) {
+      ExtensionUtils.showNotification(`Preview failed: ${ExtensionUtils.formatError(error)}`, 'error');
+    } finally {
+      this.isPreviewing = false;
+      button.textContent = 'Preview';
+      this.updateSampleCount();
+    }
+  }
 
-        if (!licenseInfo) {
-          results.push({
-            sample,
-            success: false,
-            error: 'License information not configured. Please set up your license details in the extension options.'
-          });
-          continue;
-        }
+  /**
+   * Get the candidate picked for a preview item
+   * @param {Object} item - Preview item
+   * @returns {Object|null} Chosen candidate, or null if nothing was found
+   */
+  getPlanChoice(item) {
+    return item.choices[item.choiceIndex] || null;
+  }
+
+  /**
+   * Decide whether a preview item is issued unless the user changes it
+   * Samples outside the library can't be licensed, and already licensed ones follow the re-issue setting
+   * @param {Object} item - Preview item
+   * @returns {boolean} True to issue a certificate for it
+   */
+  isIncludedByDefault(item) {
+    const choice = this.getPlanChoice(item);
+
+    if (!choice || choice.inLibrary === false) {
+      return false;
+    }
+
+    return !choice.existing || document.getElementById('existingPolicy').value === 'reissue';
+  }
+
+  /**
+   * Show the preview: the identity certificates will carry and what happens to each sample
+   */
+  renderPlan() {
+    const section = document.getElementById('planSection');
+
+    if (!this.plan) {
+      section.style.display = 'none';
+      return;
+    }
+
+    section.style.display = 'block';
+
+    const profile = this.profiles.length > 0 ? this.getSelectedProfile() : null;
+    document.getElementById('planIdentity').textContent = profile
+      ? `Certificates will name "${profile.legalName}" as legal name and "${profile.artistName}" as artist name (profile ${profile.name}).`
+      : 'Set up or unlock your license information to see the names certificates will show.';
+
+    const rows = document.getElementById('planRows');
+    rows.innerHTML = '';
+    this.plan.items.forEach(item => rows.appendChild(this.createPlanRow(item)));
+
+    const included = this.plan.items.filter(item => item.include).length;
+    const left = this.plan.items.length - included;
+    const combined = document.getElementById('combinedCertificate').checked;
+
+    document.getElementById('planSummary').textContent = [
+      combined && included > 0
+        ? `1 certificate covering ${included} sample${included !== 1 ? 's' : ''}`
+        : `${included} certificate${included !== 1 ? 's' : ''} will be issued`,
+      left > 0 ? `${left} sample${left !== 1 ? 's' : ''} left out` : null
+    ].filter(Boolean).join(' · ');
+
+    document.getElementById('confirmPlan').disabled = included === 0 || this.isProcessing;
+  }
+
+  /**
+   * Create the preview row for a sample
+   * @param {Object} item - Preview item
+   * @returns {HTMLElement} Table row
+   */
+  createPlanRow(item) {
+    const row = document.createElement('tr');
+    const choice = this.getPlanChoice(item);
+
+    // Requested name and the Splice sample it resolved to
+    const sampleCell = document.createElement('td');
+    const sampleName = document.createElement('div');
+    sampleName.className = 'plan-sample';
+    sampleName.textContent = item.sample;
+    sampleCell.appendChild(sampleName);
+
+    if (item.error) {
+      const error = document.createElement('div');
+      error.className = 'plan-error';
+      error.textContent = item.error;
+      sampleCell.appendChild(error);
+    } else if (item.choices.length > 1) {
+      const select = document.createElement('select');
+      select.className = 'plan-select';
+      item.choices.forEach((candidate, choiceIndex) => {
+        const option = document.createElement('option');
+        option.value = String(choiceIndex);
+        option.textContent = candidate.name || candidate.id;
+        select.appendChild(option);
+      });
+      select.value = String(item.choiceIndex);
+      select.addEventListener('change', () => {
+        item.choiceIndex = parseInt(select.value, 10);
+        item.include = this.isIncludedByDefault(item);
+        this.renderPlan();
+        this.saveState();
+      });
+      sampleCell.appendChild(select);
+    } else if (choice) {
+      const match = document.createElement('div');
+      match.className = 'plan-match';
+      match.textContent = `→ ${choice.name || choice.id}`;
+      sampleCell.appendChild(match);
+    }
+
+    const details = choice ? this.describeSample({ metadata: choice.metadata }) : '';
+    if (details) {
+      const meta = document.createElement('div');
+      meta.className = 'plan-meta';
+      meta.textContent = details;
+      sampleCell.appendChild(meta);
+    }
+    row.appendChild(sampleCell);
+
+    // Confidence; anything but a confident best match deserves a second look
+    const confidenceCell = document.createElement('td');
+    if (choice) {
+      confidenceCell.textContent = `${Math.round(choice.score * 100)}%`;
+      if (!item.confident || item.choiceIndex !== 0) {
+        confidenceCell.className = 'plan-low';
+        confidenceCell.title = 'Not a confident match. Check it before issuing.';
+      }
+    } else {
+      confidenceCell.textContent = '—';
+    }
+    row.appendChild(confidenceCell);
+
+    const statusCell = document.createElement('td');
+    if (choice) {
+      const library = document.createElement('div');
+      library.className = choice.inLibrary === false ? 'plan-error' : '';
+      library.textContent = choice.inLibrary === false
+        ? '✗ Not in library'
+        : choice.inLibrary === null ? 'Library status unknown' : '✓ In library';
+      statusCell.appendChild(library);
+
+      const licensed = document.createElement('div');
+      licensed.className = 'plan-meta';
+      licensed.textContent = choice.existing
+        ? `Licensed ${new Date(choice.existing.licenseIssued || choice.existing.createdAt).toLocaleDateString()}`
+        : 'Not licensed yet';
+      statusCell.appendChild(licensed);
+    } else {
+      statusCell.textContent = '—';
+    }
+    row.appendChild(statusCell);
+
+    const includeCell = document.createElement('td');
+    const include = document.createElement('input');
+    include.type = 'checkbox';
+    include.checked = item.include;
+    include.disabled = !choice || choice.inLibrary === false;
+    include.title = choice?.existing ? 'Issue another certificate for this sample' : 'Issue a certificate for this sample';
+    include.addEventListener('change', () => {
+      item.include = include.checked;
+      this.renderPlan();
+      this.saveState();
+    });
+    includeCell.appendChild(include);
+    row.appendChild(includeCell);
+
+    return row;
+  }
 
+  /**
+   * Issue certificates for the samples ticked in the preview, exactly as matched
+   */
+  async confirmPlan() {
+    if (!this.plan || this.isProcessing) return;
+
+    const entries = this.plan.items
+      .filter(item => item.include && this.getPlanChoice(item))
+      .map(item => {
+        const choice = this.getPlanChoice(item);
+        return {
+          sample: item.sample,
+          project: item.project,
+          assetUuid: choice.objectUuid || choice.id,
+          name: choice.name,
+          metadata: choice.metadata || {},
+          inLibrary: choice.inLibrary,
+          reissue: !!choice.existing
+        };
+      });
 
-      // Pass both the sample ID and the sample name
+    if (entries.length === 0) return;
+
+    await this.startBatch(entries);
+  }
+
+  /**
+   * Close the preview without issuing anything
+   */
+  discardPlan() {
+    this.plan = null;
+    document.getElementById('planSection').style.display = 'none';
+    this.saveState();
+  }
 
-      // Decode license info before sending
-      let decodedLicenseInfo;
+  /**
+   * Import sample names from dropped DAW project files
+   * @param {Array<File>} files - Dropped files
+   */
+  async importProjectFiles(files) {
+    const input = document.getElementById('sampleInput');
+    const existing = new Set(input.value.split('\n').map(name => name.trim()).filter(Boolean));
+    let added = 0;
+
+    for (const file of files) {
       try {
-        const decoded = atob(licenseInfo);
-        decodedLicenseInfo = JSON.parse(decoded);
-      } catch (e) {
-        results.push({
-          sample,
-          success: false,
-          error: 'Failed to decode license information'
+        const project = await ProjectImporter.importFile(file);
+
+        project.samples.forEach(({ name }) => {
+          if (!this.sampleProjects[name]) {
+            this.sampleProjects[name] = project.projectName;
+          }
+          if (!existing.has(name)) {
+            existing.add(name);
+            added++;
+          }
         });
-        continue;
+
+        ExtensionUtils.showNotification(
+          `${project.projectName}: found ${project.samples.length} Splice sample${project.samples.length !== 1 ? 's' : ''}`,
+          project.samples.length > 0 ? 'success' : 'info'
+        );
+      } catch (error) {
+        console.error('Failed to import project file:', error);
+        ExtensionUtils.showNotification(ExtensionUtils.formatError(error), 'error');
       }
+    }
 
-      const licenseResult = await this.safeSendMessage({
-        action: 'generateLicense',
-        sampleId: bestMatch.id,
-        licenseInfo: {
-          ...decodedLicenseInfo,
-          sampleName: sample // Pass the original sample name for GraphQL lookup
+    if (added > 0) {
+      input.value = Array.from(existing).join('\n');
+      if (this.plan) {
+        this.discardPlan();
+      }
+      this.updateSampleCount();
+      await this.saveState();
+    }
+  }
+
+  /**
+   * Show the candidates for samples that could not be matched confidently
+   * @param {Array<Object>} items - Job items awaiting a choice, each with its index
+   */
+  renderChooser(items) {
+    const section = document.getElementById('chooserSection');
+    section.innerHTML = '';
+    section.style.display = items.length > 0 ? 'block' : 'none';
+
+    items.forEach(item => {
+      const group = document.createElement('div');
+      group.className = 'chooser-item';
+
+      const title = document.createElement('div');
+      title.className = 'chooser-title';
+      title.textContent = `Which sample is "${item.sample}"?`;
+      group.appendChild(title);
+
+      (item.choices || []).forEach((choice, choiceIndex) => {
+        const option = document.createElement('button');
+        option.className = 'chooser-option';
+
+        const name = document.createElement('span');
+        name.className = 'chooser-name';
+        name.textContent = choice.name || choice.id;
+        option.appendChild(name);
+
+        const details = [
+          this.describeSample({ metadata: choice.metadata }),
+          choice.inLibrary === false ? 'not in library' : null,
+          typeof choice.score === 'number' ? `${Math.round(choice.score * 100)}% match` : null
+        ].filter(Boolean).join(' · ');
+
+        if (details) {
+          const meta = document.createElement('span');
+          meta.className = 'chooser-meta';
+          meta.textContent = details;
+          option.appendChild(meta);
         }
-      });
 
+        option.addEventListener('click', () => {
+          this.chooseMatch(item.index, choiceIndex);
+        });
 
-        if (!licenseResult.success) {
-          results.push({
-            sample,
-            success: false,
-            error: licenseResult.error || 'Failed to generate license'
+        const row = document.createElement('div');
+        row.className = 'chooser-row';
+        row.appendChild(option);
+
+        if (choice.metadata?.previewUrl) {
+          const preview = document.createElement('button');
+          preview.className = 'btn btn-small btn-secondary';
+          preview.textContent = '▶';
+          preview.title = 'Play preview';
+          preview.addEventListener('click', () => {
+            this.playPreview(choice.metadata.previewUrl);
           });
-          continue;
+          row.appendChild(preview);
         }
 
-        // Success!
-        results.push({
-          sample,
-          success: true,
-          sampleId: bestMatch.id,
-          downloadUrl: licenseResult.downloadUrl,
-          sampleInfo: bestMatch,
-          message: 'License generated successfully'
-        });
+        group.appendChild(row);
+      });
 
-      } catch (error) {
-        results.push({
-          sample,
-          success: false,
-          error: ExtensionUtils.formatError(error)
-        });
-      }
+      const skip = document.createElement('button');
+      skip.className = 'btn btn-small btn-secondary';
+      skip.textContent = 'None of these';
+      skip.addEventListener('click', () => {
+        this.chooseMatch(item.index, null);
+      });
+      group.appendChild(skip);
 
-      // Small delay to avoid overwhelming the API
-      await new Promise(resolve => setTimeout(resolve, 1000));
+      section.appendChild(group);
+    });
+  }
+
+  /**
+   * Summarise a search result's metadata for display
+   * @param {Object} sampleInfo - Search result with name and metadata
+   * @returns {string} e.g. "Heroes Tale · 124 BPM · C# minor · 4.0s", or an empty string
+   */
+  describeSample(sampleInfo) {
+    const metadata = sampleInfo?.metadata || {};
+
+    return [
+      sampleInfo?.name,
+      metadata.pack,
+      metadata.bpm ? `${metadata.bpm} BPM` : null,
+      metadata.key,
+      metadata.duration ? `${(metadata.duration / 1000).toFixed(1)}s` : null,
+      metadata.assetType === 'sample' ? null : metadata.assetType
+    ].filter(Boolean).join(' · ');
+  }
+
+  /**
+   * Play a candidate's audio preview, stopping any preview already playing
+   * @param {string} url - Preview MP3 URL
+   */
+  playPreview(url) {
+    if (this.previewAudio) {
+      this.previewAudio.pause();
     }
 
-    return results;
+    this.previewAudio = new Audio(url);
+    this.previewAudio.play().catch(error => {
+      console.error('Failed to play preview:', error);
+    });
   }
 
   /**
-   * Find best match for sample name
+   * Send the user's pick for an ambiguous sample to the batch queue
+   * @param {number} itemIndex - Index of the sample in the active job
+   * @param {number|null} choiceIndex - Index of the chosen candidate, or null to skip the sample
    */
-  findBestMatch(sampleName, searchResults) {
-    if (!searchResults || searchResults.length === 0) {
-      return null;
+  async chooseMatch(itemIndex, choiceIndex) {
+    if (!this.activeJobId) return;
+
+    try {
+      await this.safeSendMessage({
+        action: 'chooseBatchMatch',
+        jobId: this.activeJobId,
+        index: itemIndex,
+        choiceIndex
+      });
+    } catch (error) {
+      ExtensionUtils.showNotification(`Choice failed: ${ExtensionUtils.formatError(error)}`, 'error');
     }
+  }
 
-    // Try exact match first
-    const exactMatch = searchResults.find(result =>
-      result.name && result.name.toLowerCase() === sampleName.toLowerCase()
-    );
-    if (exactMatch) {
-      return exactMatch;
+  /**
+   * Cancel the active batch job
+   */
+  async cancelBatch() {
+    if (!this.activeJobId) return;
+
+    try {
+      await this.safeSendMessage({ action: 'cancelBatchJob', jobId: this.activeJobId });
+    } catch (error) {
+      ExtensionUtils.showNotification(`Cancel failed: ${ExtensionUtils.formatError(error)}`, 'error');
     }
+  }
 
-    // Try partial match
-    const partialMatch = searchResults.find(result =>
-      result.name && result.name.toLowerCase().includes(sampleName.toLowerCase())
-    );
-    if (partialMatch) {
-      return partialMatch;
+  /**
+   * Issue a new certificate for a sample that was skipped as already licensed
+   * @param {number} itemIndex - Index of the sample in the active job
+   */
+  async reissueSample(itemIndex) {
+    if (!this.activeJobId || this.isProcessing) return;
+
+    try {
+      await this.safeSendMessage({
+        action: 'requeueBatchItems',
+        jobId: this.activeJobId,
+        indexes: [itemIndex],
+        options: { reissue: true }
+      });
+    } catch (error) {
+      ExtensionUtils.showNotification(`Re-issue failed: ${ExtensionUtils.formatError(error)}`, 'error');
     }
+  }
 
-    // Return first result as fallback
-    return searchResults[0];
+  /**
+   * Put every failed sample of the active job back in the queue
+   * Samples that were licensed or skipped are left alone
+   */
+  async retryFailed() {
+    if (!this.activeJobId || this.isProcessing) return;
+
+    const indexes = this.currentResults
+      .filter(result => !result.success && result.itemIndex !== undefined)
+      .map(result => result.itemIndex);
+
+    if (indexes.length === 0) return;
+
+    try {
+      await this.safeSendMessage({
+        action: 'requeueBatchItems',
+        jobId: this.activeJobId,
+        indexes
+      });
+    } catch (error) {
+      ExtensionUtils.showNotification(`Retry failed: ${ExtensionUtils.formatError(error)}`, 'error');
+    }
+  }
+
+  /**
+   * Subscribe to batch job progress written by the service worker
+   */
+  subscribeToBatchJobs() {
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace !== 'local' || !this.activeJobId) {
+        return;
+      }
+
+      const job = BatchJobStore.getChangedJob(changes, this.activeJobId);
+      if (job) {
+        this.renderJob(job, true);
+      }
+    });
   }
 
   /**
-   * Get license information from storage
+   * Load the active batch job and render its current state
    */
-  async getLicenseInfo() {
+  async loadActiveJob() {
     try {
-      const result = await chrome.storage.local.get(['licenseInfo']);
-      return result.licenseInfo;
+      const jobs = await BatchJobStore.getAll();
+
+      // Batches can be started elsewhere, such as the import page; follow the
+      // newest running one unless the attached batch is still in progress
+      const attached = jobs.find(j => j.id === this.activeJobId);
+      const running = jobs
+        .filter(j => j.status !== 'completed' && j.status !== 'cancelled')
+        .sort((a, b) => b.createdAt - a.createdAt)[0];
+
+      if (running && (!attached || attached.status === 'completed' || attached.status === 'cancelled')) {
+        this.activeJobId = running.id;
+      }
+
+      if (!this.activeJobId) return;
+
+      const job = jobs.find(j => j.id === this.activeJobId);
+
+      if (job) {
+        this.renderJob(job);
+      } else {
+        this.activeJobId = null;
+      }
     } catch (error) {
-      return null;
+      console.error('Failed to load batch job:', error);
+    }
+  }
+
+  /**
+   * Render progress or results for a batch job
+   * @param {Object} job - Batch job from storage
+   * @param {boolean} live - True when rendering a change that just happened
+   */
+  renderJob(job, live = false) {
+    const results = job.items
+      .map((item, index) => item.result ? { ...item.result, itemIndex: index, match: item.match || null } : null)
+      .filter(Boolean);
+    const finished = job.status === 'completed' || job.status === 'cancelled';
+
+    if (!finished) {
+      this.isProcessing = true;
+      this.setProcessingState(true);
+      this.showProgressSection();
+
+      const awaiting = job.items
+        .map((item, index) => ({ ...item, index }))
+        .filter(item => item.status === 'awaiting_input');
+
+      const details = job.current
+        ? `Processing: ${job.current.sample}`
+        : job.status === 'awaiting_input' ? 'Waiting for you to choose a match...'
+          : job.status === 'queued' ? 'Queued...'
+            : job.status === 'running' ? 'Processing...' : 'Waiting...';
+      this.updateProgress(results.length, job.items.length, details);
+      document.getElementById('progressEta').textContent = this.describePace(job);
+      this.renderChooser(awaiting);
+      return;
     }
+
+    this.renderChooser([]);
+    this.isProcessing = false;
+    this.setProcessingState(false);
+    document.getElementById('progressSection').style.display = 'none';
+
+    if (live && job.status === 'cancelled') {
+      ExtensionUtils.showNotification(`Batch cancelled after ${results.length} of ${job.items.length} samples`, 'info');
+    }
+
+    this.showResults(results);
+    this.saveState();
+  }
+
+  /**
+   * Describe how fast a running batch is going and when it should finish
+   * Time left follows the pace since the batch (re)started, so it adapts when Splice slows us down
+   * @param {Object} job - Batch job from storage
+   * @returns {string} Time left and any slowdown, or an empty string
+   */
+  describePace(job) {
+    const parts = [];
+    const remaining = job.items.filter(item => item.status === 'pending').length;
+    const progress = job.progress;
+
+    if (job.status === 'running' && remaining > 0) {
+      if (progress?.processed > 0) {
+        const perSample = (Date.now() - progress.startedAt) / progress.processed;
+        parts.push(`About ${ExtensionUtils.formatDuration(perSample * remaining)} left`);
+      } else {
+        parts.push('Estimating time left...');
+      }
+    }
+
+    const throttle = job.throttle;
+    if (throttle?.pausedUntil && throttle.pausedUntil > Date.now()) {
+      parts.push(`Splice asked us to slow down, pausing for ${ExtensionUtils.formatDuration(throttle.pausedUntil - Date.now())}`);
+    } else if (throttle?.slowed) {
+      parts.push(`Slowed to ${throttle.requestsPerMinute} requests per minute`);
+    }
+
+    return parts.join(' · ');
   }
 
   /**
@@ -621,6 +1289,8 @@ class PopupManager {
     const buttonText = button.querySelector('.btn-text');
     const buttonLoading = button.querySelector('.btn-loading');
 
+    document.getElementById('previewSamples').disabled = processing;
+
     if (processing) {
       button.disabled = true;
       button.classList.add('loading');
@@ -657,6 +1327,239 @@ class PopupManager {
     progressDetails.textContent = details;
   }
 
+  /**
+   * Create the icon and name line of a result
+   * Sample names come from imported projects and audio files, so they are only ever set as text
+   * @param {string} icon - Status emoji
+   * @param {string} sample - Sample name
+   * @returns {HTMLElement} Header element
+   */
+  createResultHeader(icon, sample) {
+    const itemHeader = document.createElement('div');
+    itemHeader.className = 'result-item-header';
+
+    const iconSpan = document.createElement('span');
+    iconSpan.className = 'result-icon';
+    iconSpan.textContent = icon;
+    itemHeader.appendChild(iconSpan);
+
+    // Show a cleaner sample name (without the .wav extension)
+    const nameSpan = document.createElement('span');
+    nameSpan.className = 'result-name';
+    nameSpan.textContent = sample.replace(/\.wav$/i, '');
+    itemHeader.appendChild(nameSpan);
+
+    return itemHeader;
+  }
+
+  /**
+   * Create the buttons for saving and viewing a certificate
+   * Certificates from a batch are saved through chrome.downloads; older results open in a tab
+   * @param {string|null} certificateUuid - Certificate UUID
+   * @param {string|null} downloadUrl - Splice download URL
+   * @param {string} label - Text of the main button
+   * @returns {HTMLElement} Container with the buttons
+   */
+  createCertificateActions(certificateUuid, downloadUrl, label) {
+    const actionsDiv = document.createElement('div');
+    actionsDiv.className = 'download-link';
+
+    const downloadBtn = document.createElement('button');
+    downloadBtn.className = 'download-btn';
+    downloadBtn.innerHTML = `📥 ${label}`;
+    downloadBtn.addEventListener('click', () => {
+      if (this.activeJobId && certificateUuid) {
+        this.saveCertificates([certificateUuid]);
+      } else {
+        this.openCertificate(certificateUuid, downloadUrl);
+      }
+    });
+    actionsDiv.appendChild(downloadBtn);
+
+    if (this.activeJobId && certificateUuid) {
+      const viewBtn = document.createElement('button');
+      viewBtn.className = 'btn btn-small btn-secondary';
+      viewBtn.textContent = 'View';
+      viewBtn.addEventListener('click', () => {
+        this.openCertificate(certificateUuid, downloadUrl);
+      });
+      actionsDiv.appendChild(viewBtn);
+    }
+
+    return actionsDiv;
+  }
+
+  /**
+   * Describe where a certificate was saved
+   * @param {Object} result - Result with savedPath or saveError set by the service worker
+   * @returns {HTMLElement|null} Note, or null if the certificate hasn't been saved
+   */
+  createSavedNote(result) {
+    if (!result.savedPath && !result.saveError) {
+      return null;
+    }
+
+    const savedDiv = document.createElement('div');
+    savedDiv.className = result.savedPath ? 'result-note result-saved' : 'result-note result-warning';
+    savedDiv.textContent = result.savedPath ? `Saved to ${result.savedPath}` : `Save failed: ${result.saveError}`;
+    savedDiv.title = savedDiv.textContent;
+    return savedDiv;
+  }
+
+  /**
+   * Save certificates of the active batch into the Downloads folder
+   * Saved paths appear in the results once the downloads finish
+   * @param {Array<string>|null} certificateUuids - Certificates to save, or null for all of them
+   */
+  async saveCertificates(certificateUuids) {
+    try {
+      const response = await this.safeSendMessage({
+        action: 'saveCertificates',
+        jobId: this.activeJobId,
+        certificateUuids
+      });
+
+      if (response?.error) {
+        throw new Error(response.error);
+      }
+
+      if (response.failed.length > 0) {
+        ExtensionUtils.showNotification(`${response.failed.length} certificate${response.failed.length !== 1 ? 's' : ''} could not be saved: ${response.failed[0].error}`, 'error');
+      } else {
+        ExtensionUtils.showNotification(`Saving ${response.started} certificate${response.started !== 1 ? 's' : ''}`, 'success');
+      }
+    } catch (error) {
+      console.error('Failed to save certificates:', error);
+      ExtensionUtils.showNotification(`Save failed: ${ExtensionUtils.formatError(error)}`, 'error');
+    }
+  }
+
+  /**
+   * Open a certificate in a new tab without closing the popup
+   * Archived certificates open from the local archive, so expired Splice links still work
+   * @param {string|null} certificateUuid - Certificate UUID
+   * @param {string|null} downloadUrl - Splice download URL
+   */
+  openCertificate(certificateUuid, downloadUrl) {
+    const url = certificateUuid
+      ? CertificateArchive.getViewerUrl(certificateUuid, downloadUrl)
+      : downloadUrl;
+    chrome.tabs.create({ url, active: false });
+  }
+
+  /**
+   * Merge every certificate of the active batch into one PDF with a cover and index
+   * @param {HTMLButtonElement} button - Button to disable while the PDF is built
+   */
+  async mergeCertificates(button) {
+    const label = button.innerHTML;
+    button.disabled = true;
+    button.textContent = 'Merging certificates...';
+
+    try {
+      await this.loadPdfLib();
+
+      const entries = await ClearanceReport.getEntries({ jobId: this.activeJobId });
+      const title = `Batch ${CertificateExport.formatDate(Date.now())}`;
+      const { bytes, certificateCount, missing } = await CertificateBundle.create(entries, { title });
+
+      if (certificateCount === 0) {
+        ExtensionUtils.showNotification('No certificates could be downloaded', 'error');
+        return;
+      }
+
+      CertificateExport.saveBlob(new Blob([bytes], { type: 'application/pdf' }), `${title} - Certificates.pdf`);
+
+      if (missing.length > 0) {
+        ExtensionUtils.showNotification(`${missing.length} certificate${missing.length !== 1 ? 's' : ''} could not be downloaded; see the index`, 'warning');
+      }
+    } catch (error) {
+      console.error('Failed to merge certificates:', error);
+      ExtensionUtils.showNotification(`Failed to merge certificates: ${ExtensionUtils.formatError(error)}`, 'error');
+    } finally {
+      button.disabled = false;
+      button.innerHTML = label;
+    }
+  }
+
+  /**
+   * Load pdf-lib on first use, so opening the popup stays fast
+   * @returns {Promise<void>} Resolves once PDFLib is available
+   */
+  loadPdfLib() {
+    if (typeof PDFLib !== 'undefined') {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = '../lib/pdf-lib/pdf-lib.min.js';
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error('Failed to load the PDF library'));
+      document.head.appendChild(script);
+    });
+  }
+
+  /**
+   * Download every certificate of a batch as one ZIP
+   * @param {Set<string>} certificateUuids - Certificates to include
+   * @param {HTMLButtonElement} button - Button to disable while the ZIP is built
+   */
+  async downloadAllCertificates(certificateUuids, button) {
+    const label = button.innerHTML;
+    button.disabled = true;
+    button.textContent = 'Preparing ZIP...';
+
+    try {
+      const entries = (await LicenseLedger.getAll())
+        .filter(entry => certificateUuids.has(entry.certificateUuid));
+      const { blob, fileCount, failed } = await CertificateExport.createZip(entries);
+
+      if (fileCount === 0) {
+        ExtensionUtils.showNotification('No certificates could be downloaded', 'error');
+        return;
+      }
+
+      CertificateExport.saveBlob(blob, CertificateExport.getZipFileName());
+
+      if (failed.length > 0) {
+        ExtensionUtils.showNotification(`${failed.length} certificate${failed.length !== 1 ? 's' : ''} could not be downloaded; see manifest.json`, 'warning');
+      }
+    } catch (error) {
+      console.error('Failed to build certificate ZIP:', error);
+      ExtensionUtils.showNotification(`Failed to build ZIP: ${ExtensionUtils.formatError(error)}`, 'error');
+    } finally {
+      button.disabled = false;
+      button.innerHTML = label;
+    }
+  }
+
+  /**
+   * Describe the check of a downloaded certificate
+   * @param {Object|null} verification - Verification stored with the result
+   * @returns {HTMLElement|null} Note, or null if the certificate was never checked
+   */
+  createVerificationNote(verification) {
+    if (!verification) {
+      return null;
+    }
+
+    const note = document.createElement('div');
+
+    if (verification.status === 'mismatch') {
+      note.className = 'result-note result-warning';
+      note.textContent = `⚠️ Certificate mismatch: ${verification.mismatches.join('; ')}`;
+    } else if (verification.status === 'verified') {
+      note.className = 'result-note result-verified';
+      note.textContent = 'Certificate checked: names and samples match';
+    } else {
+      note.className = 'result-note';
+      note.textContent = `Certificate not checked: ${verification.error || 'unknown error'}`;
+    }
+
+    return note;
+  }
+
   /**
    * Show results
    */
@@ -669,7 +1572,14 @@ class PopupManager {
     resultsSection.style.display = 'flex';
     resultsContent.innerHTML = '';
 
+    const failedCount = results.filter(r => !r.success && r.itemIndex !== undefined).length;
+    const retryButton = document.getElementById('retryFailed');
+    retryButton.style.display = this.activeJobId && failedCount > 0 ? 'inline-block' : 'none';
+    retryButton.textContent = `Retry Failed (${failedCount})`;
+
     const successCount = results.filter(r => r.success).length;
+    const generatedCount = results.filter(r => r.success && !r.skipped).length;
+    const skippedCount = results.filter(r => r.skipped).length;
     const totalCount = results.length;
 
     // Add summary
@@ -678,50 +1588,174 @@ class PopupManager {
     const summaryEmoji = successCount === totalCount ? '✅' : successCount > 0 ? '⚠️' : '❌';
     summary.innerHTML = `
       <div class="summary-header">${summaryEmoji} <strong>Results</strong></div>
-      <div class="summary-stats">${successCount} of ${totalCount} license${totalCount !== 1 ? 's' : ''} generated successfully</div>
+      <div class="summary-stats">${generatedCount} of ${totalCount} license${totalCount !== 1 ? 's' : ''} generated successfully</div>
     `;
+
+    // Skipped samples already have a certificate in the license history
+    if (skippedCount > 0) {
+      const skippedStats = document.createElement('div');
+      skippedStats.className = 'summary-stats';
+      skippedStats.textContent = `${skippedCount} skipped because ${skippedCount !== 1 ? 'they were' : 'it was'} already licensed`;
+      summary.appendChild(skippedStats);
+    }
+
+    const mismatchCount = results.filter(r => r.verification?.status === 'mismatch').length;
+    if (mismatchCount > 0) {
+      const mismatchStats = document.createElement('div');
+      mismatchStats.className = 'summary-stats result-warning';
+      mismatchStats.textContent = `⚠️ ${mismatchCount} certificate${mismatchCount !== 1 ? 's' : ''} did not match what was requested`;
+      summary.appendChild(mismatchStats);
+    }
+
+    // A combined certificate covers every successful sample, so offer it once
+    const combinedResult = results.find(r => r.success && r.combined && r.downloadUrl);
+    if (combinedResult) {
+      const combinedCount = results.filter(r => r.combined).length;
+      const combinedStats = document.createElement('div');
+      combinedStats.className = 'summary-stats';
+      combinedStats.textContent = `One combined certificate covers all ${combinedCount} licensed sample${combinedCount !== 1 ? 's' : ''}`;
+      summary.appendChild(combinedStats);
+
+      const downloadDiv = this.createCertificateActions(combinedResult.certificateUuid, combinedResult.downloadUrl, 'Download Combined License');
+      downloadDiv.classList.add('summary-download');
+      summary.appendChild(downloadDiv);
+
+      const savedDiv = this.createSavedNote(combinedResult);
+      if (savedDiv) {
+        summary.appendChild(savedDiv);
+      }
+    }
+
+    // Every certificate in the batch, including ones skipped because they were already licensed
+    const certificateUuids = new Set(results
+      .map(r => r.success ? r.certificateUuid : r.existing?.certificateUuid)
+      .filter(Boolean));
+    if (certificateUuids.size > 1 || (certificateUuids.size === 1 && !combinedResult)) {
+      const zipDiv = document.createElement('div');
+      zipDiv.className = 'download-link summary-download';
+
+      if (this.activeJobId) {
+        const saveAllBtn = document.createElement('button');
+        saveAllBtn.className = 'download-btn';
+        saveAllBtn.innerHTML = '💾 Save All to Downloads';
+        saveAllBtn.addEventListener('click', () => {
+          this.saveCertificates(null);
+        });
+        zipDiv.appendChild(saveAllBtn);
+      }
+
+      const zipBtn = document.createElement('button');
+      zipBtn.className = 'download-btn';
+      zipBtn.innerHTML = '📦 Download All (ZIP)';
+      zipBtn.addEventListener('click', () => {
+        this.downloadAllCertificates(certificateUuids, zipBtn);
+      });
+
+      zipDiv.appendChild(zipBtn);
+      summary.appendChild(zipDiv);
+    }
+
+    if (this.activeJobId && certificateUuids.size > 0) {
+      const reportDiv = document.createElement('div');
+      reportDiv.className = 'download-link summary-download';
+
+      const reportBtn = document.createElement('button');
+      reportBtn.className = 'download-btn';
+      reportBtn.innerHTML = '📄 Clearance Report';
+      reportBtn.addEventListener('click', () => {
+        const params = new URLSearchParams({ jobId: this.activeJobId });
+        chrome.tabs.create({ url: chrome.runtime.getURL(`history/report.html?${params}`) });
+      });
+
+      reportDiv.appendChild(reportBtn);
+
+      const mergeBtn = document.createElement('button');
+      mergeBtn.className = 'download-btn';
+      mergeBtn.innerHTML = '📚 Merge into One PDF';
+      mergeBtn.addEventListener('click', () => {
+        this.mergeCertificates(mergeBtn);
+      });
+      reportDiv.appendChild(mergeBtn);
+      summary.appendChild(reportDiv);
+    }
+
     resultsContent.appendChild(summary);
 
     // Add individual results
     results.forEach(result => {
       const item = document.createElement('div');
-      item.className = `result-item ${result.success ? 'success' : 'error'}`;
-
-      if (result.success) {
-        // Create a cleaner sample name display (remove .wav extension for display)
-        const displayName = result.sample.replace(/\.wav$/i, '');
-
-        const itemHeader = document.createElement('div');
-        itemHeader.className = 'result-item-header';
-        itemHeader.innerHTML = `<span class="result-icon">✅</span><span class="result-name">${displayName}</span>`;
-        item.appendChild(itemHeader);
-
-        // Add download button if available
-        if (result.downloadUrl) {
-          const downloadDiv = document.createElement('div');
-          downloadDiv.className = 'download-link';
-
-          const downloadBtn = document.createElement('button');
-          downloadBtn.className = 'download-btn';
-          downloadBtn.innerHTML = '📥 Download License';
-          downloadBtn.addEventListener('click', () => {
-            // Open in new tab without closing popup
-            chrome.tabs.create({ url: result.downloadUrl, active: false });
+      item.className = `result-item ${result.skipped ? 'warning' : result.success ? 'success' : 'error'}`;
+
+      if (result.skipped) {
+        item.appendChild(this.createResultHeader('⏭️', result.sample));
+
+        const reasonDiv = document.createElement('div');
+        reasonDiv.className = 'result-note';
+        reasonDiv.textContent = `Skipped: ${result.reason}`;
+        item.appendChild(reasonDiv);
+
+        const actionsDiv = result.existing && (result.existing.certificateUuid || result.existing.downloadUrl)
+          ? this.createCertificateActions(result.existing.certificateUuid, result.existing.downloadUrl, 'Re-download')
+          : document.createElement('div');
+        actionsDiv.className = 'download-link';
+
+        if (this.activeJobId && result.itemIndex !== undefined) {
+          const reissueBtn = document.createElement('button');
+          reissueBtn.className = 'btn btn-small btn-secondary';
+          reissueBtn.textContent = 'Re-issue';
+          reissueBtn.addEventListener('click', () => {
+            this.reissueSample(result.itemIndex);
           });
+          actionsDiv.appendChild(reissueBtn);
+        }
+
+        item.appendChild(actionsDiv);
+
+        const savedDiv = this.createSavedNote(result);
+        if (savedDiv) {
+          item.appendChild(savedDiv);
+        }
+      } else if (result.success) {
+        item.appendChild(this.createResultHeader('✅', result.sample));
+
+        // Show which Splice asset was licensed, since it may differ from the name entered
+        const licensedAs = this.describeSample(result.match);
+        if (licensedAs) {
+          const infoDiv = document.createElement('div');
+          infoDiv.className = 'result-note';
+          infoDiv.textContent = `Licensed: ${licensedAs}`;
+          item.appendChild(infoDiv);
+        }
 
-          downloadDiv.appendChild(downloadBtn);
-          item.appendChild(downloadDiv);
+        if (result.profile) {
+          const profileDiv = document.createElement('div');
+          profileDiv.className = 'result-note';
+          profileDiv.textContent = `Profile: ${result.profile.name}`;
+          item.appendChild(profileDiv);
+        }
+
+        const verificationDiv = this.createVerificationNote(result.verification);
+        if (verificationDiv) {
+          item.appendChild(verificationDiv);
+        }
+
+        // Add download button if available (combined certificates are offered in the summary)
+        if ((result.certificateUuid || result.downloadUrl) && !result.combined) {
+          item.appendChild(this.createCertificateActions(result.certificateUuid, result.downloadUrl, 'Download License'));
+
+          const savedDiv = this.createSavedNote(result);
+          if (savedDiv) {
+            item.appendChild(savedDiv);
+          }
         }
       } else {
-        const displayName = result.sample.replace(/\.wav$/i, '');
-        const itemHeader = document.createElement('div');
-        itemHeader.className = 'result-item-header';
-        itemHeader.innerHTML = `<span class="result-icon">❌</span><span class="result-name">${displayName}</span>`;
-        item.appendChild(itemHeader);
+        item.appendChild(this.createResultHeader('❌', result.sample));
 
         const errorDiv = document.createElement('div');
         errorDiv.className = 'result-error';
-        errorDiv.textContent = result.error;
+        errorDiv.textContent = result.attempts > 1
+          ? `${result.error} (gave up after ${result.attempts} attempts)`
+          : result.error;
         item.appendChild(errorDiv);
       }
 
@@ -734,6 +1768,9 @@ class PopupManager {
    */
   async clearInput() {
     document.getElementById('sampleInput').value = '';
+    this.sampleProjects = {};
+    this.plan = null;
+    document.getElementById('planSection').style.display = 'none';
     this.updateSampleCount();
     await this.saveState();
   }
@@ -745,6 +1782,7 @@ class PopupManager {
     document.getElementById('resultsSection').style.display = 'none';
     document.getElementById('resultsContent').innerHTML = '';
     this.currentResults = [];
+    this.activeJobId = null;
     await this.saveState();
   }
 
@@ -761,6 +1799,9 @@ Splice License Batch Generator Help
 4. Click "Generate Licenses" to process
 5. Download the generated licenses
 
+Batches run in the background, so you can close this
+popup and reopen it later to check on progress.
+
 For support, visit the extension's GitHub page.
     `.trim();
 
@@ -0,0 +1,578 @@
+/**
+ * Projects page JavaScript for Splice License Batch Generator
+ * Lists projects with their license coverage and shows a dashboard for one project
+ */
+
+class ProjectsPage {
+  constructor() {
+    const params = new URLSearchParams(window.location.search);
+    this.projectId = params.get('id');
+    this.fromReminder = params.get('remind') === '1';
+    this.project = null;
+    this.coverage = null;
+    this.profiles = [];
+    this.defaultProfileId = null;
+    this.init();
+  }
+
+  /**
+   * Initialize the projects page
+   */
+  async init() {
+    await this.loadProfiles();
+    this.setupEventListeners();
+
+    const extensions = ProjectImporter.getSupportedExtensions();
+    document.getElementById('projectFileInput').accept = extensions.join(',');
+
+    await this.render();
+
+    if (this.fromReminder && this.project) {
+      this.showReminder();
+    }
+  }
+
+  /**
+   * Setup event listeners
+   */
+  setupEventListeners() {
+    document.getElementById('newProjectForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.createProject();
+    });
+
+    document.getElementById('projectForm').addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveDetails();
+    });
+
+    document.getElementById('deleteProject').addEventListener('click', () => {
+      this.deleteProject();
+    });
+
+    document.getElementById('addSamples').addEventListener('click', () => {
+      this.addTypedSamples();
+    });
+
+    const fileInput = document.getElementById('projectFileInput');
+    document.getElementById('importProjectFile').addEventListener('click', () => fileInput.click());
+    fileInput.addEventListener('change', () => {
+      this.importFiles(Array.from(fileInput.files));
+      fileInput.value = '';
+    });
+
+    document.getElementById('licenseRemaining').addEventListener('click', () => {
+      this.licenseRemaining();
+    });
+
+    // Follow batch progress and licenses recorded while the page is open
+    const refresh = ExtensionUtils.debounce(() => this.render(), 300);
+    chrome.storage.onChanged.addListener((changes, namespace) => {
+      if (namespace === 'local' && BatchJobStore.hasChanges(changes)) {
+        refresh();
+      }
+    });
+  }
+
+  /**
+   * Load license profiles into both profile pickers
+   * Profiles can't be read while license information is locked; projects then keep their profile as is
+   */
+  async loadProfiles() {
+    const data = await LicenseInfoManager.readProfiles();
+    this.profiles = data ? data.profiles : [];
+    this.defaultProfileId = data ? data.defaultProfileId : null;
+
+    document.querySelectorAll('.profile-select').forEach(select => {
+      select.innerHTML = '';
+
+      const defaultOption = document.createElement('option');
+      defaultOption.value = '';
+      defaultOption.textContent = 'Default profile';
+      select.appendChild(defaultOption);
+
+      this.profiles.forEach(profile => {
+        const option = document.createElement('option');
+        option.value = profile.id;
+        option.textContent = profile.name;
+        select.appendChild(option);
+      });
+    });
+  }
+
+  /**
+   * Get the display name of a profile
+   * @param {string|null} profileId - Profile ID, or null for the default profile
+   * @returns {string} Profile name
+   */
+  getProfileName(profileId) {
+    if (!profileId) {
+      const fallback = this.profiles.find(profile => profile.id === this.defaultProfileId);
+      return fallback ? `Default profile (${fallback.name})` : 'Default profile';
+    }
+
+    const profile = this.profiles.find(p => p.id === profileId);
+    return profile ? profile.name : 'Unknown profile';
+  }
+
+  /**
+   * Render the project list, or the dashboard when a project is open
+   */
+  async render() {
+    try {
+      const [entries, jobs] = await Promise.all([LicenseLedger.getAll(), ProjectStore.getJobs()]);
+
+      if (this.projectId) {
+        await this.renderProject({ entries, jobs });
+      } else {
+        await this.renderList({ entries, jobs });
+      }
+    } catch (error) {
+      console.error('Failed to load projects:', error);
+      this.showStatus(`Failed to load projects: ${ExtensionUtils.formatError(error)}`, true);
+    }
+  }
+
+  /**
+   * Render every project with its coverage
+   * @param {Object} sources - { entries, jobs } shared by every project
+   */
+  async renderList(sources) {
+    const projects = await ProjectStore.getAll();
+    const list = document.getElementById('projectList');
+    list.innerHTML = '';
+
+    for (const project of projects) {
+      const coverage = await ProjectStore.getCoverage(project, sources);
+      list.appendChild(this.createProjectCard(project, coverage));
+    }
+
+    document.getElementById('projectListView').style.display = 'block';
+    document.getElementById('projectView').style.display = 'none';
+    document.getElementById('projectsEmpty').style.display = projects.length === 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Create the card for a project in the list
+   * @param {Object} project - Project
+   * @param {Object} coverage - Coverage from ProjectStore.getCoverage()
+   * @returns {HTMLElement} Project card
+   */
+  createProjectCard(project, coverage) {
+    const card = document.createElement('a');
+    card.className = 'project-card';
+    card.href = `projects.html?id=${encodeURIComponent(project.id)}`;
+
+    const header = document.createElement('div');
+    header.className = 'project-header';
+
+    const name = document.createElement('span');
+    name.className = 'project-name';
+    name.textContent = project.name;
+    header.appendChild(name);
+
+    const percent = document.createElement('span');
+    percent.className = 'project-percent';
+    percent.textContent = `${coverage.percent}% licensed`;
+    header.appendChild(percent);
+
+    card.appendChild(header);
+    card.appendChild(this.createCoverageBar(coverage));
+
+    const meta = document.createElement('div');
+    meta.className = 'project-meta';
+    meta.textContent = [
+      project.releaseDate ? `Release ${this.formatReleaseDate(project.releaseDate)}` : 'No release date',
+      this.getProfileName(project.profileId),
+      this.describeCounts(coverage)
+    ].join(' · ');
+    card.appendChild(meta);
+
+    return card;
+  }
+
+  /**
+   * Create a coverage bar split by status
+   * @param {Object} coverage - Coverage from ProjectStore.getCoverage()
+   * @returns {HTMLElement} Coverage bar
+   */
+  createCoverageBar(coverage) {
+    const bar = document.createElement('div');
+    bar.className = 'coverage-bar';
+
+    ['licensed', 'pending', 'failed'].forEach(status => {
+      const fill = document.createElement('div');
+      fill.className = `coverage-fill status-${status}`;
+      fill.style.width = `${this.getShare(coverage, status)}%`;
+      bar.appendChild(fill);
+    });
+
+    return bar;
+  }
+
+  /**
+   * Get the share of samples with a status
+   * @param {Object} coverage - Coverage from ProjectStore.getCoverage()
+   * @param {string} status - Sample status
+   * @returns {number} Percentage
+   */
+  getShare(coverage, status) {
+    return coverage.total > 0 ? coverage.counts[status] / coverage.total * 100 : 0;
+  }
+
+  /**
+   * Summarise sample counts
+   * @param {Object} coverage - Coverage from ProjectStore.getCoverage()
+   * @returns {string} Summary such as "8 of 10 samples licensed, 2 failed"
+   */
+  describeCounts(coverage) {
+    const { counts, total } = coverage;
+    const parts = [`${counts.licensed} of ${total} sample${total !== 1 ? 's' : ''} licensed`];
+
+    if (counts.pending > 0) parts.push(`${counts.pending} pending`);
+    if (counts.failed > 0) parts.push(`${counts.failed} failed`);
+    if (counts.unlicensed > 0) parts.push(`${counts.unlicensed} not licensed`);
+
+    return parts.join(', ');
+  }
+
+  /**
+   * Format a release date for display
+   * @param {string} releaseDate - Date as YYYY-MM-DD
+   * @returns {string} Localized date
+   */
+  formatReleaseDate(releaseDate) {
+    // Parse as a local date, since YYYY-MM-DD alone is read as UTC
+    const [year, month, day] = releaseDate.split('-').map(Number);
+    return new Date(year, month - 1, day).toLocaleDateString();
+  }
+
+  /**
+   * Render the dashboard of the open project
+   * @param {Object} sources - { entries, jobs }
+   */
+  async renderProject(sources) {
+    this.project = await ProjectStore.get(this.projectId);
+
+    if (!this.project) {
+      this.projectId = null;
+      history.replaceState(null, '', 'projects.html');
+      await this.renderList(sources);
+      return;
+    }
+
+    const project = this.project;
+    this.coverage = await ProjectStore.getCoverage(project, sources);
+    const coverage = this.coverage;
+
+    document.title = `${project.name} - Projects`;
+    document.getElementById('projectListView').style.display = 'none';
+    document.getElementById('projectView').style.display = 'block';
+
+    document.getElementById('projectHeading').textContent = project.name;
+    document.getElementById('projectSummary').textContent = [
+      project.releaseDate ? `Releases ${this.formatReleaseDate(project.releaseDate)}` : 'No release date set',
+      `Licensed as ${this.getProfileName(project.profileId)}`
+    ].join(' · ');
+
+    document.getElementById('coveragePercent').textContent = `${coverage.percent}%`;
+    document.getElementById('coverageLicensed').style.width = `${this.getShare(coverage, 'licensed')}%`;
+    document.getElementById('coveragePending').style.width = `${this.getShare(coverage, 'pending')}%`;
+    document.getElementById('coverageFailed').style.width = `${this.getShare(coverage, 'failed')}%`;
+    document.getElementById('coverageCounts').textContent = this.describeCounts(coverage);
+
+    const remaining = ProjectStore.getRemainingEntries(project, coverage).length;
+    const licenseButton = document.getElementById('licenseRemaining');
+    licenseButton.disabled = remaining === 0;
+    licenseButton.textContent = remaining > 0
+      ? `License ${remaining} Remaining Sample${remaining !== 1 ? 's' : ''}`
+      : 'License Remaining Samples';
+
+    document.getElementById('projectReport').href =
+      chrome.runtime.getURL(`history/report.html?${new URLSearchParams({ project: project.name })}`);
+
+    // Leave the details form alone while it is being edited
+    if (!document.getElementById('projectForm').contains(document.activeElement)) {
+      document.getElementById('projectName').value = project.name;
+      document.getElementById('releaseDate').value = project.releaseDate || '';
+      document.getElementById('projectProfile').value = project.profileId || '';
+    }
+
+    const rows = document.getElementById('sampleRows');
+    rows.innerHTML = '';
+    coverage.samples.forEach(sample => rows.appendChild(this.createSampleRow(sample)));
+    document.getElementById('samplesEmpty').style.display = coverage.samples.length === 0 ? 'block' : 'none';
+  }
+
+  /**
+   * Create the table row for a sample
+   * @param {Object} sample - Sample with its coverage status
+   * @returns {HTMLElement} Table row
+   */
+  createSampleRow(sample) {
+    const row = document.createElement('tr');
+
+    const name = document.createElement('td');
+    name.textContent = sample.name;
+    row.appendChild(name);
+
+    const source = document.createElement('td');
+    source.className = 'project-meta';
+    source.textContent = sample.source === 'import' ? `Imported${sample.origin ? ` from ${sample.origin}` : ''}` : 'Typed in';
+    row.appendChild(source);
+
+    const labels = { licensed: 'Licensed', pending: 'Pending', failed: 'Failed', unlicensed: 'Not licensed' };
+    const status = document.createElement('td');
+    const badge = document.createElement('span');
+    badge.className = `status-badge status-${sample.status}`;
+    badge.textContent = labels[sample.status];
+    status.appendChild(badge);
+    if (sample.error) {
+      const error = document.createElement('div');
+      error.className = 'sample-error';
+      error.textContent = sample.error;
+      status.appendChild(error);
+    }
+    row.appendChild(status);
+
+    const certificate = document.createElement('td');
+    if (sample.certificateUuid) {
+      const link = document.createElement('a');
+      link.href = CertificateArchive.getViewerUrl(sample.certificateUuid, sample.downloadUrl);
+      link.target = '_blank';
+      link.textContent = 'View';
+      certificate.appendChild(link);
+    } else {
+      certificate.textContent = '—';
+    }
+    row.appendChild(certificate);
+
+    const actions = document.createElement('td');
+    const remove = document.createElement('button');
+    remove.className = 'btn btn-small';
+    remove.textContent = 'Remove';
+    remove.addEventListener('click', () => this.removeSample(sample.name));
+    actions.appendChild(remove);
+    row.appendChild(actions);
+
+    return row;
+  }
+
+  /**
+   * Point at the samples still needing a license when opened from a release reminder
+   */
+  showReminder() {
+    // Don't repeat the message when the page is reloaded
+    history.replaceState(null, '', `projects.html?id=${encodeURIComponent(this.project.id)}`);
+
+    const remaining = ProjectStore.getRemainingEntries(this.project, this.coverage).length;
+    const pending = this.coverage.counts.pending;
+
+    if (remaining === 0) {
+      this.showStatus(pending > 0
+        ? `${pending} sample${pending !== 1 ? 's are' : ' is'} still being licensed.`
+        : 'Every sample in this project is licensed.');
+      return;
+    }
+
+    this.showStatus(`${remaining} sample${remaining !== 1 ? 's' : ''} still need${remaining !== 1 ? '' : 's'} a license before release. ` +
+      'Check the list below, then click the button above to submit them.');
+
+    const button = document.getElementById('licenseRemaining');
+    button.scrollIntoView({ block: 'center' });
+    button.focus();
+  }
+
+  /**
+   * Create a project from the new project form
+   */
+  async createProject() {
+    const status = document.getElementById('newProjectStatus');
+
+    try {
+      const project = await ProjectStore.save({
+        name: document.getElementById('newProjectName').value,
+        releaseDate: document.getElementById('newReleaseDate').value || null,
+        profileId: document.getElementById('newProfile').value || null
+      });
+
+      window.location.href = `projects.html?id=${encodeURIComponent(project.id)}`;
+    } catch (error) {
+      console.error('Failed to create project:', error);
+      status.textContent = ExtensionUtils.formatError(error);
+    }
+  }
+
+  /**
+   * Save the project details form
+   */
+  async saveDetails() {
+    try {
+      await ProjectStore.save({
+        ...this.project,
+        name: document.getElementById('projectName').value,
+        releaseDate: document.getElementById('releaseDate').value || null,
+        profileId: document.getElementById('projectProfile').value || null
+      });
+
+      document.activeElement.blur();
+      this.showStatus('Project details saved.');
+      await this.render();
+    } catch (error) {
+      console.error('Failed to save project:', error);
+      this.showStatus(ExtensionUtils.formatError(error), true);
+    }
+  }
+
+  /**
+   * Delete the open project
+   */
+  async deleteProject() {
+    if (!confirm(`Delete the project "${this.project.name}"? Licenses already issued stay in the license history.`)) {
+      return;
+    }
+
+    try {
+      await ProjectStore.delete(this.project.id);
+      window.location.href = 'projects.html';
+    } catch (error) {
+      console.error('Failed to delete project:', error);
+      this.showStatus(`Failed to delete project: ${ExtensionUtils.formatError(error)}`, true);
+    }
+  }
+
+  /**
+   * Add the sample names typed into the text area
+   */
+  async addTypedSamples() {
+    const input = document.getElementById('sampleInput');
+    const names = input.value.split('\n').map(name => name.trim()).filter(Boolean);
+    if (names.length === 0) return;
+
+    await this.addSamples(names.map(name => ({ name, source: 'manual' })));
+    input.value = '';
+  }
+
+  /**
+   * Add the Splice samples found in DAW project files
+   * @param {Array<File>} files - Project files
+   */
+  async importFiles(files) {
+    const samples = [];
+    const failed = [];
+
+    for (const file of files) {
+      try {
+        const imported = await ProjectImporter.importFile(file);
+        imported.samples.forEach(sample => samples.push({
+          name: sample.name,
+          source: 'import',
+          origin: imported.fileName
+        }));
+      } catch (error) {
+        console.error('Failed to import project file:', error);
+        failed.push(`${file.name}: ${ExtensionUtils.formatError(error)}`);
+      }
+    }
+
+    if (failed.length > 0) {
+      this.showStatus(`Could not import ${failed.join('; ')}`, true);
+    }
+    if (samples.length > 0) {
+      await this.addSamples(samples, failed.length === 0);
+    } else if (failed.length === 0) {
+      this.showStatus('No Splice samples were found in the chosen files.');
+    }
+  }
+
+  /**
+   * Add samples to the open project
+   * @param {Array<Object>} samples - Samples, each { name, source, origin }
+   * @param {boolean} report - Show how many were added
+   */
+  async addSamples(samples, report = true) {
+    try {
+      const { added } = await ProjectStore.addSamples(this.project.id, samples);
+      const skipped = samples.length - added;
+
+      if (report) {
+        this.showStatus(`Added ${added} sample${added !== 1 ? 's' : ''}` +
+          (skipped > 0 ? `; ${skipped} ${skipped !== 1 ? 'were' : 'was'} already in the project.` : '.'));
+      }
+      await this.render();
+    } catch (error) {
+      console.error('Failed to add samples:', error);
+      this.showStatus(`Failed to add samples: ${ExtensionUtils.formatError(error)}`, true);
+    }
+  }
+
+  /**
+   * Remove a sample from the open project
+   * @param {string} sampleName - Sample name
+   */
+  async removeSample(sampleName) {
+    try {
+      await ProjectStore.removeSample(this.project.id, sampleName);
+      await this.render();
+    } catch (error) {
+      console.error('Failed to remove sample:', error);
+      this.showStatus(`Failed to remove sample: ${ExtensionUtils.formatError(error)}`, true);
+    }
+  }
+
+  /**
+   * Send every sample that isn't licensed or queued to the batch queue
+   * The queue generates each license through the generateLicense message, under the project's profile
+   */
+  async licenseRemaining() {
+    const entries = ProjectStore.getRemainingEntries(this.project, this.coverage);
+    if (entries.length === 0) return;
+
+    // Project samples go through the same checks as names typed into the popup
+    const validation = ExtensionUtils.validateSampleInput(entries.map(entry => entry.sample).join('\n'));
+    if (!validation.isValid) {
+      this.showStatus(`Validation failed: ${validation.errors.join(', ')}`, true);
+      return;
+    }
+
+    const button = document.getElementById('licenseRemaining');
+    button.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'submitBatchJob',
+        samples: entries,
+        options: { combined: false, existingPolicy: 'skip', profileId: this.project.profileId }
+      });
+
+      if (!response || !response.success) {
+        throw new Error(response?.error || 'Failed to start batch');
+      }
+
+      this.showStatus(`Batch started with ${entries.length} sample${entries.length !== 1 ? 's' : ''}. ` +
+        'Samples show as pending until they are licensed; open the extension popup to follow progress or pick matches.');
+    } catch (error) {
+      console.error('Failed to submit batch:', error);
+      this.showStatus(`Failed to start batch: ${ExtensionUtils.formatError(error)}`, true);
+    } finally {
+      await this.render();
+    }
+  }
+
+  /**
+   * Show the outcome of an action on the dashboard
+   * @param {string} message - Message to show
+   * @param {boolean} isError - Whether to style it as an error
+   */
+  showStatus(message, isError = false) {
+    const status = document.getElementById(this.projectId ? 'projectStatus' : 'newProjectStatus');
+    status.textContent = message;
+    status.className = this.projectId ? `status-message${isError ? ' error' : ''}` : 'project-meta';
+    status.style.display = 'block';
+  }
+}
+
+// Initialize projects page when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+  new ProjectsPage();
+});
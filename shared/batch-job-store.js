@@ -0,0 +1,84 @@
+/**
+ * Batch job storage for the Splice Chrome Extension
+ * Each job is kept under its own chrome.storage.local key, with an index key
+ * listing the job IDs, so progress on one sample rewrites only that job.
+ * The service worker's BatchJobQueue is the only writer; pages read through here.
+ */
+
+class BatchJobStore {
+  static INDEX_KEY = 'batch_job_ids';
+  static KEY_PREFIX = 'batch_job:';
+  static LEGACY_KEY = 'batch_jobs'; // Earlier versions kept every job in one array
+
+  /**
+   * Get the storage key of a job
+   * @param {string} jobId - Job ID
+   * @returns {string} Storage key
+   */
+  static jobKey(jobId) {
+    return `${this.KEY_PREFIX}${jobId}`;
+  }
+
+  /**
+   * Get the IDs of the stored jobs
+   * @returns {Promise<Array<string>>} Job IDs, oldest first
+   */
+  static async getIds() {
+    const data = await chrome.storage.local.get(this.INDEX_KEY);
+    return data[this.INDEX_KEY] || [];
+  }
+
+  /**
+   * Get every stored job
+   * @returns {Promise<Array<Object>>} Jobs, oldest first
+   */
+  static async getAll() {
+    const ids = await this.getIds();
+    if (ids.length === 0) {
+      return [];
+    }
+
+    const keys = ids.map(id => this.jobKey(id));
+    const data = await chrome.storage.local.get(keys);
+    return keys.map(key => data[key]).filter(Boolean);
+  }
+
+  /**
+   * Get a job
+   * @param {string} jobId - Job ID
+   * @returns {Promise<Object|null>} Job or null
+   */
+  static async get(jobId) {
+    if (!jobId) {
+      return null;
+    }
+
+    const key = this.jobKey(jobId);
+    const data = await chrome.storage.local.get(key);
+    return data[key] || null;
+  }
+
+  /**
+   * Check if a chrome.storage.onChanged event touched any batch job
+   * @param {Object} changes - onChanged changes
+   * @returns {boolean} True when a job was added, updated or removed
+   */
+  static hasChanges(changes) {
+    return Object.keys(changes).some(key => key === this.INDEX_KEY || key.startsWith(this.KEY_PREFIX));
+  }
+
+  /**
+   * Get the new state of a job from a chrome.storage.onChanged event
+   * @param {Object} changes - onChanged changes
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job, or null when the event did not change it
+   */
+  static getChangedJob(changes, jobId) {
+    return changes[this.jobKey(jobId)]?.newValue || null;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = BatchJobStore;
+}
@@ -0,0 +1,182 @@
+/**
+ * Certificate archive for the Splice Chrome Extension
+ * Keeps a copy of every certificate PDF in IndexedDB, so licenses can still be
+ * opened and exported after Splice's download links expire
+ */
+
+class CertificateArchive {
+  static STORE = 'certificates';
+
+  /**
+   * Download a certificate PDF
+   * @param {string} url - Certificate download URL
+   * @returns {Promise<Blob>} PDF blob
+   */
+  static async download(url) {
+    if (!url) {
+      throw new Error('No download URL was returned');
+    }
+
+    const response = await fetch(url, { credentials: 'omit' });
+    if (!response.ok) {
+      throw new Error(`Download failed with status ${response.status}`);
+    }
+
+    return this.toPdf(await response.arrayBuffer());
+  }
+
+  /**
+   * Wrap downloaded bytes as a PDF blob
+   * Error or login pages served with a 200 status are rejected instead of being archived
+   * @param {ArrayBuffer} buffer - Downloaded bytes
+   * @returns {Blob} PDF blob
+   */
+  static toPdf(buffer) {
+    const header = new TextDecoder('latin1').decode(new Uint8Array(buffer, 0, Math.min(buffer.byteLength, 1024)));
+    if (!header.includes('%PDF-')) {
+      throw new Error('The download was not a PDF');
+    }
+
+    return new Blob([buffer], { type: 'application/pdf' });
+  }
+
+  /**
+   * Store a certificate PDF, replacing any earlier copy
+   * @param {Blob} blob - PDF blob
+   * @param {Object} details - What the certificate covers
+   * @param {string} details.certificateUuid - Certificate UUID
+   * @param {Array<string>} details.sampleNames - Samples covered
+   * @param {string|null} details.downloadUrl - Splice download URL
+   * @param {string|null} details.licenseIssued - Issue date from Splice
+   * @param {string|null} details.profileName - License profile it was issued under
+   * @returns {Promise<Object>} Stored record
+   */
+  static async save(blob, details) {
+    const record = {
+      certificateUuid: details.certificateUuid,
+      sampleNames: details.sampleNames || [],
+      downloadUrl: details.downloadUrl || null,
+      licenseIssued: details.licenseIssued || null,
+      profileName: details.profileName || null,
+      size: blob.size,
+      blob,
+      archivedAt: Date.now()
+    };
+
+    await ExtensionDatabase.transaction(this.STORE, 'readwrite', (tx) =>
+      ExtensionDatabase.promisify(tx.objectStore(this.STORE).put(record))
+    );
+
+    return record;
+  }
+
+  /**
+   * Get an archived certificate
+   * @param {string} certificateUuid - Certificate UUID
+   * @returns {Promise<Object|null>} Stored record with its blob, or null
+   */
+  static async get(certificateUuid) {
+    if (!certificateUuid) {
+      return null;
+    }
+
+    const record = await ExtensionDatabase.transaction(this.STORE, 'readonly', (tx) =>
+      ExtensionDatabase.promisify(tx.objectStore(this.STORE).get(certificateUuid))
+    );
+    return record || null;
+  }
+
+  /**
+   * Get every archived certificate
+   * Blobs are only read when used, so this stays cheap for large archives
+   * @returns {Promise<Array<Object>>} Stored records, oldest first
+   */
+  static async getAll() {
+    return ExtensionDatabase.transaction(this.STORE, 'readonly', (tx) =>
+      ExtensionDatabase.promisify(tx.objectStore(this.STORE).index('archivedAt').getAll())
+    );
+  }
+
+  /**
+   * Get the UUIDs of every archived certificate
+   * @returns {Promise<Set<string>>} Certificate UUIDs
+   */
+  static async getArchivedUuids() {
+    const keys = await ExtensionDatabase.transaction(this.STORE, 'readonly', (tx) =>
+      ExtensionDatabase.promisify(tx.objectStore(this.STORE).getAllKeys())
+    );
+    return new Set(keys);
+  }
+
+  /**
+   * Summarise how much space the archive uses
+   * @returns {Promise<Object>} { count, bytes, usage, quota } where usage and quota
+   *   cover all of the extension's storage and are null if the browser doesn't report them
+   */
+  static async getUsage() {
+    const records = await this.getAll();
+    const estimate = navigator.storage?.estimate ? await navigator.storage.estimate() : {};
+
+    return {
+      count: records.length,
+      bytes: records.reduce((total, record) => total + (record.size || 0), 0),
+      usage: estimate.usage ?? null,
+      quota: estimate.quota ?? null
+    };
+  }
+
+  /**
+   * Delete archived certificates
+   * The license ledger keeps its entries; only the stored PDFs are removed
+   * @param {Object} options - Which certificates to delete
+   * @param {number|null} options.olderThan - Delete certificates archived before this timestamp, or null for all
+   * @returns {Promise<number>} Number of certificates deleted
+   */
+  static async prune({ olderThan = null } = {}) {
+    return ExtensionDatabase.transaction(this.STORE, 'readwrite', async (tx) => {
+      const index = tx.objectStore(this.STORE).index('archivedAt');
+      const range = olderThan === null ? null : IDBKeyRange.upperBound(olderThan, true);
+      const keys = await ExtensionDatabase.promisify(index.getAllKeys(range));
+      const store = tx.objectStore(this.STORE);
+
+      await Promise.all(keys.map(key => ExtensionDatabase.promisify(store.delete(key))));
+
+      return keys.length;
+    });
+  }
+
+  /**
+   * Get the extension page that shows a certificate
+   * The page falls back to the Splice link when the certificate isn't archived
+   * @param {string} certificateUuid - Certificate UUID
+   * @param {string|null} downloadUrl - Splice download URL
+   * @returns {string} Viewer URL
+   */
+  static getViewerUrl(certificateUuid, downloadUrl = null) {
+    const params = new URLSearchParams({ uuid: certificateUuid });
+    if (downloadUrl) {
+      params.set('url', downloadUrl);
+    }
+    return chrome.runtime.getURL(`history/certificate.html?${params}`);
+  }
+
+  /**
+   * Build a file name for an archived certificate
+   * @param {Object} record - Stored record
+   * @returns {string} File name ending in .pdf
+   */
+  static getFileName(record) {
+    const names = record.sampleNames || [];
+    const label = names.length === 1
+      ? names[0].replace(/\.[^.]+$/, '')
+      : `${names.length}_samples`;
+    const safeLabel = label.replace(/[\\/:*?"<>|]+/g, '_').slice(0, 80);
+
+    return `${safeLabel}_${record.certificateUuid.slice(0, 8)}.pdf`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CertificateArchive;
+}
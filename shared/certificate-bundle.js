@@ -0,0 +1,195 @@
+/**
+ * Certificate bundles for the Splice Chrome Extension
+ * Merges the certificates of a batch, project or history selection into one
+ * PDF, after a generated cover page and an index of samples and page numbers
+ */
+
+class CertificateBundle {
+  static PAGE_SIZE = [595.28, 841.89]; // A4 portrait, in points
+  static MARGIN = 50;
+  static FONT_SIZE = 9;
+  static LINE_HEIGHT = 12;
+
+  static COLUMNS = [
+    { label: '#', width: 25 },
+    { label: 'Samples', width: 200 },
+    { label: 'Certificate UUID', width: 185 },
+    { label: 'Issued', width: 55 },
+    { label: 'Page', width: 30 }
+  ];
+
+  /**
+   * Merge certificates into one PDF
+   * Certificates that can't be downloaded are marked in the index instead of failing the bundle
+   * @param {Array<Object>} entries - Ledger entries whose certificates to include
+   * @param {Object} options - Bundle options
+   * @param {string} options.title - Title for the cover page
+   * @returns {Promise<Object>} { bytes, certificateCount, missing }
+   */
+  static async create(entries, { title = 'License Certificates' } = {}) {
+    const { PDFDocument, StandardFonts, rgb } = PDFLib;
+    const certificates = CertificateExport.groupByCertificate(entries)
+      .sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+
+    // Load every certificate first, since the index needs their page counts
+    const loaded = [];
+    for (const certificate of certificates) {
+      try {
+        const blob = await CertificateExport.getPdf(certificate);
+        loaded.push({ certificate, source: await PDFDocument.load(await blob.arrayBuffer()) });
+      } catch (error) {
+        console.error(`Failed to add certificate ${certificate.certificateUuid}:`, error);
+        loaded.push({ certificate, source: null });
+      }
+    }
+
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+    const gray = rgb(0.42, 0.46, 0.49);
+    const black = rgb(0, 0, 0);
+    const [pageWidth, pageHeight] = this.PAGE_SIZE;
+
+    pdf.setTitle(ClearanceReport.toWinAnsi(title));
+    pdf.setCreator('Splice License Batch Generator');
+
+    // Lay out the index rows to find out how many index pages there will be
+    const rows = loaded.map(({ certificate, source }, index) => ({
+      source,
+      cells: [
+        String(index + 1),
+        certificate.samples.map(sample => sample.sampleName).join(', ') +
+          (source ? '' : ' (certificate could not be downloaded)'),
+        certificate.certificateUuid,
+        CertificateExport.formatDate(certificate.licenseIssued || certificate.createdAt),
+        ''
+      ].map((text, column) => ClearanceReport.wrapText(
+        ClearanceReport.toWinAnsi(text), font, this.FONT_SIZE, this.COLUMNS[column].width - 6
+      ))
+    }));
+
+    const indexTop = pageHeight - this.MARGIN - 40;
+    const indexPages = [[]];
+    let y = indexTop;
+    rows.forEach(row => {
+      const height = Math.max(...row.cells.map(lines => lines.length)) * this.LINE_HEIGHT + 4;
+      if (y - height < this.MARGIN) {
+        indexPages.push([]);
+        y = indexTop;
+      }
+      indexPages[indexPages.length - 1].push({ ...row, height });
+      y -= height;
+    });
+
+    // Certificates start after the cover and index pages
+    let nextPage = 1 + indexPages.length + 1;
+    rows.forEach(row => {
+      if (row.source) {
+        row.cells[4] = [String(nextPage)];
+        nextPage += row.source.getPageCount();
+      } else {
+        row.cells[4] = ['-'];
+      }
+    });
+
+    this.drawCover(pdf, { title, certificates, loaded, font, bold, gray });
+
+    indexPages.forEach((pageRows, pageIndex) => {
+      const page = pdf.addPage(this.PAGE_SIZE);
+      page.drawText(pageIndex === 0 ? 'Index' : 'Index (continued)', {
+        x: this.MARGIN, y: pageHeight - this.MARGIN - 14, size: 14, font: bold
+      });
+
+      let rowY = indexTop;
+      let x = this.MARGIN;
+      this.COLUMNS.forEach(column => {
+        page.drawText(column.label, { x, y: rowY, size: this.FONT_SIZE, font: bold });
+        x += column.width;
+      });
+      rowY -= 4;
+      page.drawLine({
+        start: { x: this.MARGIN, y: rowY },
+        end: { x: pageWidth - this.MARGIN, y: rowY },
+        thickness: 0.75,
+        color: gray
+      });
+      rowY -= this.LINE_HEIGHT + 2;
+
+      pageRows.forEach(row => {
+        let cellX = this.MARGIN;
+        row.cells.forEach((lines, column) => {
+          lines.forEach((line, lineIndex) => {
+            page.drawText(line, {
+              x: cellX,
+              y: rowY - lineIndex * this.LINE_HEIGHT,
+              size: this.FONT_SIZE,
+              font,
+              color: row.source ? black : gray
+            });
+          });
+          cellX += this.COLUMNS[column].width;
+        });
+        rowY -= row.height;
+      });
+    });
+
+    for (const { source } of loaded) {
+      if (source) {
+        const pages = await pdf.copyPages(source, source.getPageIndices());
+        pages.forEach(copied => pdf.addPage(copied));
+      }
+    }
+
+    return {
+      bytes: await pdf.save(),
+      certificateCount: loaded.filter(item => item.source).length,
+      missing: loaded.filter(item => !item.source).map(item => item.certificate.certificateUuid)
+    };
+  }
+
+  /**
+   * Draw the cover page
+   * @param {PDFDocument} pdf - Document being built
+   * @param {Object} context - { title, certificates, loaded, font, bold, gray }
+   */
+  static drawCover(pdf, { title, certificates, loaded, font, bold, gray }) {
+    const page = pdf.addPage(this.PAGE_SIZE);
+    const [pageWidth, pageHeight] = this.PAGE_SIZE;
+    const width = pageWidth - this.MARGIN * 2;
+    let y = pageHeight - 200;
+
+    page.drawText('License Certificates', { x: this.MARGIN, y, size: 26, font: bold });
+    y -= 34;
+
+    ClearanceReport.wrapText(ClearanceReport.toWinAnsi(title), bold, 16, width).forEach(line => {
+      page.drawText(line, { x: this.MARGIN, y, size: 16, font: bold });
+      y -= 22;
+    });
+    y -= 12;
+
+    const sampleCount = certificates.reduce((total, certificate) => total + certificate.samples.length, 0);
+    const included = loaded.filter(item => item.source).length;
+    const lines = [
+      `${certificates.length} certificate${certificates.length !== 1 ? 's' : ''} covering ${sampleCount} sample${sampleCount !== 1 ? 's' : ''}`,
+      `Generated ${new Date().toLocaleString()}`
+    ];
+    if (included < certificates.length) {
+      lines.push(`${certificates.length - included} certificate${certificates.length - included !== 1 ? 's' : ''} could not be downloaded and ${certificates.length - included !== 1 ? 'are' : 'is'} marked in the index`);
+    }
+
+    const licensees = [...new Set(certificates.map(certificate => ClearanceReport.describeLicensee(certificate)).filter(Boolean))];
+    licensees.forEach(licensee => lines.push(`Licensee: ${licensee}`));
+
+    lines.forEach(text => {
+      ClearanceReport.wrapText(ClearanceReport.toWinAnsi(text), font, 11, width).forEach(line => {
+        page.drawText(line, { x: this.MARGIN, y, size: 11, font, color: gray });
+        y -= 16;
+      });
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CertificateBundle;
+}
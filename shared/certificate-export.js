@@ -0,0 +1,307 @@
+/**
+ * Certificate export for the Splice Chrome Extension
+ * Names certificate PDFs from a template and packages them into a ZIP with
+ * a manifest mapping each file to the samples it covers. The same template
+ * names certificates saved through chrome.downloads.
+ */
+
+class CertificateExport {
+  static SETTING_KEY = 'certificateFileTemplate';
+  static DEFAULT_TEMPLATE = '{artist}_{sample}_{date}.pdf';
+  static PLACEHOLDERS = ['artist', 'legal', 'sample', 'pack', 'project', 'date', 'profile', 'certificate'];
+  static AUDIO_EXTENSION = /\.(?:wav|aiff?|mp3|flac|ogg)$/i;
+
+  /**
+   * Get the file name template
+   * @returns {Promise<string>} Template
+   */
+  static async getTemplate() {
+    const data = await chrome.storage.local.get(this.SETTING_KEY);
+    return data[this.SETTING_KEY] || this.DEFAULT_TEMPLATE;
+  }
+
+  /**
+   * Save the file name template
+   * @param {string} template - Template using placeholders such as {sample}
+   * @returns {Promise<string>} Template as saved
+   */
+  static async saveTemplate(template) {
+    const value = String(template || '').trim();
+    const unknown = [...value.matchAll(/\{([^}]*)\}/g)]
+      .map(match => match[1])
+      .filter(name => !this.PLACEHOLDERS.includes(name));
+
+    if (!value) {
+      throw new Error('File name template cannot be empty');
+    }
+    if (unknown.length > 0) {
+      throw new Error(`Unknown placeholder: {${unknown[0]}}`);
+    }
+
+    await chrome.storage.local.set({ [this.SETTING_KEY]: value });
+    return value;
+  }
+
+  /**
+   * Group ledger entries into one record per certificate
+   * A combined certificate has one ledger entry per sample it covers
+   * @param {Array<Object>} entries - Ledger entries
+   * @returns {Array<Object>} Certificates, each with its ledger fields and a samples array
+   */
+  static groupByCertificate(entries) {
+    const certificates = new Map();
+
+    entries.forEach(entry => {
+      if (!entry.certificateUuid) {
+        return;
+      }
+
+      if (!certificates.has(entry.certificateUuid)) {
+        certificates.set(entry.certificateUuid, {
+          certificateUuid: entry.certificateUuid,
+          downloadUrl: entry.downloadUrl || null,
+          licenseIssued: entry.licenseIssued || null,
+          createdAt: entry.createdAt,
+          artistName: entry.artistName || null,
+          fullLegalName: entry.fullLegalName || null,
+          companyName: entry.companyName || null,
+          profileName: entry.profileName || null,
+          samples: []
+        });
+      }
+
+      certificates.get(entry.certificateUuid).samples.push({
+        sampleName: entry.sampleName,
+        assetUuid: entry.assetUuid || null,
+        project: entry.project || null,
+        pack: entry.pack || null
+      });
+    });
+
+    return [...certificates.values()];
+  }
+
+  /**
+   * Build a PDF file name for a certificate from the template
+   * @param {string} template - File name template
+   * @param {Object} certificate - Certificate from groupByCertificate()
+   * @returns {string} File name ending in .pdf
+   */
+  static formatFileName(template, certificate) {
+    const samples = certificate.samples || [];
+    // Combined certificates only fill {pack} and {project} when every sample shares them
+    const shared = (key) => {
+      const found = new Set(samples.map(sample => sample[key] || ''));
+      return found.size === 1 ? [...found][0] : '';
+    };
+    const values = {
+      artist: certificate.artistName,
+      legal: certificate.fullLegalName,
+      sample: samples.length === 1
+        ? String(samples[0].sampleName || '').split(/[\\/]/).pop().replace(this.AUDIO_EXTENSION, '')
+        : `${samples.length}_samples`,
+      pack: shared('pack'),
+      project: shared('project'),
+      date: this.formatDate(certificate.licenseIssued || certificate.createdAt),
+      profile: certificate.profileName,
+      certificate: certificate.certificateUuid
+    };
+
+    const name = template
+      .replace(/\{(\w+)\}/g, (match, key) => this.sanitize(values[key] || ''))
+      .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_')
+      .replace(/_{2,}/g, '_')
+      .replace(/^[\s._-]+|[\s._-]+$/g, '');
+
+    const base = (name.replace(/\.pdf$/i, '') || certificate.certificateUuid).slice(0, 150);
+    return `${base}.pdf`;
+  }
+
+  /**
+   * Make a value safe to use inside a file name
+   * @param {string} value - Value
+   * @returns {string} Value without path separators or reserved characters
+   */
+  static sanitize(value) {
+    return String(value)
+      .replace(/[\\/:*?"<>|\u0000-\u001f]+/g, '_')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Format a timestamp as YYYY-MM-DD in local time
+   * @param {string|number|null} value - Timestamp or date string
+   * @returns {string} Date, or an empty string if unknown
+   */
+  static formatDate(value) {
+    const date = value ? new Date(value) : null;
+    if (!date || isNaN(date)) {
+      return '';
+    }
+
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Give every file a distinct name by numbering repeats
+   * @param {string} fileName - Preferred file name
+   * @param {Set<string>} used - Names already taken, lowercased; updated in place
+   * @returns {string} Unique file name
+   */
+  static uniqueFileName(fileName, used) {
+    let candidate = fileName;
+    let counter = 2;
+
+    while (used.has(candidate.toLowerCase())) {
+      candidate = fileName.replace(/(\.pdf)?$/i, `_${counter}$1`);
+      counter++;
+    }
+
+    used.add(candidate.toLowerCase());
+    return candidate;
+  }
+
+  /**
+   * Get a certificate PDF, preferring the local archive over Splice's link
+   * @param {Object} certificate - Certificate from groupByCertificate()
+   * @returns {Promise<Blob>} PDF blob
+   */
+  static async getPdf(certificate) {
+    const archived = await CertificateArchive.get(certificate.certificateUuid);
+    if (archived) {
+      return archived.blob;
+    }
+    return CertificateArchive.download(certificate.downloadUrl);
+  }
+
+  /**
+   * Package certificates into a ZIP with manifest.json and manifest.csv
+   * Certificates that can't be fetched are listed in the manifest instead of failing the export
+   * @param {Array<Object>} entries - Ledger entries to include
+   * @returns {Promise<Object>} { blob, fileCount, failed }
+   */
+  static async createZip(entries) {
+    const template = await this.getTemplate();
+    const certificates = this.groupByCertificate(entries);
+    const usedNames = new Set(['manifest.json', 'manifest.csv']);
+    const files = [];
+    const included = [];
+    const failed = [];
+
+    for (const certificate of certificates) {
+      try {
+        const blob = await this.getPdf(certificate);
+        const file = this.uniqueFileName(this.formatFileName(template, certificate), usedNames);
+        const issued = new Date(certificate.licenseIssued || certificate.createdAt);
+
+        files.push({ name: file, data: blob, date: isNaN(issued) ? new Date() : issued });
+        included.push({ file, ...certificate });
+      } catch (error) {
+        console.error(`Failed to export certificate ${certificate.certificateUuid}:`, error);
+        failed.push({
+          certificateUuid: certificate.certificateUuid,
+          samples: certificate.samples,
+          error: ExtensionUtils.formatError(error)
+        });
+      }
+    }
+
+    const manifest = {
+      generatedAt: new Date().toISOString(),
+      template,
+      certificates: included.map(certificate => ({
+        file: certificate.file,
+        certificateUuid: certificate.certificateUuid,
+        licenseIssued: certificate.licenseIssued,
+        artistName: certificate.artistName,
+        legalName: certificate.fullLegalName,
+        profileName: certificate.profileName,
+        samples: certificate.samples
+      })),
+      failed
+    };
+
+    files.push({ name: 'manifest.json', data: JSON.stringify(manifest, null, 2) });
+    files.push({ name: 'manifest.csv', data: this.toCsv(included) });
+
+    return {
+      blob: await ZipArchive.create(files),
+      fileCount: included.length,
+      failed
+    };
+  }
+
+  /**
+   * Build the CSV manifest, one row per sample
+   * @param {Array<Object>} certificates - Certificates included in the ZIP, each with its file name
+   * @returns {string} CSV text
+   */
+  static toCsv(certificates) {
+    const header = ['file', 'sample_name', 'asset_uuid', 'certificate_uuid', 'pack', 'project', 'profile', 'artist_name', 'legal_name', 'license_issued'];
+    const rows = [header];
+
+    certificates.forEach(certificate => {
+      certificate.samples.forEach(sample => {
+        rows.push([
+          certificate.file,
+          sample.sampleName,
+          sample.assetUuid,
+          certificate.certificateUuid,
+          sample.pack,
+          sample.project,
+          certificate.profileName,
+          certificate.artistName,
+          certificate.fullLegalName,
+          certificate.licenseIssued
+        ]);
+      });
+    });
+
+    return rows.map(row => row.map(value => this.escapeCsv(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Quote a CSV value when needed
+   * Names come from imported files and user input, so values a spreadsheet would run as a
+   * formula (starting with =, +, -, @, tab or carriage return) are prefixed with '
+   * @param {*} value - Value
+   * @returns {string} CSV field
+   */
+  static escapeCsv(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Name for a ZIP export
+   * @returns {string} File name such as splice-licenses-2024-05-01.zip
+   */
+  static getZipFileName() {
+    return `splice-licenses-${this.formatDate(Date.now())}.zip`;
+  }
+
+  /**
+   * Save a blob through a temporary download link
+   * @param {Blob} blob - File contents
+   * @param {string} fileName - Suggested file name
+   */
+  static saveBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 10000);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CertificateExport;
+}
@@ -0,0 +1,106 @@
+/**
+ * Certificate verification for the Splice Chrome Extension
+ * Reads a generated certificate and checks that the names and samples
+ * printed on it are the ones that were requested
+ */
+
+class CertificateVerifier {
+  static AUDIO_EXTENSION = /\.(?:wav|aiff?|mp3|flac|ogg)$/i;
+
+  /**
+   * Verify a downloaded certificate PDF
+   * Failures to read the PDF leave the certificate unverified rather than mismatched
+   * @param {ArrayBuffer|Uint8Array} data - PDF bytes
+   * @param {Object} expected - What the certificate should show
+   * @param {string} expected.legalName - Licensee's legal name
+   * @param {string} expected.artistName - Licensee's artist name
+   * @param {Array<Object>} expected.samples - Samples covered, each { sampleName, assetUuid }
+   * @returns {Promise<Object>} { status, mismatches, error, checkedAt }
+   */
+  static async verifyPdf(data, expected) {
+    try {
+      const text = await PdfTextExtractor.extractText(data);
+      return this.verify(text, expected);
+    } catch (error) {
+      console.error('Certificate verification failed:', error);
+      return this.unverified(error);
+    }
+  }
+
+  /**
+   * Build the result for a certificate that couldn't be checked
+   * @param {Error|string} error - Why it couldn't be checked
+   * @returns {Object} { status, mismatches, error, checkedAt }
+   */
+  static unverified(error) {
+    return {
+      status: 'unverified',
+      mismatches: [],
+      error: ExtensionUtils.formatError(error),
+      checkedAt: Date.now()
+    };
+  }
+
+  /**
+   * Check certificate text against the request
+   * A sample counts as present if either its name or its asset UUID is found
+   * @param {string} text - Text extracted from the certificate
+   * @param {Object} expected - What the certificate should show, as for verifyPdf()
+   * @returns {Object} { status, mismatches, error, checkedAt } where status is 'verified', 'mismatch' or 'unverified'
+   */
+  static verify(text, expected) {
+    const haystack = this.compact(text);
+    const checkedAt = Date.now();
+
+    if (!haystack) {
+      return { status: 'unverified', mismatches: [], error: 'No text was found in the certificate', checkedAt };
+    }
+
+    const contains = (value) => {
+      const needle = this.compact(value);
+      return !needle || haystack.includes(needle);
+    };
+
+    const mismatches = [];
+
+    if (!contains(expected.legalName)) {
+      mismatches.push(`Legal name "${expected.legalName}" is not on the certificate`);
+    }
+
+    if (!contains(expected.artistName)) {
+      mismatches.push(`Artist name "${expected.artistName}" is not on the certificate`);
+    }
+
+    (expected.samples || []).forEach(({ sampleName, assetUuid }) => {
+      const name = String(sampleName || '').split(/[\\/]/).pop().replace(this.AUDIO_EXTENSION, '');
+      const nameFound = !!this.compact(name) && contains(name);
+      const uuidFound = !!assetUuid && contains(assetUuid);
+
+      if (!nameFound && !uuidFound) {
+        mismatches.push(`Sample "${sampleName || assetUuid}" is not on the certificate`);
+      }
+    });
+
+    return {
+      status: mismatches.length > 0 ? 'mismatch' : 'verified',
+      mismatches,
+      error: null,
+      checkedAt
+    };
+  }
+
+  /**
+   * Reduce text to lowercase letters and digits
+   * Line breaks, hyphenation and punctuation in the PDF layout don't affect matching
+   * @param {string} value - Text
+   * @returns {string} Compacted text
+   */
+  static compact(value) {
+    return String(value || '').toLowerCase().replace(/[^\p{L}\p{N}]/gu, '');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CertificateVerifier;
+}
@@ -0,0 +1,334 @@
+/**
+ * Sample clearance reports for the Splice Chrome Extension
+ * Lists every sample of a project or batch with its certificate and licensee,
+ * for labels and distributors, and renders the list as a PDF with pdf-lib
+ */
+
+class ClearanceReport {
+  static PAGE_SIZE = [841.89, 595.28]; // A4 landscape, in points
+  static MARGIN = 40;
+  static FONT_SIZE = 8;
+  static LINE_HEIGHT = 10;
+
+  static COLUMNS = [
+    { key: 'sampleName', label: 'Sample', width: 150 },
+    { key: 'pack', label: 'Pack', width: 90 },
+    { key: 'assetUuid', label: 'Asset UUID', width: 165 },
+    { key: 'certificateUuid', label: 'Certificate UUID', width: 165 },
+    { key: 'issued', label: 'Issued', width: 52 },
+    { key: 'licensee', label: 'Licensee', width: 140 }
+  ];
+
+  /**
+   * List the projects and batches a report can cover
+   * @returns {Promise<Object>} { projects, batches } where projects are { name, count }
+   *   and batches are { jobId, createdAt, count }, newest first
+   */
+  static async getSources() {
+    const entries = await LicenseLedger.getAll();
+    const projects = new Map();
+    const batches = new Map();
+
+    entries.forEach(entry => {
+      if (entry.project) {
+        const project = projects.get(entry.project) || { name: entry.project, count: 0, createdAt: 0 };
+        project.count++;
+        project.createdAt = Math.max(project.createdAt, entry.createdAt);
+        projects.set(entry.project, project);
+      }
+
+      if (entry.jobId) {
+        const batch = batches.get(entry.jobId) || { jobId: entry.jobId, count: 0, createdAt: entry.createdAt };
+        batch.count++;
+        batch.createdAt = Math.min(batch.createdAt, entry.createdAt);
+        batches.set(entry.jobId, batch);
+      }
+    });
+
+    return {
+      projects: [...projects.values()].sort((a, b) => b.createdAt - a.createdAt),
+      batches: [...batches.values()].sort((a, b) => b.createdAt - a.createdAt)
+    };
+  }
+
+  /**
+   * Collect the rows of a report
+   * @param {Object} source - What to report on
+   * @param {string|null} source.jobId - Batch job ID
+   * @param {string|null} source.project - Project name
+   * @param {string|null} source.title - Track or project name shown on the report
+   * @returns {Promise<Object>} { title, generatedAt, rows, certificates, licensees }
+   */
+  static async build({ jobId = null, project = null, title = null }) {
+    const selected = await this.getEntries({ jobId, project });
+
+    const rows = selected
+      .map(entry => ({
+        sampleName: entry.sampleName,
+        pack: entry.pack || '',
+        project: entry.project || '',
+        assetUuid: entry.assetUuid || '',
+        certificateUuid: entry.certificateUuid || '',
+        licenseIssued: entry.licenseIssued || null,
+        issued: CertificateExport.formatDate(entry.licenseIssued || entry.createdAt),
+        legalName: entry.fullLegalName || '',
+        artistName: entry.artistName || '',
+        companyName: entry.companyName || '',
+        licensee: this.describeLicensee(entry)
+      }))
+      .sort((a, b) => a.sampleName.localeCompare(b.sampleName, undefined, { numeric: true }));
+
+    const firstDate = selected.length > 0 ? Math.min(...selected.map(entry => entry.createdAt)) : Date.now();
+
+    return {
+      title: title || project || `Batch ${CertificateExport.formatDate(firstDate)}`,
+      generatedAt: new Date().toISOString(),
+      rows,
+      certificates: CertificateExport.groupByCertificate(selected),
+      licensees: [...new Set(rows.map(row => row.licensee).filter(Boolean))]
+    };
+  }
+
+  /**
+   * Get the ledger entries of a project or batch
+   * A batch also covers certificates issued earlier for samples it skipped
+   * @param {Object} source - { jobId, project }
+   * @returns {Promise<Array<Object>>} Ledger entries
+   */
+  static async getEntries({ jobId = null, project = null }) {
+    const entries = await LicenseLedger.getAll();
+
+    if (jobId) {
+      const skippedCertificates = await this.getSkippedCertificates(jobId);
+      return entries.filter(entry =>
+        entry.jobId === jobId || skippedCertificates.has(entry.certificateUuid)
+      );
+    }
+    if (project) {
+      return entries.filter(entry => entry.project === project);
+    }
+    return [];
+  }
+
+  /**
+   * Find certificates a batch relied on without issuing them
+   * Finished batches are only kept for a while, so this may find nothing for old batches
+   * @param {string} jobId - Batch job ID
+   * @returns {Promise<Set<string>>} Certificate UUIDs
+   */
+  static async getSkippedCertificates(jobId) {
+    const job = await BatchJobStore.get(jobId);
+
+    return new Set((job?.items || [])
+      .map(item => item.result?.skipped ? item.result.existing?.certificateUuid : null)
+      .filter(Boolean));
+  }
+
+  /**
+   * Describe who a certificate was issued to
+   * @param {Object} entry - Ledger entry
+   * @returns {string} Legal name, artist name and company
+   */
+  static describeLicensee(entry) {
+    const name = entry.fullLegalName && entry.artistName && entry.fullLegalName !== entry.artistName
+      ? `${entry.fullLegalName} p/k/a ${entry.artistName}`
+      : entry.fullLegalName || entry.artistName || '';
+
+    return [name, entry.companyName].filter(Boolean).join(', ');
+  }
+
+  /**
+   * Render a report as a PDF
+   * @param {Object} report - Report from build()
+   * @param {Object} options - Rendering options
+   * @param {boolean} options.appendCertificates - Add every certificate PDF after the report
+   * @returns {Promise<Object>} { bytes, missing } where missing lists certificates that couldn't be appended
+   */
+  static async toPdf(report, { appendCertificates = false } = {}) {
+    const { PDFDocument, StandardFonts, rgb } = PDFLib;
+    const pdf = await PDFDocument.create();
+    const font = await pdf.embedFont(StandardFonts.Helvetica);
+    const bold = await pdf.embedFont(StandardFonts.HelveticaBold);
+    const gray = rgb(0.42, 0.46, 0.49);
+    const [pageWidth, pageHeight] = this.PAGE_SIZE;
+
+    pdf.setTitle(`Sample Clearance Report - ${this.toWinAnsi(report.title)}`);
+    pdf.setCreator('Splice License Batch Generator');
+
+    let page;
+    let y;
+
+    const drawHeader = () => {
+      let x = this.MARGIN;
+      this.COLUMNS.forEach(column => {
+        page.drawText(column.label, { x, y, size: this.FONT_SIZE, font: bold });
+        x += column.width;
+      });
+      y -= 4;
+      page.drawLine({
+        start: { x: this.MARGIN, y },
+        end: { x: pageWidth - this.MARGIN, y },
+        thickness: 0.75,
+        color: gray
+      });
+      y -= this.LINE_HEIGHT + 2;
+    };
+
+    const addPage = () => {
+      page = pdf.addPage(this.PAGE_SIZE);
+      y = pageHeight - this.MARGIN;
+    };
+
+    addPage();
+    page.drawText('Sample Clearance Report', { x: this.MARGIN, y: y - 18, size: 18, font: bold });
+    y -= 40;
+    page.drawText(this.toWinAnsi(report.title), { x: this.MARGIN, y, size: 13, font: bold });
+    y -= 18;
+
+    const certificateCount = report.certificates.length;
+    const summary = `Generated ${new Date(report.generatedAt).toLocaleString()} - ${report.rows.length} sample${report.rows.length !== 1 ? 's' : ''}, ` +
+      `${certificateCount} certificate${certificateCount !== 1 ? 's' : ''}`;
+    page.drawText(this.toWinAnsi(summary), { x: this.MARGIN, y, size: 9, font, color: gray });
+    y -= 14;
+
+    report.licensees.forEach(licensee => {
+      page.drawText(this.toWinAnsi(`Licensee: ${licensee}`), { x: this.MARGIN, y, size: 9, font });
+      y -= 12;
+    });
+    y -= 12;
+
+    drawHeader();
+
+    report.rows.forEach(row => {
+      const cells = this.COLUMNS.map(column =>
+        this.wrapText(this.toWinAnsi(row[column.key] || '-'), font, this.FONT_SIZE, column.width - 8)
+      );
+      const height = Math.max(...cells.map(lines => lines.length)) * this.LINE_HEIGHT + 4;
+
+      if (y - height < this.MARGIN + 14) {
+        addPage();
+        drawHeader();
+      }
+
+      let x = this.MARGIN;
+      cells.forEach((lines, index) => {
+        lines.forEach((line, lineIndex) => {
+          page.drawText(line, { x, y: y - lineIndex * this.LINE_HEIGHT, size: this.FONT_SIZE, font });
+        });
+        x += this.COLUMNS[index].width;
+      });
+      y -= height;
+    });
+
+    // Load certificates first, so the note below the table can say which are missing
+    const sources = [];
+    const missing = [];
+
+    if (appendCertificates) {
+      for (const certificate of report.certificates) {
+        try {
+          const blob = await CertificateExport.getPdf(certificate);
+          sources.push(await PDFDocument.load(await blob.arrayBuffer()));
+        } catch (error) {
+          console.error(`Failed to append certificate ${certificate.certificateUuid}:`, error);
+          missing.push(certificate.certificateUuid);
+        }
+      }
+    }
+
+    const note = !appendCertificates
+      ? 'Certificate PDFs are available from the extension or Splice for each certificate UUID listed.'
+      : missing.length > 0
+        ? `Certificates are appended after this report, except ${missing.length} that could not be downloaded: ${missing.join(', ')}`
+        : 'Every certificate listed is appended after this report.';
+    const noteLines = this.wrapText(note, font, 8, pageWidth - this.MARGIN * 2);
+
+    y -= 8;
+    if (y - noteLines.length * 10 < this.MARGIN + 4) {
+      addPage();
+    }
+    noteLines.forEach(line => {
+      page.drawText(line, { x: this.MARGIN, y, size: 8, font, color: gray });
+      y -= 10;
+    });
+
+    const reportPages = pdf.getPageCount();
+    for (let i = 0; i < reportPages; i++) {
+      pdf.getPage(i).drawText(`Page ${i + 1} of ${reportPages}`, {
+        x: pageWidth - this.MARGIN - 60,
+        y: this.MARGIN - 20,
+        size: 8,
+        font,
+        color: gray
+      });
+    }
+
+    for (const source of sources) {
+      const pages = await pdf.copyPages(source, source.getPageIndices());
+      pages.forEach(copied => pdf.addPage(copied));
+    }
+
+    return { bytes: await pdf.save(), missing };
+  }
+
+  /**
+   * Split text into lines that fit a width, breaking long words such as UUIDs
+   * @param {string} text - Text to wrap
+   * @param {PDFFont} font - Font used to measure
+   * @param {number} size - Font size
+   * @param {number} maxWidth - Available width in points
+   * @returns {Array<string>} Lines
+   */
+  static wrapText(text, font, size, maxWidth) {
+    const lines = [];
+    let line = '';
+
+    const fits = (value) => font.widthOfTextAtSize(value, size) <= maxWidth;
+
+    String(text).split(/\s+/).filter(Boolean).forEach(word => {
+      const candidate = line ? `${line} ${word}` : word;
+      if (fits(candidate)) {
+        line = candidate;
+        return;
+      }
+
+      if (line) {
+        lines.push(line);
+      }
+
+      // Break words that are wider than the column on their own
+      line = '';
+      for (const char of word) {
+        if (!fits(line + char) && line) {
+          lines.push(line);
+          line = '';
+        }
+        line += char;
+      }
+    });
+
+    if (line) {
+      lines.push(line);
+    }
+    return lines.length > 0 ? lines : [''];
+  }
+
+  /**
+   * Replace characters the standard PDF fonts can't encode
+   * @param {string} text - Text
+   * @returns {string} Text using only Latin-1 characters
+   */
+  static toWinAnsi(text) {
+    return String(text || '')
+      .normalize('NFC')
+      .replace(/[\u2018\u2019]/g, "'")
+      .replace(/[\u201c\u201d]/g, '"')
+      .replace(/[\u2013\u2014]/g, '-')
+      .replace(/[^\x20-\x7e\xa0-\xff]/g, '?');
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ClearanceReport;
+}
@@ -0,0 +1,116 @@
+/**
+ * IndexedDB access for the Splice Chrome Extension
+ * One database shared by the service worker and extension pages
+ */
+
+class ExtensionDatabase {
+  static DB_NAME = 'splice-license-batch-generator';
+  static DB_VERSION = 4;
+
+  /**
+   * Open the database, creating or upgrading object stores as needed
+   * @returns {Promise<IDBDatabase>} Open database
+   */
+  static open() {
+    if (this.dbPromise) {
+      return this.dbPromise;
+    }
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.DB_NAME, this.DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        // Version 1: license ledger, one entry per licensed sample
+        if (event.oldVersion < 1) {
+          const licenses = db.createObjectStore('licenses', { keyPath: 'id', autoIncrement: true });
+          licenses.createIndex('certificateUuid', 'certificateUuid', { unique: false });
+          licenses.createIndex('assetUuid', 'assetUuid', { unique: false });
+          licenses.createIndex('sampleName', 'sampleName', { unique: false });
+          licenses.createIndex('createdAt', 'createdAt', { unique: false });
+        }
+
+        // Version 2: encryption keys, stored as non-extractable CryptoKeys
+        if (event.oldVersion < 2) {
+          db.createObjectStore('keys', { keyPath: 'id' });
+        }
+
+        // Version 3: archived certificate PDFs, one per certificate
+        if (event.oldVersion < 3) {
+          const certificates = db.createObjectStore('certificates', { keyPath: 'certificateUuid' });
+          certificates.createIndex('archivedAt', 'archivedAt', { unique: false });
+        }
+
+        // Version 4: projects with their release date, profile and samples
+        if (event.oldVersion < 4) {
+          const projects = db.createObjectStore('projects', { keyPath: 'id' });
+          projects.createIndex('updatedAt', 'updatedAt', { unique: false });
+        }
+      };
+
+      request.onsuccess = () => {
+        const db = request.result;
+
+        // Let a newer version of the extension upgrade the schema
+        db.onversionchange = () => {
+          db.close();
+          this.dbPromise = null;
+        };
+
+        resolve(db);
+      };
+
+      request.onerror = () => {
+        this.dbPromise = null;
+        reject(request.error);
+      };
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Wrap an IDBRequest in a promise
+   * @param {IDBRequest} request - IndexedDB request
+   * @returns {Promise<*>} Request result
+   */
+  static promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  /**
+   * Run work inside a transaction and resolve once it commits
+   * @param {string|Array<string>} storeNames - Object stores to include
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} work - Receives the transaction; its return value is resolved
+   * @returns {Promise<*>} Value returned by work
+   */
+  static async transaction(storeNames, mode, work) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(storeNames, mode);
+      let result;
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+
+      Promise.resolve(work(tx)).then(value => {
+        result = value;
+      }).catch(error => {
+        tx.abort();
+        reject(error);
+      });
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ExtensionDatabase;
+}
@@ -1,19 +1,35 @@
 /**
- * Simple encryption utilities for license information
- * Uses base64 encoding for basic obfuscation
+ * Encryption utilities for license information
+ * Uses WebCrypto AES-GCM. Without a passphrase the key is a non-extractable
+ * device key kept in IndexedDB; with one, the key is derived with PBKDF2 and
+ * cached in chrome.storage.session until the browser closes or the data is locked.
  */
 
 class LicenseInfoEncryption {
+  static VERSION = 2;
+  static KEY_STORE = 'keys';
+  static DEVICE_KEY_ID = 'licenseInfo';
+  static SESSION_KEY = 'licenseInfoKey';
+  static PBKDF2_ITERATIONS = 600000;
+
   /**
    * Encrypt license information
+   * Keeps passphrase protection if the current data has it
    * @param {Object} data - License information object
-   * @returns {string|null} Encrypted data or null on error
+   * @param {Object|string|null} current - Currently stored envelope, if any
+   * @returns {Promise<Object|null>} Encrypted envelope or null on error
    */
-  static encrypt(data) {
+  static async encrypt(data, current = null) {
     try {
-      const jsonString = JSON.stringify(data);
-      const encoded = btoa(jsonString);
-      return encoded;
+      if (this.isPassphraseProtected(current)) {
+        const key = await this.getSessionKey(current);
+        if (!key) {
+          throw new Error('License information is locked');
+        }
+        return this.encryptWithKey(data, key, { kdf: 'pbkdf2', salt: current.salt, iterations: current.iterations });
+      }
+
+      return this.encryptWithKey(data, await this.getDeviceKey(), { kdf: 'device' });
     } catch (error) {
       console.error('Encryption failed:', error);
       return null;
@@ -22,20 +38,236 @@ class LicenseInfoEncryption {
 
   /**
    * Decrypt license information
-   * @param {string} encryptedData - Encrypted data string
-   * @returns {Object|null} Decrypted data or null on error
+   * @param {Object|string} encryptedData - Encrypted envelope, or a legacy base64 string
+   * @returns {Promise<Object|null>} Decrypted data or null on error or while locked
    */
-  static decrypt(encryptedData) {
+  static async decrypt(encryptedData) {
     try {
-      const decoded = atob(encryptedData);
-      const data = JSON.parse(decoded);
-      return data;
+      if (this.isLegacy(encryptedData)) {
+        return JSON.parse(atob(encryptedData));
+      }
+
+      const key = this.isPassphraseProtected(encryptedData)
+        ? await this.getSessionKey(encryptedData)
+        : await this.getDeviceKey();
+
+      if (!key) {
+        return null;
+      }
+
+      return await this.decryptWithKey(encryptedData, key);
     } catch (error) {
       console.error('Decryption failed:', error);
       return null;
     }
   }
 
+  /**
+   * Check if stored data predates AES-GCM encryption
+   * @param {Object|string} encryptedData - Stored data
+   * @returns {boolean} True for base64 strings written by older versions
+   */
+  static isLegacy(encryptedData) {
+    return typeof encryptedData === 'string';
+  }
+
+  /**
+   * Check if stored data is protected by a passphrase
+   * @param {Object|string|null} encryptedData - Stored data
+   * @returns {boolean} True if a passphrase is needed to decrypt
+   */
+  static isPassphraseProtected(encryptedData) {
+    return !!encryptedData && typeof encryptedData === 'object' && encryptedData.kdf === 'pbkdf2';
+  }
+
+  /**
+   * Check if passphrase-protected data is waiting to be unlocked
+   * @param {Object|string|null} encryptedData - Stored data
+   * @returns {Promise<boolean>} True if the passphrase is needed before reading
+   */
+  static async isLocked(encryptedData) {
+    return this.isPassphraseProtected(encryptedData) && !(await this.getSessionKey(encryptedData));
+  }
+
+  /**
+   * Unlock passphrase-protected data for the rest of the browser session
+   * @param {Object} encryptedData - Stored envelope
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<boolean>} True if the passphrase was correct
+   */
+  static async unlock(encryptedData, passphrase) {
+    const { key, raw } = await this.deriveKey(passphrase, this.fromBase64(encryptedData.salt), encryptedData.iterations);
+
+    try {
+      // AES-GCM authentication fails if the passphrase is wrong
+      await this.decryptWithKey(encryptedData, key);
+    } catch (error) {
+      return false;
+    }
+
+    await chrome.storage.session.set({ [this.SESSION_KEY]: { salt: encryptedData.salt, key: this.toBase64(raw) } });
+    return true;
+  }
+
+  /**
+   * Forget the session key so the passphrase is needed again
+   */
+  static async lock() {
+    await chrome.storage.session.remove(this.SESSION_KEY);
+  }
+
+  /**
+   * Encrypt data under a new passphrase
+   * @param {Object} data - License information object
+   * @param {string} passphrase - New passphrase
+   * @returns {Promise<Object>} Encrypted envelope; the session is left unlocked
+   */
+  static async encryptWithPassphrase(data, passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const { key, raw } = await this.deriveKey(passphrase, salt, this.PBKDF2_ITERATIONS);
+    const saltText = this.toBase64(salt);
+
+    await chrome.storage.session.set({ [this.SESSION_KEY]: { salt: saltText, key: this.toBase64(raw) } });
+
+    return this.encryptWithKey(data, key, { kdf: 'pbkdf2', salt: saltText, iterations: this.PBKDF2_ITERATIONS });
+  }
+
+  /**
+   * Encrypt data under the device key, removing passphrase protection
+   * @param {Object} data - License information object
+   * @returns {Promise<Object>} Encrypted envelope
+   */
+  static async encryptWithDeviceKey(data) {
+    await this.lock();
+    return this.encryptWithKey(data, await this.getDeviceKey(), { kdf: 'device' });
+  }
+
+  /**
+   * Encrypt with a key and wrap the result in a versioned envelope
+   * @param {Object} data - Data to encrypt
+   * @param {CryptoKey} key - AES-GCM key
+   * @param {Object} params - Key parameters stored alongside the ciphertext
+   * @returns {Promise<Object>} { v, alg, kdf, salt, iterations, iv, ciphertext }
+   */
+  static async encryptWithKey(data, key, params) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = new TextEncoder().encode(JSON.stringify(data));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, plaintext);
+
+    return {
+      v: this.VERSION,
+      alg: 'AES-GCM',
+      ...params,
+      iv: this.toBase64(iv),
+      ciphertext: this.toBase64(new Uint8Array(ciphertext))
+    };
+  }
+
+  /**
+   * Decrypt a versioned envelope
+   * @param {Object} envelope - Envelope from encryptWithKey()
+   * @param {CryptoKey} key - AES-GCM key
+   * @returns {Promise<Object>} Decrypted data
+   */
+  static async decryptWithKey(envelope, key) {
+    if (envelope.v !== this.VERSION || envelope.alg !== 'AES-GCM') {
+      throw new Error(`Unsupported encryption format: ${envelope.v}`);
+    }
+
+    const plaintext = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: this.fromBase64(envelope.iv) },
+      key,
+      this.fromBase64(envelope.ciphertext)
+    );
+
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  }
+
+  /**
+   * Get the device key, creating it on first use
+   * The key is non-extractable, so it can be used but never read back out of IndexedDB
+   * @returns {Promise<CryptoKey>} AES-GCM key
+   */
+  static async getDeviceKey() {
+    const stored = await ExtensionDatabase.transaction(this.KEY_STORE, 'readonly', (tx) =>
+      ExtensionDatabase.promisify(tx.objectStore(this.KEY_STORE).get(this.DEVICE_KEY_ID))
+    );
+
+    if (stored) {
+      return stored.key;
+    }
+
+    const key = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']);
+
+    // Another context may have created the key meanwhile; add() fails then and we use theirs
+    try {
+      await ExtensionDatabase.transaction(this.KEY_STORE, 'readwrite', (tx) =>
+        ExtensionDatabase.promisify(tx.objectStore(this.KEY_STORE).add({ id: this.DEVICE_KEY_ID, key }))
+      );
+      return key;
+    } catch (error) {
+      return this.getDeviceKey();
+    }
+  }
+
+  /**
+   * Get the passphrase key cached for this session
+   * @param {Object} envelope - Passphrase-protected envelope
+   * @returns {Promise<CryptoKey|null>} AES-GCM key, or null while locked
+   */
+  static async getSessionKey(envelope) {
+    const data = await chrome.storage.session.get(this.SESSION_KEY);
+    const cached = data[this.SESSION_KEY];
+
+    if (!cached || cached.salt !== envelope.salt) {
+      return null;
+    }
+
+    return crypto.subtle.importKey('raw', this.fromBase64(cached.key), 'AES-GCM', false, ['encrypt', 'decrypt']);
+  }
+
+  /**
+   * Derive an AES-GCM key from a passphrase
+   * @param {string} passphrase - User passphrase
+   * @param {Uint8Array} salt - Random salt
+   * @param {number} iterations - PBKDF2 iterations
+   * @returns {Promise<Object>} { key, raw } where raw is cached in session storage
+   */
+  static async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey(
+      'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 256
+    );
+    const raw = new Uint8Array(bits);
+    const key = await crypto.subtle.importKey('raw', raw, 'AES-GCM', false, ['encrypt', 'decrypt']);
+
+    return { key, raw };
+  }
+
+  /**
+   * Encode bytes as base64
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {string} Base64 text
+   */
+  static toBase64(bytes) {
+    let binary = '';
+    bytes.forEach(byte => {
+      binary += String.fromCharCode(byte);
+    });
+    return btoa(binary);
+  }
+
+  /**
+   * Decode base64 to bytes
+   * @param {string} text - Base64 text
+   * @returns {Uint8Array} Bytes
+   */
+  static fromBase64(text) {
+    return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+  }
+
   /**
    * Validate license information structure
    * @param {Object} data - License information object
@@ -53,6 +285,10 @@ class LicenseInfoEncryption {
     }
 
     // Optional fields
+    if (data.name && typeof data.name !== 'string') {
+      errors.push('Profile name must be a string');
+    }
+
     if (data.companyName && typeof data.companyName !== 'string') {
       errors.push('Company name must be a string');
     }
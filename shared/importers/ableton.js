@@ -0,0 +1,95 @@
+/**
+ * Ableton Live project parser
+ * .als files are gzipped XML; audio files are referenced by FileRef elements
+ */
+
+class AbletonProjectParser {
+  static extensions = ['als'];
+  static source = 'Ableton Live';
+
+  /**
+   * Extract referenced file paths from an Ableton Live set
+   * @param {File} file - .als project file
+   * @returns {Promise<Array<string>>} Referenced file paths
+   */
+  static async parse(file) {
+    const xml = await this.decompress(file);
+    const doc = new DOMParser().parseFromString(xml, 'application/xml');
+
+    if (doc.querySelector('parsererror')) {
+      throw new Error('Could not read the Ableton Live set. Is it a valid .als file?');
+    }
+
+    return Array.from(doc.getElementsByTagName('FileRef'))
+      .map(fileRef => this.getFileRefPath(fileRef))
+      .filter(Boolean);
+  }
+
+  /**
+   * Gunzip the project file
+   * @param {File} file - .als project file
+   * @returns {Promise<string>} XML text
+   */
+  static async decompress(file) {
+    try {
+      const stream = file.stream().pipeThrough(new DecompressionStream('gzip'));
+      return await new Response(stream).text();
+    } catch (error) {
+      throw new Error('Could not decompress the Ableton Live set. Is it a valid .als file?');
+    }
+  }
+
+  /**
+   * Build the path of a FileRef element
+   * Live 11+ stores an absolute <Path>; older versions store a <Name> plus
+   * directory hints in <SearchHint><PathHint> or <RelativePath>
+   * @param {Element} fileRef - FileRef element
+   * @returns {string|null} File path or null
+   */
+  static getFileRefPath(fileRef) {
+    const path = this.getChildValue(fileRef, 'Path');
+    if (path) {
+      return path;
+    }
+
+    const name = this.getChildValue(fileRef, 'Name');
+    if (!name) {
+      return null;
+    }
+
+    const hint = fileRef.querySelector('SearchHint > PathHint') || this.getChild(fileRef, 'RelativePath');
+    const directories = hint
+      ? Array.from(hint.getElementsByTagName('RelativePathElement')).map(element => element.getAttribute('Dir'))
+      : [];
+
+    return [...directories.filter(Boolean), name].join('/');
+  }
+
+  /**
+   * Get a direct child element by tag name
+   * @param {Element} element - Parent element
+   * @param {string} tagName - Child tag name
+   * @returns {Element|null} Child element or null
+   */
+  static getChild(element, tagName) {
+    return Array.from(element.children).find(child => child.tagName === tagName) || null;
+  }
+
+  /**
+   * Get the Value attribute of a direct child element
+   * @param {Element} element - Parent element
+   * @param {string} tagName - Child tag name
+   * @returns {string|null} Value or null
+   */
+  static getChildValue(element, tagName) {
+    const child = this.getChild(element, tagName);
+    return child ? child.getAttribute('Value') : null;
+  }
+}
+
+ProjectImporter.register(AbletonProjectParser);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AbletonProjectParser;
+}
@@ -0,0 +1,206 @@
+/**
+ * Audio file metadata reader
+ * Reads the text chunks of WAV (RIFF INFO, bext, iXML) and AIFF (NAME, ANNO,
+ * COMT) files without loading the audio data
+ */
+
+class AudioMetadataReader {
+  // Chunks worth loading; anything else (including audio data) is skipped
+  static WAV_CHUNKS = ['LIST', 'bext', 'iXML', 'ds64'];
+  static AIFF_CHUNKS = ['NAME', 'AUTH', 'ANNO', 'COMT'];
+
+  // Stop walking chunks after this many so a corrupt file can't loop forever
+  static MAX_CHUNKS = 256;
+
+  /**
+   * Read the text metadata of an audio file
+   * @param {File} file - WAV or AIFF file
+   * @returns {Promise<Object|null>} { format, info, bext, ixml, aiff } or null for unsupported files
+   */
+  static async read(file) {
+    const header = new DataView(await file.slice(0, 12).arrayBuffer());
+    if (header.byteLength < 12) {
+      return null;
+    }
+
+    const id = this.readId(header, 0);
+    const type = this.readId(header, 8);
+
+    if ((id === 'RIFF' || id === 'RF64') && type === 'WAVE') {
+      return this.readWav(file);
+    }
+
+    if (id === 'FORM' && (type === 'AIFF' || type === 'AIFC')) {
+      return this.readAiff(file);
+    }
+
+    return null;
+  }
+
+  /**
+   * Read WAV metadata chunks
+   * @param {File} file - WAV file
+   * @returns {Promise<Object>} Metadata
+   */
+  static async readWav(file) {
+    const metadata = { format: 'wav', info: {}, bext: null, ixml: null, aiff: null };
+    let dataSize64 = null;
+
+    for await (const chunk of this.walkChunks(file, true, this.WAV_CHUNKS, () => dataSize64)) {
+      if (chunk.id === 'ds64' && chunk.view.byteLength >= 16) {
+        // RF64 keeps the real size of the data chunk here
+        dataSize64 = chunk.view.getUint32(8, true) + chunk.view.getUint32(12, true) * 0x100000000;
+      } else if (chunk.id === 'LIST' && this.readId(chunk.view, 0) === 'INFO') {
+        Object.assign(metadata.info, this.parseInfo(chunk.view));
+      } else if (chunk.id === 'bext') {
+        metadata.bext = this.parseBext(chunk.view);
+      } else if (chunk.id === 'iXML') {
+        metadata.ixml = this.decodeText(chunk.view, 0, chunk.view.byteLength, 'utf-8');
+      }
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Read AIFF metadata chunks
+   * @param {File} file - AIFF file
+   * @returns {Promise<Object>} Metadata
+   */
+  static async readAiff(file) {
+    const metadata = { format: 'aiff', info: {}, bext: null, ixml: null, aiff: { name: null, author: null, annotations: [] } };
+
+    for await (const chunk of this.walkChunks(file, false, this.AIFF_CHUNKS)) {
+      const text = this.decodeText(chunk.view, 0, chunk.view.byteLength);
+
+      if (chunk.id === 'NAME') {
+        metadata.aiff.name = text;
+      } else if (chunk.id === 'AUTH') {
+        metadata.aiff.author = text;
+      } else if (chunk.id === 'ANNO') {
+        metadata.aiff.annotations.push(text);
+      } else if (chunk.id === 'COMT') {
+        metadata.aiff.annotations.push(...this.parseComments(chunk.view));
+      }
+    }
+
+    return metadata;
+  }
+
+  /**
+   * Walk the chunks after the 12-byte file header, loading only wanted ones
+   * @param {File} file - Audio file
+   * @param {boolean} littleEndian - True for RIFF, false for AIFF
+   * @param {Array<string>} wanted - Chunk IDs to load
+   * @param {Function} getDataSize64 - Returns the RF64 data size once known
+   * @yields {Object} { id, view }
+   */
+  static async *walkChunks(file, littleEndian, wanted, getDataSize64 = () => null) {
+    let offset = 12;
+
+    for (let i = 0; i < this.MAX_CHUNKS && offset + 8 <= file.size; i++) {
+      const header = new DataView(await file.slice(offset, offset + 8).arrayBuffer());
+      const id = this.readId(header, 0);
+      let size = header.getUint32(4, littleEndian);
+
+      if (size === 0xffffffff && id === 'data') {
+        size = getDataSize64() ?? file.size - offset - 8;
+      }
+
+      if (wanted.includes(id)) {
+        const body = await file.slice(offset + 8, offset + 8 + size).arrayBuffer();
+        yield { id, view: new DataView(body) };
+      }
+
+      // Chunks are padded to an even length
+      offset += 8 + size + (size % 2);
+    }
+  }
+
+  /**
+   * Parse a LIST/INFO chunk into { INAM, IART, ICMT, ... }
+   * @param {DataView} view - LIST chunk body
+   * @returns {Object} INFO fields
+   */
+  static parseInfo(view) {
+    const info = {};
+    let offset = 4;
+
+    while (offset + 8 <= view.byteLength) {
+      const id = this.readId(view, offset);
+      const size = view.getUint32(offset + 4, true);
+      info[id] = this.decodeText(view, offset + 8, Math.min(size, view.byteLength - offset - 8));
+      offset += 8 + size + (size % 2);
+    }
+
+    return info;
+  }
+
+  /**
+   * Parse the text fields of a Broadcast Wave bext chunk
+   * @param {DataView} view - bext chunk body
+   * @returns {Object} { description, originator, originatorReference }
+   */
+  static parseBext(view) {
+    return {
+      description: this.decodeText(view, 0, 256),
+      originator: this.decodeText(view, 256, 32),
+      originatorReference: this.decodeText(view, 288, 32)
+    };
+  }
+
+  /**
+   * Parse an AIFF COMT chunk
+   * @param {DataView} view - COMT chunk body
+   * @returns {Array<string>} Comment texts
+   */
+  static parseComments(view) {
+    const comments = [];
+    const count = view.byteLength >= 2 ? view.getUint16(0, false) : 0;
+    let offset = 2;
+
+    for (let i = 0; i < count && offset + 8 <= view.byteLength; i++) {
+      // Each comment: timestamp (4), marker ID (2), length (2), text padded to even
+      const length = view.getUint16(offset + 6, false);
+      comments.push(this.decodeText(view, offset + 8, length));
+      offset += 8 + length + (length % 2);
+    }
+
+    return comments;
+  }
+
+  /**
+   * Read a four-character chunk ID
+   * @param {DataView} view - Data
+   * @param {number} offset - ID offset
+   * @returns {string} Chunk ID
+   */
+  static readId(view, offset) {
+    if (offset + 4 > view.byteLength) return '';
+    return String.fromCharCode(
+      view.getUint8(offset), view.getUint8(offset + 1), view.getUint8(offset + 2), view.getUint8(offset + 3)
+    );
+  }
+
+  /**
+   * Decode NUL-terminated or padded text
+   * @param {DataView} view - Data
+   * @param {number} offset - Text offset
+   * @param {number} length - Maximum text length
+   * @param {string} encoding - Text encoding
+   * @returns {string} Trimmed text
+   */
+  static decodeText(view, offset, length, encoding = 'windows-1252') {
+    const end = Math.min(view.byteLength, offset + length);
+    if (offset >= end) return '';
+
+    const bytes = new Uint8Array(view.buffer, view.byteOffset + offset, end - offset);
+    const nul = bytes.indexOf(0);
+    return new TextDecoder(encoding).decode(nul === -1 ? bytes : bytes.subarray(0, nul)).trim();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = AudioMetadataReader;
+}
@@ -0,0 +1,179 @@
+/**
+ * FL Studio project parser
+ * .flp files are a binary event stream; channel and audio clip samples are
+ * referenced by sample filename events
+ */
+
+class FLStudioProjectParser {
+  static extensions = ['flp'];
+  static source = 'FL Studio';
+
+  // Event IDs carrying text data
+  static EVENT_SAMPLE_FILENAME = 196;
+  static EVENT_VERSION = 199;
+
+  // FL Studio 11.5 switched text events from ANSI to UTF-16LE
+  static UNICODE_VERSION = [11, 5];
+
+  /**
+   * Extract referenced file paths from an FL Studio project
+   * @param {File} file - .flp project file
+   * @returns {Promise<Array<string>>} Referenced file paths
+   */
+  static async parse(file) {
+    const view = new DataView(await file.arrayBuffer());
+    const events = this.readEvents(view);
+
+    const versionEvent = events.find(event => event.id === this.EVENT_VERSION);
+    const version = versionEvent ? this.decodeAnsi(versionEvent.data) : null;
+    const unicode = version ? this.isUnicodeVersion(version) : null;
+
+    return events
+      .filter(event => event.id === this.EVENT_SAMPLE_FILENAME)
+      .map(event => this.decodeText(event.data, unicode))
+      .filter(Boolean);
+  }
+
+  /**
+   * Read the events from the FLdt chunk
+   * @param {DataView} view - Project file contents
+   * @returns {Array<Object>} Text events, each { id, data }
+   */
+  static readEvents(view) {
+    if (view.byteLength < 22 || this.readChunkId(view, 0) !== 'FLhd') {
+      throw new Error('Not an FL Studio project. Is it a valid .flp file?');
+    }
+
+    // Skip the header chunk, whatever length this version writes
+    let offset = 8 + view.getUint32(4, true);
+
+    while (offset + 8 <= view.byteLength && this.readChunkId(view, offset) !== 'FLdt') {
+      offset += 8 + view.getUint32(offset + 4, true);
+    }
+
+    if (offset + 8 > view.byteLength) {
+      throw new Error('Could not find project data in the FL Studio project.');
+    }
+
+    const end = Math.min(view.byteLength, offset + 8 + view.getUint32(offset + 4, true));
+    offset += 8;
+
+    const events = [];
+
+    while (offset < end) {
+      const id = view.getUint8(offset++);
+
+      // Event size is implied by the ID range: BYTE, WORD, DWORD, then variable-length data
+      if (id < 64) {
+        offset += 1;
+      } else if (id < 128) {
+        offset += 2;
+      } else if (id < 192) {
+        offset += 4;
+      } else {
+        const { value: length, size } = this.readVarint(view, offset);
+        offset += size;
+
+        if (offset + length > end) break;
+
+        if (id === this.EVENT_SAMPLE_FILENAME || id === this.EVENT_VERSION) {
+          events.push({ id, data: new Uint8Array(view.buffer, view.byteOffset + offset, length) });
+        }
+        offset += length;
+      }
+    }
+
+    return events;
+  }
+
+  /**
+   * Read a four-character chunk ID
+   * @param {DataView} view - Project file contents
+   * @param {number} offset - Chunk offset
+   * @returns {string} Chunk ID
+   */
+  static readChunkId(view, offset) {
+    let id = '';
+    for (let i = 0; i < 4; i++) {
+      id += String.fromCharCode(view.getUint8(offset + i));
+    }
+    return id;
+  }
+
+  /**
+   * Read a variable-length size: 7 bits per byte, high bit set while more bytes follow
+   * @param {DataView} view - Project file contents
+   * @param {number} offset - Offset of the first byte
+   * @returns {Object} { value, size } where size is the number of bytes read
+   */
+  static readVarint(view, offset) {
+    let value = 0;
+    let shift = 0;
+    let size = 0;
+
+    while (offset + size < view.byteLength) {
+      const byte = view.getUint8(offset + size++);
+      value |= (byte & 0x7f) << shift;
+      if (!(byte & 0x80)) break;
+      shift += 7;
+    }
+
+    return { value, size };
+  }
+
+  /**
+   * Check if a project version writes UTF-16LE text events
+   * @param {string} version - Version string such as "20.8.4.2576"
+   * @returns {boolean} True for FL Studio 11.5 and later
+   */
+  static isUnicodeVersion(version) {
+    const [major = 0, minor = 0] = version.split('.').map(part => parseInt(part, 10) || 0);
+    const [unicodeMajor, unicodeMinor] = this.UNICODE_VERSION;
+    return major > unicodeMajor || (major === unicodeMajor && minor >= unicodeMinor);
+  }
+
+  /**
+   * Decode a text event
+   * @param {Uint8Array} data - Event data
+   * @param {boolean|null} unicode - True for UTF-16LE, false for ANSI, null to guess
+   * @returns {string} Decoded text without the trailing NUL
+   */
+  static decodeText(data, unicode) {
+    const isUnicode = unicode ?? this.looksLikeUtf16(data);
+    return isUnicode
+      ? new TextDecoder('utf-16le').decode(data).replace(/\0+$/, '')
+      : this.decodeAnsi(data);
+  }
+
+  /**
+   * Decode single-byte text
+   * @param {Uint8Array} data - Event data
+   * @returns {string} Decoded text without the trailing NUL
+   */
+  static decodeAnsi(data) {
+    return new TextDecoder('windows-1252').decode(data).replace(/\0+$/, '');
+  }
+
+  /**
+   * Guess whether text is UTF-16LE when the project has no version event
+   * Paths are mostly ASCII, so every second byte of UTF-16LE text is zero
+   * @param {Uint8Array} data - Event data
+   * @returns {boolean} True if the data looks like UTF-16LE
+   */
+  static looksLikeUtf16(data) {
+    if (data.length < 4 || data.length % 2 !== 0) return false;
+
+    let zeros = 0;
+    for (let i = 1; i < data.length; i += 2) {
+      if (data[i] === 0) zeros++;
+    }
+    return zeros >= (data.length / 2) * 0.8;
+  }
+}
+
+ProjectImporter.register(FLStudioProjectParser);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FLStudioProjectParser;
+}
@@ -0,0 +1,147 @@
+/**
+ * Audio folder importer
+ * Rebuilds original Splice filenames for a folder of bounced, consolidated or
+ * renamed audio files, using embedded metadata first and the file name second
+ */
+
+class FolderImporter {
+  static source = 'Audio folder';
+
+  // A file name with an audio extension somewhere inside a metadata field
+  static FILE_NAME_PATTERN = /([^\\/:*?"<>|\r\n\t]+\.(?:wav|aiff?))\b/i;
+
+  // Splice names are underscore-separated tokens, e.g. DBM_TC2_124_Erhu_Loop_A_Heroes_Tale_C#min
+  static SPLICE_NAME_PATTERN = /^[A-Za-z0-9]+(?:_[A-Za-z0-9#&+.'-]+){2,}$/;
+
+  // Suffixes DAWs append when bouncing, consolidating or copying audio, stripped repeatedly
+  static SUFFIX_PATTERNS = [
+    /\s*\[\d{4}-\d{2}-\d{2} \d{6}\]$/, // Ableton consolidate timestamp
+    /\s*\(\d+\)$/, // Finder and Explorer copy numbers
+    /[\s_-]+(?:copy|bounced?|consolidated?|cons|bip|edit(?:ed)?|processed|render(?:ed)?|print(?:ed)?|frozen|freeze|reversed?|rvrs|stretched|warped|glued)(?:[\s_-]*\d+)?$/i,
+    /[_-]\d{2}-\d{2}$/, // Pro Tools region numbers, e.g. _01-02
+    // Logic take numbers, e.g. "Bass #2" or "Audio 1#03"; a single digit straight after a
+    // note name is an octave (808_Bass_C#1), so bare "#n" is left alone
+    /(?:[\s_-]+#\d+|#\d{2,})$/,
+    /\.\d+$/, // Logic and Cubase duplicate numbers, e.g. .1
+    /\.[LR]$/ // Pro Tools split stereo
+  ];
+
+  /**
+   * Import a folder of audio files
+   * @param {string} folderName - Folder name, used as the project name
+   * @param {Array<Object>} entries - Files in the folder, each { file, path }
+   * @returns {Promise<Object>} { projectName, source, fileName, samples: [{ name, path, origin }] }
+   */
+  static async importFolder(folderName, entries) {
+    const seen = new Set();
+    const samples = [];
+
+    for (const { file, path } of entries) {
+      if (!ProjectImporter.isAudioFile(file.name)) continue;
+
+      const derived = await this.deriveSampleName(file);
+      const key = derived.name.toLowerCase();
+      if (seen.has(key)) continue;
+
+      seen.add(key);
+      samples.push({ name: derived.name, path: path || file.name, origin: derived.origin });
+    }
+
+    return {
+      projectName: folderName,
+      source: this.source,
+      fileName: folderName,
+      samples
+    };
+  }
+
+  /**
+   * Work out the original Splice filename of an audio file
+   * @param {File} file - Audio file
+   * @returns {Promise<Object>} { name, origin } where origin is 'metadata' or 'file name'
+   */
+  static async deriveSampleName(file) {
+    try {
+      const metadata = await AudioMetadataReader.read(file);
+      const name = metadata ? this.findNameInMetadata(metadata) : null;
+      if (name) {
+        return { name, origin: 'metadata' };
+      }
+    } catch (error) {
+      console.warn(`Could not read metadata from ${file.name}:`, error);
+    }
+
+    return { name: this.cleanFileName(file.name), origin: 'file name' };
+  }
+
+  /**
+   * Look for the original filename in the metadata text fields
+   * @param {Object} metadata - Metadata from AudioMetadataReader.read()
+   * @returns {string|null} Sample filename or null
+   */
+  static findNameInMetadata(metadata) {
+    const fields = [
+      metadata.info.INAM,
+      metadata.bext?.description,
+      metadata.bext?.originatorReference,
+      ...this.getIxmlTexts(metadata.ixml),
+      metadata.info.ICMT,
+      metadata.info.IKEY,
+      metadata.aiff?.name,
+      ...(metadata.aiff?.annotations || [])
+    ].filter(Boolean);
+
+    for (const field of fields) {
+      // Names stored in metadata are the real Splice names, so they are taken as they are
+      const match = field.match(this.FILE_NAME_PATTERN);
+      if (match) {
+        return match[1].trim();
+      }
+    }
+
+    // Titles without an extension count when they look like a Splice name
+    const title = [metadata.info.INAM, metadata.aiff?.name].find(value => value && this.SPLICE_NAME_PATTERN.test(value));
+    return title ? `${title}.wav` : null;
+  }
+
+  /**
+   * Get the text content of every iXML element
+   * @param {string|null} ixml - iXML document
+   * @returns {Array<string>} Element texts
+   */
+  static getIxmlTexts(ixml) {
+    if (!ixml) return [];
+
+    const doc = new DOMParser().parseFromString(ixml, 'application/xml');
+    if (doc.querySelector('parsererror')) return [];
+
+    return Array.from(doc.getElementsByTagName('*'))
+      .filter(element => element.children.length === 0)
+      .map(element => element.textContent.trim());
+  }
+
+  /**
+   * Strip DAW bounce and copy suffixes from a file name
+   * @param {string} fileName - File name
+   * @returns {string} Likely original Splice filename, always with a .wav extension
+   */
+  static cleanFileName(fileName) {
+    let name = ProjectImporter.stripExtension(ProjectImporter.getFileName(fileName)).trim();
+    let previous;
+
+    do {
+      previous = name;
+      for (const pattern of this.SUFFIX_PATTERNS) {
+        name = name.replace(pattern, '').trim();
+      }
+    } while (name !== previous && name.length > 0);
+
+    // Splice delivers samples as WAV, even when a DAW re-rendered them as AIFF
+    return `${name || previous}.wav`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FolderImporter;
+}
@@ -0,0 +1,137 @@
+/**
+ * DAW project importer for the Splice Chrome Extension
+ * Extracts Splice sample references from project files so they can be fed into a batch
+ */
+
+class ProjectImporter {
+  static parsers = [];
+
+  static AUDIO_EXTENSIONS = ['wav', 'aif', 'aiff', 'mp3', 'flac', 'ogg'];
+
+  /**
+   * Register a project file parser
+   * @param {Object} parser - Parser class with static `extensions`, `source` and `parse(file)`
+   */
+  static register(parser) {
+    this.parsers.push(parser);
+  }
+
+  /**
+   * Get the file extensions that can be imported
+   * @returns {Array<string>} Extensions including the leading dot
+   */
+  static getSupportedExtensions() {
+    return this.parsers.flatMap(parser => parser.extensions).map(ext => `.${ext}`);
+  }
+
+  /**
+   * Find the parser for a file
+   * @param {File} file - Project file
+   * @returns {Object|null} Parser or null if the format is not supported
+   */
+  static getParser(file) {
+    const extension = this.getExtension(file.name);
+    return this.parsers.find(parser => parser.extensions.includes(extension)) || null;
+  }
+
+  /**
+   * Import a project file
+   * @param {File} file - Project file
+   * @returns {Promise<Object>} { projectName, source, fileName, samples: [{ name, path }] }
+   */
+  static async importFile(file) {
+    const parser = this.getParser(file);
+    if (!parser) {
+      throw new Error(`Unsupported project file: ${file.name}`);
+    }
+
+    const paths = await parser.parse(file);
+    const samples = this.toSpliceSamples(paths);
+
+    return {
+      projectName: this.stripExtension(file.name),
+      source: parser.source,
+      fileName: file.name,
+      samples
+    };
+  }
+
+  /**
+   * Keep audio files under a Splice folder, without duplicates
+   * @param {Array<string>} paths - Referenced file paths
+   * @returns {Array<Object>} Samples, each { name, path }
+   */
+  static toSpliceSamples(paths) {
+    const seen = new Set();
+    const samples = [];
+
+    for (const path of paths) {
+      if (!path || !this.isAudioFile(path) || !this.isSplicePath(path)) continue;
+
+      const name = this.getFileName(path);
+      const key = name.toLowerCase();
+      if (seen.has(key)) continue;
+
+      seen.add(key);
+      samples.push({ name, path });
+    }
+
+    return samples;
+  }
+
+  /**
+   * Check if a path sits under a Splice samples folder
+   * Any directory whose name contains "splice" counts, which covers the default
+   * ~/Splice/sounds/packs layout as well as renamed folders like "Splice Samples"
+   * @param {string} path - File path
+   * @returns {boolean} True if the file came from Splice
+   */
+  static isSplicePath(path) {
+    const directories = path.split(/[\\/]/).slice(0, -1);
+    return directories.some(directory => directory.toLowerCase().includes('splice'));
+  }
+
+  /**
+   * Check if a path points to an audio file
+   * @param {string} path - File path
+   * @returns {boolean} True for supported audio extensions
+   */
+  static isAudioFile(path) {
+    return this.AUDIO_EXTENSIONS.includes(this.getExtension(path));
+  }
+
+  /**
+   * Get the file name from a path
+   * @param {string} path - File path using / or \ separators
+   * @returns {string} File name
+   */
+  static getFileName(path) {
+    return path.split(/[\\/]/).pop();
+  }
+
+  /**
+   * Get a lowercase file extension without the dot
+   * @param {string} name - File name or path
+   * @returns {string} Extension or an empty string
+   */
+  static getExtension(name) {
+    const fileName = this.getFileName(name);
+    const dot = fileName.lastIndexOf('.');
+    return dot === -1 ? '' : fileName.slice(dot + 1).toLowerCase();
+  }
+
+  /**
+   * Remove the extension from a file name
+   * @param {string} name - File name
+   * @returns {string} Name without extension
+   */
+  static stripExtension(name) {
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? name.slice(0, dot) : name;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProjectImporter;
+}
@@ -0,0 +1,37 @@
+/**
+ * REAPER project parser
+ * .rpp files are plain text; media items reference audio through FILE lines
+ * inside <SOURCE> blocks
+ */
+
+class ReaperProjectParser {
+  static extensions = ['rpp'];
+  static source = 'REAPER';
+
+  // REAPER quotes paths with ", ' or ` depending on which characters the path contains
+  static FILE_LINE = /^\s*FILE\s+(?:"([^"]*)"|'([^']*)'|`([^`]*)`|(\S+))/gm;
+
+  /**
+   * Extract referenced file paths from a REAPER project
+   * @param {File} file - .rpp project file
+   * @returns {Promise<Array<string>>} Referenced file paths
+   */
+  static async parse(file) {
+    const text = await file.text();
+
+    if (!text.trimStart().startsWith('<REAPER_PROJECT')) {
+      throw new Error('Not a REAPER project. Is it a valid .rpp file?');
+    }
+
+    return Array.from(text.matchAll(this.FILE_LINE))
+      .map(match => match[1] ?? match[2] ?? match[3] ?? match[4])
+      .filter(Boolean);
+  }
+}
+
+ProjectImporter.register(ReaperProjectParser);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ReaperProjectParser;
+}
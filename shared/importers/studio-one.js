@@ -0,0 +1,71 @@
+/**
+ * Studio One song parser
+ * .song files are ZIP archives of XML documents; the media pool and clips
+ * reference audio files through file:// URLs in url attributes
+ */
+
+class StudioOneProjectParser {
+  static extensions = ['song'];
+  static source = 'Studio One';
+
+  /**
+   * Extract referenced file paths from a Studio One song
+   * @param {File} file - .song project file
+   * @returns {Promise<Array<string>>} Referenced file paths
+   */
+  static async parse(file) {
+    const buffer = await file.arrayBuffer();
+
+    let entries;
+    try {
+      entries = ZipArchive.readEntries(buffer);
+    } catch (error) {
+      throw new Error('Could not open the Studio One song. Is it a valid .song file?');
+    }
+
+    const paths = [];
+
+    for (const entry of entries.filter(e => e.name.toLowerCase().endsWith('.xml'))) {
+      const xml = await ZipArchive.extractText(buffer, entry);
+      const doc = new DOMParser().parseFromString(xml, 'application/xml');
+
+      if (doc.querySelector('parsererror')) {
+        console.warn(`Skipping unreadable document in Studio One song: ${entry.name}`);
+        continue;
+      }
+
+      doc.querySelectorAll('[url]').forEach(element => {
+        const path = this.urlToPath(element.getAttribute('url'));
+        if (path) {
+          paths.push(path);
+        }
+      });
+    }
+
+    return paths;
+  }
+
+  /**
+   * Convert a file:// URL to a path
+   * @param {string} url - URL attribute value
+   * @returns {string|null} Decoded path, or null for non-file URLs
+   */
+  static urlToPath(url) {
+    if (!url || !url.toLowerCase().startsWith('file:')) {
+      return null;
+    }
+
+    try {
+      return decodeURIComponent(new URL(url).pathname);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+ProjectImporter.register(StudioOneProjectParser);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = StudioOneProjectParser;
+}
@@ -0,0 +1,179 @@
+/**
+ * License ledger for the Splice Chrome Extension
+ * Keeps a permanent IndexedDB history of every certificate the extension generates
+ */
+
+class LicenseLedger {
+  static STORE = 'licenses';
+
+  /**
+   * Record the samples covered by a generated certificate
+   * @param {Object} proofOfLicense - proofOfLicense payload returned by Splice
+   * @param {Array<Object>} samples - Samples covered, each { sampleName, assetUuid, project, pack }
+   * @param {Object} context - Extra details such as spliceUser, jobId, the license profile and verification
+   * @returns {Promise<Array<Object>>} Stored entries
+   */
+  static async recordCertificate(proofOfLicense, samples, context = {}) {
+    const record = proofOfLicense?.record || {};
+    const createdAt = Date.now();
+
+    const entries = samples.map(sample => ({
+      certificateUuid: record.uuid || null,
+      assetUuid: sample.assetUuid || null,
+      assetUuids: record.assetUuids || samples.map(s => s.assetUuid).filter(Boolean),
+      fullLegalName: record.fullLegalName || null,
+      artistName: record.artistName || null,
+      licenseIssued: record.licenseIssued || null,
+      downloadUrl: proofOfLicense?.downloadUrl || null,
+      sampleName: sample.sampleName,
+      project: sample.project || null,
+      pack: sample.pack || null,
+      spliceUser: context.spliceUser || null,
+      jobId: context.jobId || null,
+      profileId: context.profile?.id || null,
+      profileName: context.profile?.name || null,
+      companyName: context.profile?.companyName || null,
+      verification: context.verification || null,
+      savedPath: null,
+      createdAt
+    }));
+
+    await ExtensionDatabase.transaction(this.STORE, 'readwrite', async (tx) => {
+      const store = tx.objectStore(this.STORE);
+      for (const entry of entries) {
+        entry.id = await ExtensionDatabase.promisify(store.add(entry));
+      }
+    });
+
+    return entries;
+  }
+
+  /**
+   * Record where a certificate was saved on disk
+   * @param {string} certificateUuid - Certificate UUID
+   * @param {string} savedPath - Full path of the saved file
+   * @returns {Promise<number>} Number of entries updated
+   */
+  static async setSavedPath(certificateUuid, savedPath) {
+    return this.updateCertificate(certificateUuid, { savedPath });
+  }
+
+  /**
+   * Record the result of checking a certificate PDF
+   * Certificates are recorded as soon as Splice issues them and checked afterwards
+   * @param {string} certificateUuid - Certificate UUID
+   * @param {Object} verification - Result from CertificateVerifier
+   * @returns {Promise<number>} Number of entries updated
+   */
+  static async setVerification(certificateUuid, verification) {
+    return this.updateCertificate(certificateUuid, { verification });
+  }
+
+  /**
+   * Change every entry of a certificate
+   * @param {string} certificateUuid - Certificate UUID
+   * @param {Object} changes - Fields to set
+   * @returns {Promise<number>} Number of entries updated
+   */
+  static async updateCertificate(certificateUuid, changes) {
+    return ExtensionDatabase.transaction(this.STORE, 'readwrite', async (tx) => {
+      const store = tx.objectStore(this.STORE);
+      const entries = await ExtensionDatabase.promisify(
+        store.index('certificateUuid').getAll(certificateUuid)
+      );
+
+      await Promise.all(entries.map(entry =>
+        ExtensionDatabase.promisify(store.put({ ...entry, ...changes }))
+      ));
+
+      return entries.length;
+    });
+  }
+
+  /**
+   * Get every ledger entry
+   * @returns {Promise<Array<Object>>} Ledger entries, oldest first
+   */
+  static async getAll() {
+    return ExtensionDatabase.transaction(this.STORE, 'readonly', (tx) =>
+      ExtensionDatabase.promisify(tx.objectStore(this.STORE).index('createdAt').getAll())
+    );
+  }
+
+  /**
+   * Find the most recent certificate already issued for a sample
+   * @param {Object} sample - Sample to look up
+   * @param {Array<string>} sample.assetUuids - UUIDs Splice knows the sample by (object and asset UUID);
+   *   when any is given, only certificates for those count
+   * @param {string} sample.sampleName - Sample name, used only when no UUID is known, since
+   *   samples from different packs can share a name
+   * @returns {Promise<Object|null>} Latest matching entry or null
+   */
+  static async findExisting({ assetUuids = [], sampleName } = {}) {
+    return ExtensionDatabase.transaction(this.STORE, 'readonly', async (tx) => {
+      const store = tx.objectStore(this.STORE);
+      const uuids = [...new Set(assetUuids.filter(Boolean))];
+      let matches = [];
+
+      if (uuids.length > 0) {
+        for (const uuid of uuids) {
+          matches.push(...await ExtensionDatabase.promisify(store.index('assetUuid').getAll(uuid)));
+        }
+      } else if (sampleName) {
+        matches = await ExtensionDatabase.promisify(store.index('sampleName').getAll(sampleName));
+      }
+
+      if (matches.length === 0) {
+        return null;
+      }
+
+      return matches.reduce((latest, entry) => entry.createdAt > latest.createdAt ? entry : latest);
+    });
+  }
+
+  /**
+   * Search and sort ledger entries
+   * @param {Object} options - Search options
+   * @param {string} options.query - Text matched against names, projects, profiles, UUIDs, users and check status
+   * @param {string} options.sortBy - Entry field to sort by
+   * @param {string} options.sortDirection - 'asc' or 'desc'
+   * @returns {Promise<Array<Object>>} Matching entries
+   */
+  static async search({ query = '', sortBy = 'createdAt', sortDirection = 'desc' } = {}) {
+    const entries = await this.getAll();
+    const needle = query.trim().toLowerCase();
+
+    const filtered = needle
+      ? entries.filter(entry => [
+        entry.sampleName,
+        entry.project,
+        entry.profileName,
+        entry.companyName,
+        entry.artistName,
+        entry.fullLegalName,
+        entry.certificateUuid,
+        entry.assetUuid,
+        entry.spliceUser,
+        entry.verification?.status
+      ].some(value => value && String(value).toLowerCase().includes(needle)))
+      : entries;
+
+    const direction = sortDirection === 'asc' ? 1 : -1;
+
+    return filtered.sort((a, b) => {
+      const left = a[sortBy] ?? '';
+      const right = b[sortBy] ?? '';
+
+      if (typeof left === 'number' && typeof right === 'number') {
+        return (left - right) * direction;
+      }
+
+      return String(left).localeCompare(String(right), undefined, { numeric: true }) * direction;
+    });
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = LicenseLedger;
+}
@@ -0,0 +1,751 @@
+/**
+ * PDF text extraction for the Splice Chrome Extension
+ * Reads enough of a PDF to recover the text drawn on its pages: indirect objects
+ * and object streams, FlateDecode streams (via DecompressionStream), the page tree,
+ * font ToUnicode CMaps and the Tj/TJ text operators
+ */
+
+class PdfTextExtractor {
+  // Nested form XObjects deeper than this are ignored
+  static MAX_FORM_DEPTH = 5;
+
+  // A TJ adjustment this far left (thousandths of an em) is treated as a word space
+  static WORD_SPACE_ADJUSTMENT = -200;
+
+  static DELIMITERS = '()<>[]{}/%';
+
+  /**
+   * Extract the text of every page
+   * @param {ArrayBuffer|Uint8Array} data - PDF file contents
+   * @returns {Promise<string>} Page text, pages separated by blank lines
+   */
+  static async extractText(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+    if (this.toBinaryString(bytes.subarray(0, 5)) !== '%PDF-') {
+      throw new Error('Not a PDF file');
+    }
+
+    const objects = await this.readObjects(bytes);
+    const pages = this.findPages(objects);
+    const texts = [];
+
+    for (const page of pages) {
+      texts.push(await this.extractPageText(page, objects));
+    }
+
+    return texts.join('\n\n');
+  }
+
+  /**
+   * Read every indirect object, including those packed in object streams
+   * Later definitions win, so incremental updates replace earlier objects
+   * @param {Uint8Array} bytes - PDF file contents
+   * @returns {Promise<Map<number, Object>>} Objects by number, each { source, stream }
+   */
+  static async readObjects(bytes) {
+    const text = this.toBinaryString(bytes);
+    const objects = new Map();
+
+    if (/\/Encrypt\s+\d+\s+\d+\s+R/.test(text)) {
+      throw new Error('Encrypted PDFs are not supported');
+    }
+
+    const pattern = /(\d+)\s+(\d+)\s+obj\b/g;
+    let match;
+
+    while ((match = pattern.exec(text))) {
+      const start = match.index + match[0].length;
+      const end = text.indexOf('endobj', start);
+      if (end === -1) {
+        break;
+      }
+
+      objects.set(parseInt(match[1], 10), this.readObjectBody(bytes, text, start, end));
+      pattern.lastIndex = end;
+    }
+
+    for (const object of [...objects.values()]) {
+      if (/\/Type\s*\/ObjStm\b/.test(object.source)) {
+        await this.readObjectStream(object, objects);
+      }
+    }
+
+    return objects;
+  }
+
+  /**
+   * Split an object body into its dictionary source and raw stream bytes
+   * @param {Uint8Array} bytes - PDF file contents
+   * @param {string} text - The same contents as a binary string
+   * @param {number} start - Offset just after "obj"
+   * @param {number} end - Offset of "endobj"
+   * @returns {Object} { source, stream } where stream is null for non-stream objects
+   */
+  static readObjectBody(bytes, text, start, end) {
+    const body = text.slice(start, end);
+    const keyword = /\bstream(\r\n|\n|\r)/.exec(body);
+
+    if (!keyword) {
+      return { source: body, stream: null };
+    }
+
+    const source = body.slice(0, keyword.index);
+    const dataStart = start + keyword.index + keyword[0].length;
+    const length = /\/Length\s+(\d+)(?!\s+\d+\s+R)/.exec(source);
+    let dataEnd = text.lastIndexOf('endstream', end);
+
+    // Trust a direct /Length; an indirect one is only known once every object is read
+    if (length && dataStart + parseInt(length[1], 10) <= dataEnd) {
+      dataEnd = dataStart + parseInt(length[1], 10);
+    } else if (text[dataEnd - 1] === '\n') {
+      dataEnd -= text[dataEnd - 2] === '\r' ? 2 : 1;
+    } else if (text[dataEnd - 1] === '\r') {
+      dataEnd -= 1;
+    }
+
+    return { source, stream: { raw: bytes.subarray(dataStart, dataEnd), decoded: null } };
+  }
+
+  /**
+   * Add the objects packed in an object stream
+   * @param {Object} object - Object stream
+   * @param {Map<number, Object>} objects - Objects read so far
+   */
+  static async readObjectStream(object, objects) {
+    const content = await this.decodeStream(object);
+    if (!content) {
+      return;
+    }
+
+    const dict = this.parseDict(object.source);
+    const count = parseInt(dict.N, 10);
+    const first = parseInt(dict.First, 10);
+    const header = this.toBinaryString(content.subarray(0, first)).trim().split(/\s+/).map(Number);
+    const text = this.toBinaryString(content);
+
+    for (let i = 0; i < count; i++) {
+      const number = header[i * 2];
+      const start = first + header[i * 2 + 1];
+      const end = i + 1 < count ? first + header[i * 2 + 3] : text.length;
+
+      // Objects written directly in the file take precedence over packed copies
+      if (!objects.has(number)) {
+        objects.set(number, { source: text.slice(start, end), stream: null });
+      }
+    }
+  }
+
+  /**
+   * Decode a stream's data
+   * @param {Object} object - Object with a stream
+   * @returns {Promise<Uint8Array|null>} Decoded bytes, or null for unsupported filters
+   */
+  static async decodeStream(object) {
+    if (!object?.stream) {
+      return null;
+    }
+
+    if (!object.stream.decoded) {
+      const filter = this.parseDict(object.source).Filter || '';
+      const filters = filter.match(/\/[^\s/[\]]+/g) || [];
+
+      if (filters.length === 0) {
+        object.stream.decoded = object.stream.raw;
+      } else if (filters.length === 1 && filters[0] === '/FlateDecode') {
+        object.stream.decoded = await this.inflate(object.stream.raw);
+      } else {
+        // Images and other encodings carry no text
+        return null;
+      }
+    }
+
+    return object.stream.decoded;
+  }
+
+  /**
+   * Inflate zlib data
+   * Producers often leave stray bytes after the compressed data, so whatever
+   * inflated before an error is kept
+   * @param {Uint8Array} data - zlib-wrapped deflate data
+   * @returns {Promise<Uint8Array>} Inflated bytes
+   */
+  static async inflate(data) {
+    const reader = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate')).getReader();
+    const chunks = [];
+
+    try {
+      for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+      }
+    } catch (error) {
+      if (chunks.length === 0) {
+        throw error;
+      }
+    }
+
+    const output = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+      output.set(chunk, offset);
+      offset += chunk.length;
+    });
+    return output;
+  }
+
+  /**
+   * List pages in reading order with their inherited resources
+   * @param {Map<number, Object>} objects - PDF objects
+   * @returns {Array<Object>} Pages, each { dict, resources }
+   */
+  static findPages(objects) {
+    const catalog = [...objects.values()].find(object => /\/Type\s*\/Catalog\b/.test(object.source));
+    const pages = [];
+    const visited = new Set();
+
+    const walk = (value, inheritedResources) => {
+      const ref = this.parseRef(value);
+      if (ref !== null) {
+        if (visited.has(ref)) return;
+        visited.add(ref);
+      }
+
+      const dict = this.parseDict(this.resolve(value, objects));
+      const resources = dict.Resources || inheritedResources;
+
+      if (dict.Type === '/Pages') {
+        this.parseArray(dict.Kids).forEach(kid => walk(kid, resources));
+      } else if (dict.Type === '/Page') {
+        pages.push({ dict, resources });
+      }
+    };
+
+    if (catalog) {
+      walk(this.parseDict(catalog.source).Pages, null);
+    }
+
+    // Without a usable page tree, fall back to every page object in file order
+    if (pages.length === 0) {
+      [...objects.entries()]
+        .sort(([a], [b]) => a - b)
+        .forEach(([, object]) => {
+          const dict = this.parseDict(object.source);
+          if (dict.Type === '/Page') {
+            pages.push({ dict, resources: dict.Resources || null });
+          }
+        });
+    }
+
+    return pages;
+  }
+
+  /**
+   * Extract the text of one page
+   * @param {Object} page - Page from findPages()
+   * @param {Map<number, Object>} objects - PDF objects
+   * @returns {Promise<string>} Page text
+   */
+  static async extractPageText(page, objects) {
+    const contents = page.dict.Contents || '';
+    const refs = contents.trim().startsWith('[') ? this.parseArray(contents) : [contents];
+    const parts = [];
+
+    for (const ref of refs) {
+      const data = await this.decodeStream(objects.get(this.parseRef(ref)));
+      if (data) {
+        parts.push(this.toBinaryString(data));
+      }
+    }
+
+    // Content streams split across objects are one stream joined by whitespace
+    return this.extractContentText(parts.join('\n'), page.resources, objects, 0);
+  }
+
+  /**
+   * Run the text operators of a content stream
+   * @param {string} content - Decoded content stream as a binary string
+   * @param {string|null} resourcesValue - Resources dictionary or reference
+   * @param {Map<number, Object>} objects - PDF objects
+   * @param {number} depth - Form XObject nesting depth
+   * @returns {Promise<string>} Text drawn by the stream
+   */
+  static async extractContentText(content, resourcesValue, objects, depth) {
+    const resources = this.parseDict(this.resolve(resourcesValue, objects));
+    const fonts = this.parseDict(this.resolve(resources.Font, objects));
+    const xObjects = this.parseDict(this.resolve(resources.XObject, objects));
+    const fontCache = new Map();
+    let font = null;
+    let text = '';
+
+    const show = (bytes) => {
+      text += this.decodeText(bytes, font);
+    };
+
+    const newLine = () => {
+      if (text && !text.endsWith('\n')) {
+        text += '\n';
+      }
+    };
+
+    for (const { operator, operands } of this.tokenizeContent(content)) {
+      switch (operator) {
+        case 'Tf': {
+          const name = String(operands[0] || '').slice(1);
+          if (!fontCache.has(name)) {
+            fontCache.set(name, await this.loadFont(fonts[name], objects));
+          }
+          font = fontCache.get(name);
+          break;
+        }
+        case 'Tj':
+          show(operands[0]);
+          break;
+        case '\'':
+          newLine();
+          show(operands[0]);
+          break;
+        case '"':
+          newLine();
+          show(operands[2]);
+          break;
+        case 'TJ':
+          (operands[0] || []).forEach(part => {
+            if (typeof part === 'number') {
+              if (part <= this.WORD_SPACE_ADJUSTMENT && !text.endsWith(' ')) {
+                text += ' ';
+              }
+            } else {
+              show(part);
+            }
+          });
+          break;
+        case 'Td':
+        case 'TD':
+          if (operands[1] !== 0) {
+            newLine();
+          } else if (!text.endsWith(' ')) {
+            text += ' ';
+          }
+          break;
+        case 'T*':
+        case 'Tm':
+        case 'ET':
+          newLine();
+          break;
+        case 'Do': {
+          const name = String(operands[0] || '').slice(1);
+          const form = objects.get(this.parseRef(xObjects[name]));
+          if (form && depth < this.MAX_FORM_DEPTH && /\/Subtype\s*\/Form\b/.test(form.source)) {
+            const data = await this.decodeStream(form);
+            if (data) {
+              const formResources = this.parseDict(form.source).Resources || resourcesValue;
+              newLine();
+              text += await this.extractContentText(this.toBinaryString(data), formResources, objects, depth + 1);
+              newLine();
+            }
+          }
+          break;
+        }
+      }
+    }
+
+    return text;
+  }
+
+  /**
+   * Split a content stream into operators and their operands
+   * Strings become Uint8Arrays, numbers become numbers, names keep their slash
+   * @param {string} content - Content stream as a binary string
+   * @returns {Array<Object>} Operations, each { operator, operands }
+   */
+  static tokenizeContent(content) {
+    const operations = [];
+    const stack = [[]];
+    let i = 0;
+
+    const push = (value) => stack[stack.length - 1].push(value);
+
+    while (i < content.length) {
+      const char = content[i];
+
+      if (/\s/.test(char)) {
+        i++;
+      } else if (char === '%') {
+        while (i < content.length && content[i] !== '\n' && content[i] !== '\r') i++;
+      } else if (char === '(') {
+        const end = this.literalStringEnd(content, i);
+        push(this.decodeLiteralString(content.slice(i + 1, end - 1)));
+        i = end;
+      } else if (content.startsWith('<<', i)) {
+        // Inline dictionaries (marked content properties) carry no text
+        i = this.valueEnd(content, i);
+        push(null);
+      } else if (char === '<') {
+        const end = content.indexOf('>', i);
+        push(this.decodeHexString(content.slice(i + 1, end === -1 ? content.length : end)));
+        i = end === -1 ? content.length : end + 1;
+      } else if (char === '[') {
+        stack.push([]);
+        i++;
+      } else if (char === ']') {
+        const array = stack.length > 1 ? stack.pop() : [];
+        push(array);
+        i++;
+      } else if (char === '/') {
+        const end = this.tokenEnd(content, i + 1);
+        push(content.slice(i, end));
+        i = end;
+      } else {
+        const end = this.tokenEnd(content, i + 1);
+        const token = content.slice(i, end);
+        i = end;
+
+        if (/^[+-]?(\d+\.?\d*|\.\d+)$/.test(token)) {
+          push(parseFloat(token));
+        } else if (token === 'BI') {
+          // Skip inline image data
+          const imageEnd = content.indexOf('EI', i);
+          i = imageEnd === -1 ? content.length : imageEnd + 2;
+          stack.length = 1;
+          stack[0] = [];
+        } else {
+          operations.push({ operator: token, operands: stack[0] });
+          stack.length = 1;
+          stack[0] = [];
+        }
+      }
+    }
+
+    return operations;
+  }
+
+  /**
+   * Load a font's ToUnicode CMap
+   * @param {string} value - Font dictionary or reference
+   * @param {Map<number, Object>} objects - PDF objects
+   * @returns {Promise<Object|null>} { codeLength, map } or null if the font has no CMap
+   */
+  static async loadFont(value, objects) {
+    const dict = this.parseDict(this.resolve(value, objects));
+    const cmap = objects.get(this.parseRef(dict.ToUnicode));
+    const data = await this.decodeStream(cmap);
+
+    return data ? this.parseCMap(this.toBinaryString(data)) : null;
+  }
+
+  /**
+   * Parse the bfchar and bfrange mappings of a ToUnicode CMap
+   * @param {string} source - CMap program
+   * @returns {Object} { codeLength, map } where map goes from character code to text
+   */
+  static parseCMap(source) {
+    const map = new Map();
+    const codespace = /begincodespacerange\s*<([0-9a-fA-F]+)>/.exec(source);
+    const codeLength = codespace ? Math.max(1, Math.ceil(codespace[1].length / 2)) : 1;
+
+    const hexToText = (hex) => {
+      const bytes = this.decodeHexString(hex);
+      let text = '';
+      for (let i = 0; i + 1 < bytes.length; i += 2) {
+        text += String.fromCharCode((bytes[i] << 8) | bytes[i + 1]);
+      }
+      return text;
+    };
+
+    for (const block of source.matchAll(/beginbfchar([\s\S]*?)endbfchar/g)) {
+      for (const [, code, target] of block[1].matchAll(/<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]*)>/g)) {
+        map.set(parseInt(code, 16), hexToText(target));
+      }
+    }
+
+    for (const block of source.matchAll(/beginbfrange([\s\S]*?)endbfrange/g)) {
+      const pattern = /<([0-9a-fA-F]+)>\s*<([0-9a-fA-F]+)>\s*(?:<([0-9a-fA-F]*)>|\[([^\]]*)\])/g;
+
+      for (const [, startHex, endHex, target, targets] of block[1].matchAll(pattern)) {
+        const start = parseInt(startHex, 16);
+        const end = parseInt(endHex, 16);
+
+        if (targets !== undefined) {
+          const list = [...targets.matchAll(/<([0-9a-fA-F]*)>/g)].map(([, hex]) => hexToText(hex));
+          list.forEach((text, offset) => map.set(start + offset, text));
+        } else {
+          // Consecutive codes map to consecutive values of the last UTF-16 unit
+          const base = hexToText(target);
+          for (let code = start; code <= end && code - start < 0x10000; code++) {
+            const last = base.charCodeAt(base.length - 1) + (code - start);
+            map.set(code, base.slice(0, -1) + String.fromCharCode(last));
+          }
+        }
+      }
+    }
+
+    return { codeLength, map };
+  }
+
+  /**
+   * Turn the bytes of a shown string into text
+   * Fonts without a CMap are read as single-byte Latin text, which covers the
+   * standard encodings for the letters and digits that matter here
+   * @param {Uint8Array} bytes - String operand
+   * @param {Object|null} font - Font from loadFont()
+   * @returns {string} Text
+   */
+  static decodeText(bytes, font) {
+    if (!(bytes instanceof Uint8Array)) {
+      return '';
+    }
+
+    if (!font) {
+      return this.toBinaryString(bytes);
+    }
+
+    let text = '';
+    for (let i = 0; i + font.codeLength <= bytes.length; i += font.codeLength) {
+      let code = 0;
+      for (let j = 0; j < font.codeLength; j++) {
+        code = (code << 8) | bytes[i + j];
+      }
+      text += font.map.has(code) ? font.map.get(code) : '';
+    }
+    return text;
+  }
+
+  /**
+   * Parse the top-level entries of a dictionary
+   * @param {string|null} source - Text starting with or containing a dictionary
+   * @returns {Object} Raw value source by key (without the slash)
+   */
+  static parseDict(source) {
+    const entries = {};
+    const start = source ? source.indexOf('<<') : -1;
+    if (start === -1) {
+      return entries;
+    }
+
+    let i = start + 2;
+    while (i < source.length) {
+      while (i < source.length && /\s/.test(source[i])) i++;
+      if (i >= source.length || source.startsWith('>>', i)) break;
+
+      if (source[i] !== '/') {
+        i = this.valueEnd(source, i);
+        continue;
+      }
+
+      const keyEnd = this.tokenEnd(source, i + 1);
+      const key = source.slice(i + 1, keyEnd);
+      i = keyEnd;
+      while (i < source.length && /\s/.test(source[i])) i++;
+
+      const end = this.valueEnd(source, i);
+      entries[key] = source.slice(i, end).trim();
+      i = end;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Split an array into its raw element sources
+   * @param {string} source - Array source such as "[3 0 R 7 0 R]"
+   * @returns {Array<string>} Elements
+   */
+  static parseArray(source) {
+    const elements = [];
+    if (!source || !source.trim().startsWith('[')) {
+      return elements;
+    }
+
+    const body = source.trim();
+    let i = 1;
+    while (i < body.length) {
+      while (i < body.length && /\s/.test(body[i])) i++;
+      if (i >= body.length || body[i] === ']') break;
+
+      const end = this.valueEnd(body, i);
+      elements.push(body.slice(i, end).trim());
+      i = end;
+    }
+
+    return elements;
+  }
+
+  /**
+   * Find where the value starting at an offset ends
+   * @param {string} source - Source text
+   * @param {number} i - Offset of the value
+   * @returns {number} Offset just past the value
+   */
+  static valueEnd(source, i) {
+    const ref = /\d+\s+\d+\s+R\b/y;
+    ref.lastIndex = i;
+    if (ref.test(source)) {
+      return ref.lastIndex;
+    }
+
+    if (source.startsWith('<<', i) || source[i] === '[') {
+      let depth = 0;
+      while (i < source.length) {
+        if (source.startsWith('<<', i)) {
+          depth++;
+          i += 2;
+        } else if (source.startsWith('>>', i)) {
+          depth--;
+          i += 2;
+        } else if (source[i] === '[') {
+          depth++;
+          i++;
+        } else if (source[i] === ']') {
+          depth--;
+          i++;
+        } else if (source[i] === '(') {
+          i = this.literalStringEnd(source, i);
+        } else {
+          i++;
+        }
+        if (depth === 0) break;
+      }
+      return i;
+    }
+
+    if (source[i] === '(') {
+      return this.literalStringEnd(source, i);
+    }
+
+    if (source[i] === '<') {
+      const end = source.indexOf('>', i);
+      return end === -1 ? source.length : end + 1;
+    }
+
+    return this.tokenEnd(source, i + 1);
+  }
+
+  /**
+   * Find the end of a name, number or operator
+   * @param {string} source - Source text
+   * @param {number} i - Offset just after the token's first character
+   * @returns {number} Offset just past the token
+   */
+  static tokenEnd(source, i) {
+    while (i < source.length && !/\s/.test(source[i]) && !this.DELIMITERS.includes(source[i])) {
+      i++;
+    }
+    return i;
+  }
+
+  /**
+   * Find the end of a literal string, allowing balanced and escaped parentheses
+   * @param {string} source - Source text
+   * @param {number} i - Offset of the opening parenthesis
+   * @returns {number} Offset just past the closing parenthesis
+   */
+  static literalStringEnd(source, i) {
+    let depth = 0;
+    for (; i < source.length; i++) {
+      if (source[i] === '\\') {
+        i++;
+      } else if (source[i] === '(') {
+        depth++;
+      } else if (source[i] === ')') {
+        depth--;
+        if (depth === 0) return i + 1;
+      }
+    }
+    return source.length;
+  }
+
+  /**
+   * Decode the escapes of a literal string body
+   * @param {string} body - String contents without the outer parentheses
+   * @returns {Uint8Array} String bytes
+   */
+  static decodeLiteralString(body) {
+    const escapes = { n: 10, r: 13, t: 9, b: 8, f: 12 };
+    const bytes = [];
+
+    for (let i = 0; i < body.length; i++) {
+      if (body[i] !== '\\') {
+        bytes.push(body.charCodeAt(i) & 0xff);
+        continue;
+      }
+
+      const next = body[++i];
+      if (next in escapes) {
+        bytes.push(escapes[next]);
+      } else if (/[0-7]/.test(next)) {
+        const octal = /^[0-7]{1,3}/.exec(body.slice(i))[0];
+        bytes.push(parseInt(octal, 8) & 0xff);
+        i += octal.length - 1;
+      } else if (next === '\r') {
+        // Line continuation
+        if (body[i + 1] === '\n') i++;
+      } else if (next !== '\n' && next !== undefined) {
+        bytes.push(next.charCodeAt(0) & 0xff);
+      }
+    }
+
+    return new Uint8Array(bytes);
+  }
+
+  /**
+   * Decode a hex string body
+   * @param {string} hex - Hex digits, possibly with whitespace
+   * @returns {Uint8Array} String bytes
+   */
+  static decodeHexString(hex) {
+    const digits = hex.replace(/[^0-9a-fA-F]/g, '');
+    // An odd final digit is followed by an implied 0
+    const padded = digits.length % 2 ? `${digits}0` : digits;
+    const bytes = new Uint8Array(padded.length / 2);
+
+    for (let i = 0; i < bytes.length; i++) {
+      bytes[i] = parseInt(padded.substr(i * 2, 2), 16);
+    }
+    return bytes;
+  }
+
+  /**
+   * Get the object number of a reference
+   * @param {string} value - Value such as "12 0 R"
+   * @returns {number|null} Object number, or null if the value is not a reference
+   */
+  static parseRef(value) {
+    const match = /^\s*(\d+)\s+\d+\s+R\s*$/.exec(value || '');
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Follow a reference to its object source
+   * @param {string|null} value - Inline value or reference
+   * @param {Map<number, Object>} objects - PDF objects
+   * @returns {string|null} Object source, or the inline value
+   */
+  static resolve(value, objects) {
+    const ref = this.parseRef(value);
+    if (ref === null) {
+      return value || null;
+    }
+    return objects.get(ref)?.source || null;
+  }
+
+  /**
+   * Read bytes as a string with one character per byte
+   * @param {Uint8Array} bytes - Bytes
+   * @returns {string} Binary string
+   */
+  static toBinaryString(bytes) {
+    let text = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < bytes.length; i += chunkSize) {
+      text += String.fromCharCode.apply(null, bytes.subarray(i, i + chunkSize));
+    }
+    return text;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = PdfTextExtractor;
+}
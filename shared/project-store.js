@@ -0,0 +1,284 @@
+/**
+ * Projects for the Splice Chrome Extension
+ * A project is a track or release with a release date, the license profile it is
+ * cleared under and the samples it uses. Coverage is worked out from the license
+ * ledger and the batch queue rather than stored, so it is never out of date.
+ */
+
+class ProjectStore {
+  static STORE = 'projects';
+  static PENDING_STATUSES = ['pending', 'resolved', 'awaiting_input', 'issuing'];
+
+  /**
+   * Get every project
+   * @returns {Promise<Array<Object>>} Projects, most recently updated first
+   */
+  static async getAll() {
+    const projects = await ExtensionDatabase.transaction(this.STORE, 'readonly', (tx) =>
+      ExtensionDatabase.promisify(tx.objectStore(this.STORE).index('updatedAt').getAll())
+    );
+    return projects.reverse();
+  }
+
+  /**
+   * Get a project
+   * @param {string} id - Project ID
+   * @returns {Promise<Object|null>} Project or null
+   */
+  static async get(id) {
+    if (!id) {
+      return null;
+    }
+
+    const project = await ExtensionDatabase.transaction(this.STORE, 'readonly', (tx) =>
+      ExtensionDatabase.promisify(tx.objectStore(this.STORE).get(id))
+    );
+    return project || null;
+  }
+
+  /**
+   * Find a project by name, ignoring case
+   * @param {string} name - Project name
+   * @returns {Promise<Object|null>} Project or null
+   */
+  static async findByName(name) {
+    const key = this.normalizeName(name);
+    const projects = await this.getAll();
+    return projects.find(project => this.normalizeName(project.name) === key) || null;
+  }
+
+  /**
+   * Create or update a project
+   * @param {Object} data - { id, name, releaseDate, profileId, samples }; an existing id updates that project
+   * @returns {Promise<Object>} Saved project
+   */
+  static async save(data) {
+    const name = String(data.name || '').trim();
+    const releaseDate = data.releaseDate || null;
+
+    if (!name) {
+      throw new Error('Project name is required');
+    }
+    if (releaseDate && !/^\d{4}-\d{2}-\d{2}$/.test(releaseDate)) {
+      throw new Error('Release date must be a date such as 2024-05-01');
+    }
+
+    const existing = await this.get(data.id);
+    const sameName = await this.findByName(name);
+    if (sameName && sameName.id !== data.id) {
+      throw new Error(`A project named "${sameName.name}" already exists`);
+    }
+
+    const now = Date.now();
+    const project = {
+      id: existing?.id || crypto.randomUUID(),
+      name,
+      releaseDate,
+      profileId: data.profileId || null,
+      samples: this.mergeSamples([], data.samples || existing?.samples || []),
+      createdAt: existing?.createdAt || now,
+      updatedAt: now
+    };
+
+    await ExtensionDatabase.transaction(this.STORE, 'readwrite', (tx) =>
+      ExtensionDatabase.promisify(tx.objectStore(this.STORE).put(project))
+    );
+
+    return project;
+  }
+
+  /**
+   * Delete a project
+   * Licenses already issued for its samples stay in the ledger
+   * @param {string} id - Project ID
+   */
+  static async delete(id) {
+    await ExtensionDatabase.transaction(this.STORE, 'readwrite', (tx) =>
+      ExtensionDatabase.promisify(tx.objectStore(this.STORE).delete(id))
+    );
+  }
+
+  /**
+   * Add samples to a project, ignoring names it already has
+   * @param {string} id - Project ID
+   * @param {Array<Object>} samples - Samples, each { name, assetUuid, source, origin }
+   * @returns {Promise<Object>} { project, added }
+   */
+  static async addSamples(id, samples) {
+    const project = await this.get(id);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const before = project.samples.length;
+    const saved = await this.save({ ...project, samples: this.mergeSamples(project.samples, samples) });
+    return { project: saved, added: saved.samples.length - before };
+  }
+
+  /**
+   * Remove a sample from a project
+   * @param {string} id - Project ID
+   * @param {string} sampleName - Sample name
+   * @returns {Promise<Object>} Saved project
+   */
+  static async removeSample(id, sampleName) {
+    const project = await this.get(id);
+    if (!project) {
+      throw new Error('Project not found');
+    }
+
+    const key = this.normalizeName(sampleName);
+    return this.save({
+      ...project,
+      samples: project.samples.filter(sample => this.normalizeName(sample.name) !== key)
+    });
+  }
+
+  /**
+   * Append samples to a list, skipping blank and repeated names
+   * @param {Array<Object>} current - Samples already in the project
+   * @param {Array<Object|string>} samples - Samples to add, or plain names typed in by the user
+   * @returns {Array<Object>} Combined samples
+   */
+  static mergeSamples(current, samples) {
+    const seen = new Set(current.map(sample => this.normalizeName(sample.name)));
+    const merged = [...current];
+
+    samples.forEach(entry => {
+      const sample = typeof entry === 'string' ? { name: entry } : entry;
+      const name = String(sample.name || '').trim();
+      const key = this.normalizeName(name);
+      if (!name || seen.has(key)) return;
+
+      seen.add(key);
+      merged.push({
+        name,
+        assetUuid: sample.assetUuid || null,
+        source: sample.source || 'manual',
+        origin: sample.origin || null
+      });
+    });
+
+    return merged;
+  }
+
+  /**
+   * Work out which samples of a project are licensed, pending or failed
+   * A sample counts as licensed when the ledger holds a certificate for it from any batch.
+   * Otherwise the newest batch that included it decides: still queued is pending, and a
+   * finished attempt that returned an error is failed.
+   * @param {Object} project - Project
+   * @param {Object} sources - Data to reuse when working out several projects
+   * @param {Array<Object>} sources.entries - Ledger entries
+   * @param {Array<Object>} sources.jobs - Batch jobs
+   * @returns {Promise<Object>} { samples, counts, total, percent } where each sample gains
+   *   status ('licensed', 'pending', 'failed' or 'unlicensed'), certificateUuid, downloadUrl and error
+   */
+  static async getCoverage(project, { entries = null, jobs = null } = {}) {
+    const ledger = entries || await LicenseLedger.getAll();
+    const batches = jobs || await this.getJobs();
+
+    const licensedByName = new Map();
+    const licensedByUuid = new Map();
+    ledger.forEach(entry => {
+      if (entry.sampleName) licensedByName.set(this.normalizeName(entry.sampleName), entry);
+      if (entry.assetUuid) licensedByUuid.set(entry.assetUuid, entry);
+    });
+
+    // Later batches override earlier ones
+    const attempts = new Map();
+    [...batches].sort((a, b) => a.createdAt - b.createdAt).forEach(job => {
+      const finished = job.status === 'completed' || job.status === 'cancelled';
+
+      job.items.forEach(item => {
+        const key = this.normalizeName(item.sample);
+        if (!finished && this.PENDING_STATUSES.includes(item.status)) {
+          attempts.set(key, { status: 'pending', jobId: job.id });
+        } else if (item.status === 'done' && item.result && !item.result.success) {
+          attempts.set(key, { status: 'failed', jobId: job.id, error: item.result.error || 'License generation failed' });
+        } else if (item.status === 'done' && item.result) {
+          attempts.set(key, {
+            status: 'licensed',
+            jobId: job.id,
+            certificateUuid: item.result.certificateUuid || item.result.existing?.certificateUuid || null,
+            downloadUrl: item.result.downloadUrl || item.result.existing?.downloadUrl || null
+          });
+        }
+      });
+    });
+
+    const samples = project.samples.map(sample => {
+      const key = this.normalizeName(sample.name);
+      const entry = (sample.assetUuid && licensedByUuid.get(sample.assetUuid)) || licensedByName.get(key);
+
+      if (entry) {
+        return {
+          ...sample,
+          status: 'licensed',
+          certificateUuid: entry.certificateUuid || null,
+          downloadUrl: entry.downloadUrl || null,
+          licensedAt: entry.licenseIssued || entry.createdAt,
+          error: null
+        };
+      }
+
+      const attempt = attempts.get(key);
+      return {
+        ...sample,
+        status: attempt?.status || 'unlicensed',
+        certificateUuid: attempt?.certificateUuid || null,
+        downloadUrl: attempt?.downloadUrl || null,
+        licensedAt: null,
+        error: attempt?.error || null
+      };
+    });
+
+    const counts = { licensed: 0, pending: 0, failed: 0, unlicensed: 0 };
+    samples.forEach(sample => counts[sample.status]++);
+
+    return {
+      samples,
+      counts,
+      total: samples.length,
+      percent: samples.length > 0 ? Math.round(counts.licensed / samples.length * 100) : 0
+    };
+  }
+
+  /**
+   * Get the batch jobs the queue still keeps
+   * @returns {Promise<Array<Object>>} Batch jobs
+   */
+  static async getJobs() {
+    return BatchJobStore.getAll();
+  }
+
+  /**
+   * Build batch entries for the samples of a project that still need a license
+   * @param {Object} project - Project
+   * @param {Object} coverage - Coverage from getCoverage()
+   * @returns {Array<Object>} Batch entries, each { sample, project, assetUuid }
+   */
+  static getRemainingEntries(project, coverage) {
+    return coverage.samples
+      .filter(sample => sample.status === 'unlicensed' || sample.status === 'failed')
+      .map(sample => ({
+        sample: sample.name,
+        project: project.name,
+        assetUuid: sample.assetUuid || null
+      }));
+  }
+
+  /**
+   * Normalize a name for comparison
+   * @param {string} name - Project or sample name
+   * @returns {string} Trimmed, lowercased name
+   */
+  static normalizeName(name) {
+    return String(name || '').trim().toLowerCase();
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ProjectStore;
+}
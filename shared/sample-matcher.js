@@ -0,0 +1,191 @@
+/**
+ * Sample name matcher for the Splice Chrome Extension
+ * Scores search results against a requested sample name and decides whether
+ * the best one is safe to license without asking the user
+ */
+
+class SampleMatcher {
+  // A match at or above this score is licensed without asking
+  static CONFIDENT_SCORE = 0.9;
+
+  // The best match must beat the runner-up by this much to count as confident
+  static TIE_MARGIN = 0.05;
+
+  // Highest score for names that differ only in key, tempo or take number, so the user is asked
+  static VARIANT_SCORE = 0.8;
+
+  // Musical keys such as c, c#, bb, c#min, gmaj, f#minor
+  static KEY_TOKEN = /^([a-g])(#|b|sharp|flat)?(m|min|minor|maj|major)?$/;
+
+  // Tempos such as 124 or 124bpm, and take numbers such as 01
+  static BPM_TOKEN = /^\d{2,3}(?:bpm)?$/;
+
+  static AUDIO_EXTENSION = /\.(?:wav|aiff?|mp3|flac|ogg)$/i;
+
+  /**
+   * Normalise a sample name for comparison
+   * Lowercases, drops any folder path and audio extension, and treats
+   * underscores, dashes, dots and spaces alike
+   * @param {string} name - Sample name or path
+   * @returns {string} Normalised name
+   */
+  static normalize(name) {
+    return String(name || '')
+      .split(/[\\/]/).pop()
+      .replace(this.AUDIO_EXTENSION, '')
+      .toLowerCase()
+      .replace(/[_\-.\s]+/g, ' ')
+      .trim();
+  }
+
+  /**
+   * Split a name into tokens, without trailing key and BPM tokens
+   * Splice names often end in a key or tempo that renamed copies drop or reformat
+   * @param {string} name - Sample name
+   * @returns {Array<string>} Core tokens
+   */
+  static coreTokens(name) {
+    return this.splitTokens(name).core;
+  }
+
+  /**
+   * Split a name into its core tokens and the key, BPM and number tokens trailing them
+   * @param {string} name - Sample name
+   * @returns {Object} { core, tail }
+   */
+  static splitTokens(name) {
+    const core = this.normalize(name).split(' ').filter(Boolean);
+    const tail = [];
+
+    while (core.length > 1 && (this.KEY_TOKEN.test(core[core.length - 1]) || this.BPM_TOKEN.test(core[core.length - 1]))) {
+      tail.unshift(core.pop());
+    }
+
+    return { core, tail };
+  }
+
+  /**
+   * Check whether two sets of trailing tokens can describe the same sample
+   * Tokens missing on one side are fine, since renamed copies often drop them, but a
+   * different key, tempo or take number on both sides means a different variant
+   * @param {Array<string>} a - Trailing tokens
+   * @param {Array<string>} b - Trailing tokens
+   * @returns {boolean} True unless the keys or numbers disagree
+   */
+  static tailsAgree(a, b) {
+    const keys = (tokens) => tokens.filter(token => this.KEY_TOKEN.test(token)).map(token => {
+      const [, root, accidental = '', quality = ''] = token.match(this.KEY_TOKEN);
+      const sign = accidental === 'sharp' ? '#' : accidental === 'flat' ? 'b' : accidental;
+      return `${root}${sign}${/^m(?:in(?:or)?)?$/.test(quality) ? 'min' : 'maj'}`;
+    }).join(' ');
+    const numbers = (tokens) => tokens
+      .filter(token => !this.KEY_TOKEN.test(token))
+      .map(token => parseInt(token, 10))
+      .join(' ');
+    const conflict = (x, y) => x !== '' && y !== '' && x !== y;
+
+    return !conflict(keys(a), keys(b)) && !conflict(numbers(a), numbers(b));
+  }
+
+  /**
+   * Score how well a candidate name matches the requested name
+   * @param {string} query - Requested sample name
+   * @param {string} candidate - Candidate sample name
+   * @returns {number} Score from 0 (unrelated) to 1 (identical)
+   */
+  static score(query, candidate) {
+    const a = this.normalize(query);
+    const b = this.normalize(candidate);
+
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const { core: coreA, tail: tailA } = this.splitTokens(query);
+    const { core: coreB, tail: tailB } = this.splitTokens(candidate);
+    const agree = this.tailsAgree(tailA, tailB);
+
+    if (coreA.join(' ') === coreB.join(' ')) return agree ? 0.95 : this.VARIANT_SCORE;
+
+    const similarity = 0.6 * this.tokenSimilarity(coreA, coreB) + 0.4 * this.bigramSimilarity(a, b);
+    return agree ? similarity : Math.min(similarity, this.VARIANT_SCORE);
+  }
+
+  /**
+   * Jaccard similarity of two token lists
+   * @param {Array<string>} a - Tokens
+   * @param {Array<string>} b - Tokens
+   * @returns {number} Similarity from 0 to 1
+   */
+  static tokenSimilarity(a, b) {
+    const setA = new Set(a);
+    const setB = new Set(b);
+    const shared = [...setA].filter(token => setB.has(token)).length;
+    const total = new Set([...setA, ...setB]).size;
+    return total === 0 ? 0 : shared / total;
+  }
+
+  /**
+   * Dice coefficient of the character bigrams of two strings
+   * @param {string} a - String
+   * @param {string} b - String
+   * @returns {number} Similarity from 0 to 1
+   */
+  static bigramSimilarity(a, b) {
+    const bigrams = (text) => {
+      const counts = new Map();
+      for (let i = 0; i < text.length - 1; i++) {
+        const bigram = text.slice(i, i + 2);
+        counts.set(bigram, (counts.get(bigram) || 0) + 1);
+      }
+      return counts;
+    };
+
+    const countsA = bigrams(a);
+    const countsB = bigrams(b);
+    let shared = 0;
+
+    countsA.forEach((count, bigram) => {
+      shared += Math.min(count, countsB.get(bigram) || 0);
+    });
+
+    const total = Math.max(0, a.length - 1) + Math.max(0, b.length - 1);
+    return total === 0 ? 0 : (2 * shared) / total;
+  }
+
+  /**
+   * Rank candidates by score, best first
+   * @param {string} query - Requested sample name
+   * @param {Array<Object>} candidates - Search results with a name
+   * @returns {Array<Object>} Ranked entries, each { candidate, score }
+   */
+  static rank(query, candidates) {
+    return (candidates || [])
+      .map(candidate => ({ candidate, score: this.score(query, candidate.name) }))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  /**
+   * Decide whether the best candidate can be used without asking
+   * @param {string} query - Requested sample name
+   * @param {Array<Object>} candidates - Search results with a name
+   * @returns {Object} { match, confident, ranked } where match is null if there are no candidates
+   */
+  static evaluate(query, candidates) {
+    const ranked = this.rank(query, candidates);
+    const [best, runnerUp] = ranked;
+
+    if (!best) {
+      return { match: null, confident: false, ranked };
+    }
+
+    const confident = best.score >= this.CONFIDENT_SCORE &&
+      (!runnerUp || best.score - runnerUp.score >= this.TIE_MARGIN);
+
+    return { match: best.candidate, confident, ranked };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SampleMatcher;
+}
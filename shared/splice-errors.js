@@ -0,0 +1,126 @@
+/**
+ * Typed errors for requests to Splice
+ * Failures carry a code, so the batch queue can tell problems worth retrying
+ * (rate limits, network trouble) from ones that need the user, without parsing
+ * message text. Codes survive messaging between the content script, service
+ * worker and popup, where error objects arrive as plain data.
+ */
+
+class SpliceError extends Error {
+  static NOT_FOUND = 'not-found';
+  static NOT_IN_LIBRARY = 'not-in-library';
+  static AUTH_EXPIRED = 'auth-expired';
+  static RATE_LIMITED = 'rate-limited';
+  static NETWORK = 'network';
+  static SCHEMA_CHANGED = 'schema-changed';
+
+  static TRANSIENT_CODES = [SpliceError.RATE_LIMITED, SpliceError.NETWORK];
+
+  static MESSAGES = {
+    [SpliceError.NOT_FOUND]: 'Sample not found on Splice. Please check the sample name.',
+    [SpliceError.NOT_IN_LIBRARY]: 'Sample not in your library. Add this sample to your library before generating a license.',
+    [SpliceError.AUTH_EXPIRED]: 'Authentication expired. Please refresh the Splice.com page and try again.',
+    [SpliceError.RATE_LIMITED]: 'Splice is limiting requests right now. Please try again in a few minutes.',
+    [SpliceError.NETWORK]: 'Could not reach Splice. Please check your connection and try again.',
+    [SpliceError.SCHEMA_CHANGED]: 'Splice returned a response this version of the extension does not understand. Please check for an update.'
+  };
+
+  /**
+   * @param {string|null} code - One of the codes above, or null when the failure is not classified
+   * @param {string} message - Message for the user; defaults to the message for the code
+   * @param {Object} details - HTTP details
+   * @param {number|null} details.status - HTTP status Splice answered with
+   * @param {number|null} details.retryAfter - Seconds Splice asked to wait before trying again
+   */
+  constructor(code, message = null, { status = null, retryAfter = null } = {}) {
+    super(message || SpliceError.MESSAGES[code] || 'Request to Splice failed');
+    this.name = 'SpliceError';
+    this.code = code;
+    this.status = status;
+    this.retryAfter = retryAfter;
+  }
+
+  /**
+   * Classify a failed HTTP response
+   * @param {number} status - HTTP status
+   * @param {string} statusText - HTTP status text
+   * @param {number|null} retryAfter - Retry-After header in seconds
+   * @returns {SpliceError} Error for the response
+   */
+  static fromStatus(status, statusText = '', retryAfter = null) {
+    const details = { status, retryAfter };
+
+    if (status === 401 || status === 403) {
+      return new SpliceError(SpliceError.AUTH_EXPIRED, null, details);
+    }
+    if (status === 429 || status === 503) {
+      return new SpliceError(SpliceError.RATE_LIMITED, null, details);
+    }
+    if (status >= 500) {
+      return new SpliceError(SpliceError.NETWORK, `Splice had a problem answering (${status} ${statusText}). Please try again.`, details);
+    }
+    // The GraphQL endpoint rejects requests it no longer understands with 400, and 404 means it moved
+    if (status === 400 || status === 404) {
+      return new SpliceError(SpliceError.SCHEMA_CHANGED, null, details);
+    }
+
+    return new SpliceError(null, `Request failed: ${status} ${statusText}`, details);
+  }
+
+  /**
+   * Classify the errors array of a GraphQL response
+   * Apollo's extensions.code is used where Splice sends it, with the message text as a fallback
+   * @param {Array<Object>} errors - GraphQL errors
+   * @returns {SpliceError} Error for the response
+   */
+  static fromGraphQLErrors(errors) {
+    const messages = errors.map(e => e.message).join(', ');
+    const codes = errors.map(e => e.extensions?.code).filter(Boolean);
+    const matches = (code, pattern) => codes.includes(code) || pattern.test(messages);
+
+    if (matches('GRAPHQL_VALIDATION_FAILED', /Cannot query field|Unknown argument|Unknown type/i)) {
+      return new SpliceError(SpliceError.SCHEMA_CHANGED);
+    }
+    if (matches('FORBIDDEN', /403|Forbidden/i)) {
+      return new SpliceError(SpliceError.NOT_IN_LIBRARY);
+    }
+    if (matches('UNAUTHENTICATED', /401|Unauthorized/i)) {
+      return new SpliceError(SpliceError.AUTH_EXPIRED);
+    }
+    if (matches('NOT_FOUND', /404|Not Found/i)) {
+      return new SpliceError(SpliceError.NOT_FOUND);
+    }
+    if (matches('RATE_LIMITED', /429|Too Many Requests|rate limit/i)) {
+      return new SpliceError(SpliceError.RATE_LIMITED);
+    }
+
+    return new SpliceError(null, `GraphQL error: ${messages}`);
+  }
+
+  /**
+   * Check if a failure is worth trying again
+   * @param {string|null} code - Error code
+   * @returns {boolean} True for rate limits and network trouble
+   */
+  static isTransient(code) {
+    return SpliceError.TRANSIENT_CODES.includes(code);
+  }
+
+  /**
+   * Check if a failed request can be repeated without risk of Splice acting on it twice
+   * True only when Splice explicitly turned the request away as rate limited, or when it
+   * never left the extension; a 5xx or dropped connection may come after Splice did the work
+   * @param {Object|undefined} result - Failed task result with code, status and sent
+   * @returns {boolean} True when the request certainly had no effect
+   */
+  static isSafeToRetry(result) {
+    if (result?.sent === false) return true;
+    // GraphQL rate-limit errors arrive without an HTTP status but are still a refusal
+    return result?.code === SpliceError.RATE_LIMITED && (result.status === 429 || !result.status);
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpliceError;
+}
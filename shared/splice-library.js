@@ -0,0 +1,220 @@
+/**
+ * Splice desktop library reader
+ * Lists the samples recorded in the Splice desktop app's local SQLite database,
+ * opened in the browser with the vendored sql.js WASM build
+ */
+
+class SpliceLibraryReader {
+  static SQL_JS_PATH = 'lib/sql.js/';
+
+  // The desktop app's schema is undocumented and changes between releases, so
+  // columns are matched by name instead of relying on one fixed layout
+  static COLUMN_CANDIDATES = {
+    // Only the catalog UUID is what the license mutation accepts; asset or local IDs are not
+    uuid: ['catalog_uuid'],
+    name: ['filename', 'file_name', 'local_path', 'path', 'name', 'title'],
+    pack: ['pack_name', 'pack_title', 'pack'],
+    packUuid: ['pack_uuid', 'pack_id'],
+    packKey: ['uuid', 'pack_uuid', 'catalog_uuid'],
+    date: ['downloaded_at', 'purchased_at', 'created_at', 'inserted_at', 'updated_at'],
+    bpm: ['bpm', 'tempo'],
+    key: ['audio_key', 'musical_key', 'key']
+  };
+
+  static sqlPromise = null;
+
+  /**
+   * Load sql.js once per page
+   * @returns {Promise<Object>} sql.js module
+   */
+  static loadSql() {
+    if (!this.sqlPromise) {
+      this.sqlPromise = initSqlJs({
+        locateFile: file => chrome.runtime.getURL(`${this.SQL_JS_PATH}${file}`)
+      });
+    }
+    return this.sqlPromise;
+  }
+
+  /**
+   * Read the downloaded samples from a Splice desktop database file
+   * @param {File} file - sounds.db or similar SQLite file picked by the user
+   * @returns {Promise<Array<Object>>} Samples, each { uuid, name, pack, bpm, key, downloadedAt, path }
+   */
+  static async readFile(file) {
+    const SQL = await this.loadSql();
+    let db;
+
+    try {
+      db = new SQL.Database(new Uint8Array(await file.arrayBuffer()));
+    } catch (error) {
+      throw new Error('Could not open the database. Is it a SQLite file?');
+    }
+
+    try {
+      const table = this.findSampleTable(db);
+      if (!table) {
+        const tables = this.getTables(db).map(table => ({ ...table, mapping: this.mapColumns(table.columns) }));
+        if (tables.some(table => table.mapping.name && /sample|sound/i.test(table.name))) {
+          throw new Error('The sample table has no catalog_uuid column, so samples could not be licensed by UUID. ' +
+            'This version of the Splice app is not supported yet.');
+        }
+        throw new Error('No sample table found. Pick the sounds database from the Splice app data folder.');
+      }
+
+      return this.readSamples(db, table);
+    } finally {
+      db.close();
+    }
+  }
+
+  /**
+   * List the tables and their columns
+   * @param {Object} db - sql.js database
+   * @returns {Array<Object>} Tables, each { name, columns }
+   */
+  static getTables(db) {
+    const [result] = db.exec("SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'");
+    if (!result) return [];
+
+    return result.values.map(([name]) => {
+      const [info] = db.exec(`PRAGMA table_info(${this.quote(name)})`);
+      return { name, columns: info ? info.values.map(row => String(row[1])) : [] };
+    });
+  }
+
+  /**
+   * Map logical fields to the columns a table actually has
+   * @param {Array<string>} columns - Column names
+   * @returns {Object} Field name to column name, for fields that were found
+   */
+  static mapColumns(columns) {
+    const lower = columns.map(column => column.toLowerCase());
+    const mapping = {};
+
+    for (const [field, candidates] of Object.entries(this.COLUMN_CANDIDATES)) {
+      const candidate = candidates.find(name => lower.includes(name));
+      if (candidate) {
+        mapping[field] = columns[lower.indexOf(candidate)];
+      }
+    }
+
+    return mapping;
+  }
+
+  /**
+   * Pick the table that most looks like the downloaded samples list
+   * @param {Object} db - sql.js database
+   * @returns {Object|null} { name, mapping, packJoin } or null
+   */
+  static findSampleTable(db) {
+    const tables = this.getTables(db).map(table => ({ ...table, mapping: this.mapColumns(table.columns) }));
+    let best = null;
+    let bestScore = 0;
+
+    for (const table of tables) {
+      if (!table.mapping.uuid || !table.mapping.name) continue;
+
+      let score = Object.keys(table.mapping).length;
+      if (/sample|sound/i.test(table.name)) score += 3;
+      if (/pack/i.test(table.name)) score -= 3;
+
+      if (score > bestScore) {
+        best = table;
+        bestScore = score;
+      }
+    }
+
+    if (!best) return null;
+
+    return {
+      name: best.name,
+      mapping: best.mapping,
+      packJoin: best.mapping.pack ? null : this.findPackJoin(tables, best)
+    };
+  }
+
+  /**
+   * Find a packs table to join for pack names
+   * @param {Array<Object>} tables - Tables with column mappings
+   * @param {Object} sampleTable - Chosen sample table
+   * @returns {Object|null} { name, uuid, title } or null
+   */
+  static findPackJoin(tables, sampleTable) {
+    if (!sampleTable.mapping.packUuid) return null;
+
+    const packs = tables.find(table => table !== sampleTable && /pack/i.test(table.name) && table.mapping.packKey);
+    if (!packs) return null;
+
+    const lower = packs.columns.map(column => column.toLowerCase());
+    const titleIndex = ['name', 'title'].map(name => lower.indexOf(name)).find(index => index !== -1);
+    if (titleIndex === undefined) return null;
+
+    return { name: packs.name, uuid: packs.mapping.packKey, title: packs.columns[titleIndex] };
+  }
+
+  /**
+   * Read every sample row
+   * @param {Object} db - sql.js database
+   * @param {Object} table - Table from findSampleTable()
+   * @returns {Array<Object>} Samples
+   */
+  static readSamples(db, table) {
+    const { mapping, packJoin } = table;
+    const column = field => mapping[field] ? `s.${this.quote(mapping[field])}` : 'NULL';
+
+    const pack = packJoin ? `p.${this.quote(packJoin.title)}` : column('pack');
+    const join = packJoin
+      ? `LEFT JOIN ${this.quote(packJoin.name)} p ON p.${this.quote(packJoin.uuid)} = s.${this.quote(mapping.packUuid)}`
+      : '';
+
+    const [result] = db.exec(`
+      SELECT ${column('uuid')}, ${column('name')}, ${pack}, ${column('bpm')}, ${column('key')}, ${column('date')}
+      FROM ${this.quote(table.name)} s ${join}
+    `);
+
+    if (!result) return [];
+
+    return result.values
+      .filter(([uuid, name]) => uuid && name)
+      .map(([uuid, name, packName, bpm, key, date]) => ({
+        uuid: String(uuid),
+        name: String(name).split(/[\\/]/).pop(),
+        path: String(name),
+        pack: packName ? String(packName) : null,
+        bpm: bpm ? Number(bpm) || null : null,
+        key: key ? String(key) : null,
+        downloadedAt: this.normalizeDate(date)
+      }));
+  }
+
+  /**
+   * Convert a stored date to milliseconds since the epoch
+   * @param {string|number|null} value - ISO string, seconds or milliseconds
+   * @returns {number|null} Timestamp or null
+   */
+  static normalizeDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+
+    if (typeof value === 'number') {
+      return value > 1e12 ? value : value * 1000;
+    }
+
+    const parsed = Date.parse(value);
+    return Number.isNaN(parsed) ? null : parsed;
+  }
+
+  /**
+   * Quote a SQL identifier
+   * @param {string} name - Table or column name
+   * @returns {string} Quoted identifier
+   */
+  static quote(name) {
+    return `"${String(name).replace(/"/g, '""')}"`;
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SpliceLibraryReader;
+}
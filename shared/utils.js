@@ -4,20 +4,55 @@
 
 class LicenseInfoManager {
   /**
-   * Save license information with encryption
-   * @param {Object} licenseData - License information object
+   * Read every license profile
+   * Converts data saved by older versions, which held a single identity, into a profile
+   * @returns {Promise<Object|null>} { profiles, defaultProfileId }, or null if none are readable
+   */
+  static async readProfiles() {
+    try {
+      const result = await chrome.storage.local.get(['licenseInfo']);
+
+      if (!result.licenseInfo) {
+        return null;
+      }
+
+      const decrypted = await LicenseInfoEncryption.decrypt(result.licenseInfo);
+      if (!decrypted) {
+        return null;
+      }
+
+      const data = this.toProfileData(decrypted);
+
+      // Re-encrypt data saved by older versions as base64 or as a single identity
+      if (LicenseInfoEncryption.isLegacy(result.licenseInfo) || !Array.isArray(decrypted.profiles)) {
+        await this.writeProfiles(data);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Failed to get license info:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Encrypt and save every license profile
+   * @param {Object} data - { profiles, defaultProfileId }
    * @returns {Promise<boolean>} Success status
    */
-  static async saveLicenseInfo(licenseData) {
+  static async writeProfiles(data) {
     try {
       // Validate data first
-      const validation = LicenseInfoEncryption.validate(licenseData);
-      if (!validation.isValid) {
-        throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+      for (const profile of data.profiles) {
+        const validation = LicenseInfoEncryption.validate(profile);
+        if (!validation.isValid) {
+          throw new Error(`Validation failed: ${validation.errors.join(', ')}`);
+        }
       }
 
-      // Encrypt the data
-      const encrypted = LicenseInfoEncryption.encrypt(licenseData);
+      // Encrypt the data, keeping passphrase protection if it is set
+      const result = await chrome.storage.local.get(['licenseInfo']);
+      const encrypted = await LicenseInfoEncryption.encrypt(data, result.licenseInfo);
       if (!encrypted) {
         throw new Error('Failed to encrypt license information');
       }
@@ -36,22 +71,201 @@ class LicenseInfoManager {
   }
 
   /**
-   * Get license information with decryption
-   * @returns {Promise<Object|null>} License information or null
+   * Convert decrypted license data into profile data
+   * @param {Object} data - Profile data, or a single { legalName, artistName } identity
+   * @returns {Object} { profiles, defaultProfileId }
+   */
+  static toProfileData(data) {
+    if (Array.isArray(data.profiles)) {
+      const profiles = data.profiles.map(profile => this.createProfile(profile));
+      const hasDefault = profiles.some(profile => profile.id === data.defaultProfileId);
+
+      return {
+        profiles,
+        defaultProfileId: hasDefault ? data.defaultProfileId : profiles[0]?.id || null
+      };
+    }
+
+    const profile = this.createProfile(data);
+    return { profiles: [profile], defaultProfileId: profile.id };
+  }
+
+  /**
+   * Build a profile with an ID and a display name
+   * @param {Object} data - { id, name, legalName, artistName, companyName }
+   * @returns {Object} Profile
+   */
+  static createProfile(data) {
+    const artistName = (data.artistName || '').trim();
+
+    return {
+      id: data.id || crypto.randomUUID(),
+      name: (data.name || '').trim() || artistName,
+      legalName: (data.legalName || '').trim(),
+      artistName,
+      companyName: (data.companyName || '').trim()
+    };
+  }
+
+  /**
+   * Get every license profile
+   * @returns {Promise<Array<Object>>} Profiles, empty if none are saved or they are locked
+   */
+  static async getProfiles() {
+    const data = await this.readProfiles();
+    return data ? data.profiles : [];
+  }
+
+  /**
+   * Get the ID of the profile used when none is chosen
+   * @returns {Promise<string|null>} Profile ID
+   */
+  static async getDefaultProfileId() {
+    const data = await this.readProfiles();
+    return data ? data.defaultProfileId : null;
+  }
+
+  /**
+   * Get license information for a profile
+   * @param {string|null} profileId - Profile to use, or null for the default profile
+   * @returns {Promise<Object|null>} Profile { id, name, legalName, artistName, companyName } or null
+   */
+  static async getLicenseInfo(profileId = null) {
+    const data = await this.readProfiles();
+    if (!data) {
+      return null;
+    }
+
+    const id = profileId || data.defaultProfileId;
+    return data.profiles.find(profile => profile.id === id) || null;
+  }
+
+  /**
+   * Add or update a license profile
+   * The first profile saved becomes the default
+   * @param {Object} profileData - Profile fields; an existing id updates that profile
+   * @param {Object} options - Save options
+   * @param {boolean} options.makeDefault - Use this profile when none is chosen
+   * @returns {Promise<Object|null>} Saved profile or null on error
+   */
+  static async saveProfile(profileData, { makeDefault = false } = {}) {
+    const data = (await this.readProfiles()) || { profiles: [], defaultProfileId: null };
+    const profile = this.createProfile(profileData);
+    const index = data.profiles.findIndex(existing => existing.id === profile.id);
+
+    if (index === -1) {
+      data.profiles.push(profile);
+    } else {
+      data.profiles[index] = profile;
+    }
+
+    if (makeDefault || !data.defaultProfileId) {
+      data.defaultProfileId = profile.id;
+    }
+
+    return (await this.writeProfiles(data)) ? profile : null;
+  }
+
+  /**
+   * Delete a license profile
+   * @param {string} profileId - Profile to delete
+   * @returns {Promise<boolean>} Success status
+   */
+  static async deleteProfile(profileId) {
+    const data = await this.readProfiles();
+    if (!data) {
+      return false;
+    }
+
+    data.profiles = data.profiles.filter(profile => profile.id !== profileId);
+
+    if (data.profiles.length === 0) {
+      return this.clearLicenseInfo();
+    }
+
+    if (data.defaultProfileId === profileId) {
+      data.defaultProfileId = data.profiles[0].id;
+    }
+
+    return this.writeProfiles(data);
+  }
+
+  /**
+   * Check if license information is protected by a passphrase
+   * @returns {Promise<boolean>} True if a passphrase is set
+   */
+  static async isPassphraseProtected() {
+    const result = await chrome.storage.local.get(['licenseInfo']);
+    return LicenseInfoEncryption.isPassphraseProtected(result.licenseInfo);
+  }
+
+  /**
+   * Check if license information is waiting for its passphrase
+   * @returns {Promise<boolean>} True if locked
+   */
+  static async isLocked() {
+    const result = await chrome.storage.local.get(['licenseInfo']);
+    return LicenseInfoEncryption.isLocked(result.licenseInfo);
+  }
+
+  /**
+   * Unlock license information for the rest of the browser session
+   * @param {string} passphrase - User passphrase
+   * @returns {Promise<boolean>} True if the passphrase was correct
    */
-  static async getLicenseInfo() {
+  static async unlock(passphrase) {
     try {
       const result = await chrome.storage.local.get(['licenseInfo']);
+      if (!LicenseInfoEncryption.isPassphraseProtected(result.licenseInfo)) {
+        return true;
+      }
+      return await LicenseInfoEncryption.unlock(result.licenseInfo, passphrase);
+    } catch (error) {
+      console.error('Failed to unlock license info:', error);
+      return false;
+    }
+  }
 
-      if (result.licenseInfo) {
-        const decrypted = LicenseInfoEncryption.decrypt(result.licenseInfo);
-        return decrypted;
+  /**
+   * Lock passphrase-protected license information until the passphrase is entered again
+   * @returns {Promise<boolean>} Success status
+   */
+  static async lock() {
+    try {
+      await LicenseInfoEncryption.lock();
+      return true;
+    } catch (error) {
+      console.error('Failed to lock license info:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Protect license information with a passphrase, or remove protection
+   * License information must be readable (unlocked) first
+   * @param {string|null} passphrase - New passphrase, or null to use the device key only
+   * @returns {Promise<boolean>} Success status
+   */
+  static async setPassphrase(passphrase) {
+    try {
+      const licenseData = await this.readProfiles();
+      if (!licenseData) {
+        throw new Error('No readable license information');
       }
 
-      return null;
+      const encrypted = passphrase
+        ? await LicenseInfoEncryption.encryptWithPassphrase(licenseData, passphrase)
+        : await LicenseInfoEncryption.encryptWithDeviceKey(licenseData);
+
+      await chrome.storage.local.set({
+        licenseInfo: encrypted,
+        licenseInfoTimestamp: Date.now()
+      });
+
+      return true;
     } catch (error) {
-      console.error('Failed to get license info:', error);
-      return null;
+      console.error('Failed to set passphrase:', error);
+      return false;
     }
   }
 
@@ -62,6 +276,7 @@ class LicenseInfoManager {
   static async clearLicenseInfo() {
     try {
       await chrome.storage.local.remove(['licenseInfo', 'licenseInfoTimestamp']);
+      await LicenseInfoEncryption.lock();
       return true;
     } catch (error) {
       console.error('Failed to clear license info:', error);
@@ -75,8 +290,8 @@ class LicenseInfoManager {
    */
   static async hasLicenseInfo() {
     try {
-      const licenseInfo = await this.getLicenseInfo();
-      return licenseInfo !== null;
+      const profiles = await this.getProfiles();
+      return profiles.length > 0;
     } catch (error) {
       console.error('Failed to check license info:', error);
       return false;
@@ -124,6 +339,76 @@ class ExtensionUtils {
     return 'An unknown error occurred';
   }
 
+  /**
+   * Format a byte count for display
+   * @param {number} bytes - Number of bytes
+   * @returns {string} Size such as "1.4 MB"
+   */
+  static formatBytes(bytes) {
+    const units = ['B', 'KB', 'MB', 'GB'];
+    let value = bytes || 0;
+    let unit = 0;
+
+    while (value >= 1024 && unit < units.length - 1) {
+      value /= 1024;
+      unit++;
+    }
+
+    return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+  }
+
+  /**
+   * Format a duration for display
+   * @param {number} ms - Duration in milliseconds
+   * @returns {string} Duration such as "45 s", "12 min" or "1 h 20 min"
+   */
+  static formatDuration(ms) {
+    const seconds = Math.max(0, Math.round(ms / 1000));
+
+    if (seconds < 60) {
+      return `${seconds} s`;
+    }
+
+    const minutes = Math.round(seconds / 60);
+    if (minutes < 60) {
+      return `${minutes} min`;
+    }
+
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+  }
+
+  /**
+   * Extract a displayable Splice username from session user data
+   * @param {Object|string|null} user - User data from the session check
+   * @returns {string|null} Username, or null if only generic text was found
+   */
+  static extractUsername(user) {
+    let username = null;
+
+    if (user) {
+      if (typeof user === 'string') {
+        username = user;
+      } else if (user.username) {
+        username = user.username;
+      } else if (user.name) {
+        username = user.name;
+      } else if (user.email) {
+        username = user.email;
+      }
+    }
+
+    // Validate username isn't generic text
+    if (username) {
+      const lowerUsername = username.toLowerCase();
+      const genericTerms = ['unknown', 'user avatar', 'avatar', 'user', 'log in', 'login'];
+      if (genericTerms.some(term => lowerUsername === term || lowerUsername.includes(term))) {
+        username = null;
+      }
+    }
+
+    return username;
+  }
+
   /**
    * Debounce function calls
    * @param {Function} func - Function to debounce
@@ -168,10 +453,6 @@ class ExtensionUtils {
       errors.push('At least one sample name is required');
     }
 
-    if (samples.length > 20) {
-      errors.push('Maximum 20 samples allowed per batch');
-    }
-
     return {
       isValid: errors.length === 0,
       errors,
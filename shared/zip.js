@@ -0,0 +1,248 @@
+/**
+ * ZIP archive support for the Splice Chrome Extension
+ * Reads entries using the central directory; deflated entries are inflated
+ * with the browser's DecompressionStream. Archives are written uncompressed,
+ * since certificate PDFs are already compressed.
+ */
+
+class ZipArchive {
+  static SIGNATURE_LOCAL_HEADER = 0x04034b50;
+  static SIGNATURE_CENTRAL_DIRECTORY = 0x02014b50;
+  static SIGNATURE_END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+
+  static METHOD_STORE = 0;
+  static METHOD_DEFLATE = 8;
+
+  // General purpose flag marking file names as UTF-8
+  static FLAG_UTF8 = 0x0800;
+
+  /**
+   * Read the entries of a ZIP archive
+   * @param {ArrayBuffer} buffer - Archive contents
+   * @returns {Array<Object>} Entries, each { name, method, compressedSize, size, localHeaderOffset }
+   */
+  static readEntries(buffer) {
+    const view = new DataView(buffer);
+    const end = this.findEndOfCentralDirectory(view);
+
+    const count = view.getUint16(end + 10, true);
+    let offset = view.getUint32(end + 16, true);
+
+    if (offset === 0xffffffff) {
+      throw new Error('ZIP64 archives are not supported');
+    }
+
+    const entries = [];
+
+    for (let i = 0; i < count; i++) {
+      if (offset + 46 > view.byteLength || view.getUint32(offset, true) !== this.SIGNATURE_CENTRAL_DIRECTORY) {
+        throw new Error('Corrupt ZIP central directory');
+      }
+
+      const flags = view.getUint16(offset + 8, true);
+      const nameLength = view.getUint16(offset + 28, true);
+      const extraLength = view.getUint16(offset + 30, true);
+      const commentLength = view.getUint16(offset + 32, true);
+      const nameBytes = new Uint8Array(buffer, offset + 46, nameLength);
+
+      // Bit 11 marks UTF-8 names; older tools write CP437, which matches for ASCII names
+      const decoder = new TextDecoder(flags & 0x0800 ? 'utf-8' : 'windows-1252');
+
+      entries.push({
+        name: decoder.decode(nameBytes),
+        method: view.getUint16(offset + 10, true),
+        compressedSize: view.getUint32(offset + 20, true),
+        size: view.getUint32(offset + 24, true),
+        localHeaderOffset: view.getUint32(offset + 42, true)
+      });
+
+      offset += 46 + nameLength + extraLength + commentLength;
+    }
+
+    return entries;
+  }
+
+  /**
+   * Find the end of central directory record, which sits after an optional comment
+   * @param {DataView} view - Archive contents
+   * @returns {number} Offset of the record
+   */
+  static findEndOfCentralDirectory(view) {
+    const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+
+    for (let offset = view.byteLength - 22; offset >= minOffset; offset--) {
+      if (view.getUint32(offset, true) === this.SIGNATURE_END_OF_CENTRAL_DIRECTORY) {
+        return offset;
+      }
+    }
+
+    throw new Error('Not a ZIP archive');
+  }
+
+  /**
+   * Extract the contents of an entry
+   * @param {ArrayBuffer} buffer - Archive contents
+   * @param {Object} entry - Entry from readEntries()
+   * @returns {Promise<Uint8Array>} Uncompressed contents
+   */
+  static async extract(buffer, entry) {
+    const view = new DataView(buffer);
+    const offset = entry.localHeaderOffset;
+
+    if (view.getUint32(offset, true) !== this.SIGNATURE_LOCAL_HEADER) {
+      throw new Error(`Corrupt ZIP entry: ${entry.name}`);
+    }
+
+    // The local header can carry a different extra field length than the central directory
+    const dataOffset = offset + 30 + view.getUint16(offset + 26, true) + view.getUint16(offset + 28, true);
+    const data = new Uint8Array(buffer, dataOffset, entry.compressedSize);
+
+    if (entry.method === this.METHOD_STORE) {
+      return data.slice();
+    }
+
+    if (entry.method === this.METHOD_DEFLATE) {
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+      return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    throw new Error(`Unsupported ZIP compression method ${entry.method} for ${entry.name}`);
+  }
+
+  /**
+   * Extract an entry as UTF-8 text
+   * @param {ArrayBuffer} buffer - Archive contents
+   * @param {Object} entry - Entry from readEntries()
+   * @returns {Promise<string>} Entry text
+   */
+  static async extractText(buffer, entry) {
+    return new TextDecoder().decode(await this.extract(buffer, entry));
+  }
+
+  /**
+   * Write a ZIP archive using the store method
+   * @param {Array<Object>} files - Files to add, each { name, data, date } where data is a
+   *   Uint8Array, ArrayBuffer, Blob or string and date defaults to now
+   * @returns {Promise<Blob>} Archive
+   */
+  static async create(files) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+      const data = await this.toBytes(file.data);
+      const name = encoder.encode(file.name);
+      const crc = this.crc32(data);
+      const { time, date } = this.toDosDateTime(file.date || new Date());
+
+      if (offset + 30 + name.length + data.length > 0xffffffff) {
+        throw new Error('ZIP archive is too large');
+      }
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, this.SIGNATURE_LOCAL_HEADER, true);
+      local.setUint16(4, 20, true); // Version needed to extract
+      local.setUint16(6, this.FLAG_UTF8, true);
+      local.setUint16(8, this.METHOD_STORE, true);
+      local.setUint16(10, time, true);
+      local.setUint16(12, date, true);
+      local.setUint32(14, crc, true);
+      local.setUint32(18, data.length, true);
+      local.setUint32(22, data.length, true);
+      local.setUint16(26, name.length, true);
+      local.setUint16(28, 0, true);
+
+      const central = new DataView(new ArrayBuffer(46));
+      central.setUint32(0, this.SIGNATURE_CENTRAL_DIRECTORY, true);
+      central.setUint16(4, 20, true); // Version made by
+      central.setUint16(6, 20, true); // Version needed to extract
+      central.setUint16(8, this.FLAG_UTF8, true);
+      central.setUint16(10, this.METHOD_STORE, true);
+      central.setUint16(12, time, true);
+      central.setUint16(14, date, true);
+      central.setUint32(16, crc, true);
+      central.setUint32(20, data.length, true);
+      central.setUint32(24, data.length, true);
+      central.setUint16(28, name.length, true);
+      central.setUint32(42, offset, true);
+
+      parts.push(local, name, data);
+      centralDirectory.push(central, name);
+      offset += 30 + name.length + data.length;
+    }
+
+    const centralSize = centralDirectory.reduce((total, part) => total + part.byteLength, 0);
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, this.SIGNATURE_END_OF_CENTRAL_DIRECTORY, true);
+    end.setUint16(8, files.length, true);
+    end.setUint16(10, files.length, true);
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, offset, true);
+
+    return new Blob([...parts, ...centralDirectory, end], { type: 'application/zip' });
+  }
+
+  /**
+   * Convert file contents to bytes
+   * @param {Uint8Array|ArrayBuffer|Blob|string} data - File contents
+   * @returns {Promise<Uint8Array>} Bytes
+   */
+  static async toBytes(data) {
+    if (typeof data === 'string') {
+      return new TextEncoder().encode(data);
+    }
+    if (data instanceof Blob) {
+      return new Uint8Array(await data.arrayBuffer());
+    }
+    if (data instanceof ArrayBuffer) {
+      return new Uint8Array(data);
+    }
+    return data;
+  }
+
+  /**
+   * Calculate the CRC-32 checksum ZIP uses
+   * @param {Uint8Array} data - Bytes
+   * @returns {number} Unsigned checksum
+   */
+  static crc32(data) {
+    if (!this.crcTable) {
+      this.crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        }
+        this.crcTable[n] = c;
+      }
+    }
+
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) {
+      crc = this.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  /**
+   * Convert a date to the MS-DOS format stored in ZIP headers
+   * @param {Date} value - Date in local time
+   * @returns {Object} { time, date }
+   */
+  static toDosDateTime(value) {
+    const year = Math.max(1980, value.getFullYear());
+
+    return {
+      time: (value.getHours() << 11) | (value.getMinutes() << 5) | Math.floor(value.getSeconds() / 2),
+      date: ((year - 1980) << 9) | ((value.getMonth() + 1) << 5) | value.getDate()
+    };
+  }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ZipArchive;
+}
@@ -0,0 +1,25 @@
+/**
+ * Tests for rebuilding Splice filenames from audio files
+ * Run with: node --test tests/
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+global.ProjectImporter = require('../shared/importers/project-importer.js');
+const FolderImporter = require('../shared/importers/folder-importer.js');
+
+test('keeps the octave of a sharp note', () => {
+  assert.equal(FolderImporter.cleanFileName('808_Bass_C#1.wav'), '808_Bass_C#1.wav');
+  assert.equal(FolderImporter.cleanFileName('808_Bass_F#0 bounced.wav'), '808_Bass_F#0.wav');
+});
+
+test('strips Logic take numbers', () => {
+  assert.equal(FolderImporter.cleanFileName('Vox_Chop_A #2.wav'), 'Vox_Chop_A.wav');
+  assert.equal(FolderImporter.cleanFileName('Vox_Chop_A#03.wav'), 'Vox_Chop_A.wav');
+});
+
+test('takes names from metadata as they are', () => {
+  const metadata = { info: { INAM: '808_Bass_C#1.wav' } };
+  assert.equal(FolderImporter.findNameInMetadata(metadata), '808_Bass_C#1.wav');
+});